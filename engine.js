@@ -0,0 +1,4652 @@
+/* ============================================================================
+  RV ROVER — engine.js
+  Headless simulation engine (no DOM). game.js is the UI that drives it.
+  - Data loading + normalization (fetcher is injectable, so Node can read files)
+  - Game state model, inventory, pockets, jobs, crafting, stations, recruitment
+  - Offline progression via simulateToNow()/advanceTime()
+  - Side effects the UI cares about (persisting, toasts) go through hooks
+
+  Browser: loaded with a plain <script> before game.js -> window.RVEngine
+  Node:    const RVEngine = require("./engine.js");
+============================================================================ */
+
+(function (root) {
+  "use strict";
+
+  /* =========================
+     Hooks (set by the host)
+     - persist(state, loadedData): state changed in a way worth saving
+     - notify(msg): short player-facing message (toast in the browser)
+  ========================= */
+  const hooks = {
+    persist: null,
+    notify: null
+  };
+
+  function setHooks(next = {}) {
+    for (const k of Object.keys(hooks)) {
+      if (k in next) hooks[k] = (typeof next[k] === "function") ? next[k] : null;
+    }
+  }
+
+  function requestPersist(state, loadedData) {
+    if (hooks.persist) hooks.persist(state, loadedData);
+  }
+
+  function notify(msg) {
+    if (hooks.notify) hooks.notify(msg);
+  }
+
+  /* =========================
+     Utilities
+  ========================= */
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+  // Clock is swappable so headless runs/replays can pin time (see setClock).
+  let clockFn = () => Date.now();
+  const nowReal = () => clockFn();
+
+  function setClock(fn) {
+    clockFn = (typeof fn === "function") ? fn : () => Date.now();
+  }
+
+  function deepCopy(obj) {
+    return JSON.parse(JSON.stringify(obj));
+  }
+
+  function safeJsonParse(str, fallback) {
+    try { return JSON.parse(str); } catch { return fallback; }
+  }
+
+  function uid(prefix = "id", rng = Math.random) {
+    // Pass a seeded rng (see rngFor) for ids created by the simulation so replays match.
+    return `${prefix}_${rng().toString(36).slice(2, 10)}${rng().toString(36).slice(2, 10)}`;
+  }
+
+  function hashStringToUint(str) {
+    // FNV-1a 32-bit
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function mulberry32(seed) {
+    // Deterministic RNG from seed (uint32)
+    return function () {
+      let t = (seed += 0x6D2B79F5);
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randInt(rng, min, max) {
+    // Inclusive integer in [min, max]. Accepts an RNG function (0..1).
+    const a = Number.isFinite(min) ? min : 0;
+    const b = Number.isFinite(max) ? max : a;
+    const lo = Math.min(a, b);
+    const hi = Math.max(a, b);
+    const r = (typeof rng === "function") ? rng() : Math.random();
+    return lo + Math.floor(r * (hi - lo + 1));
+  }
+
+
+  function normalizePortraitPath(p) {
+    if (typeof p !== "string") return "";
+    let s = p.trim();
+    if (!s) return "";
+    // Allow absolute URLs if user ever supplies them (still works on GH Pages)
+    if (/^(https?:)?\/\//i.test(s)) return s;
+    // Normalize leading ./ or /
+    if (s.startsWith("./")) s = s.slice(2);
+    if (s.startsWith("/")) s = s.slice(1);
+    // If it's just a filename, assume it's in images/portraits/
+    if (!s.includes("/")) return `images/portraits/${s}`;
+    return s;
+  }
+
+  function weightedPick(rng, entries /* [{id, w}] */) {
+    const total = entries.reduce((a, e) => a + Math.max(0, e.w), 0);
+    if (total <= 0) return entries[0]?.id ?? null;
+    let roll = rng() * total;
+    for (const e of entries) {
+      roll -= Math.max(0, e.w);
+      if (roll <= 0) return e.id;
+    }
+    return entries[entries.length - 1].id;
+  }
+
+  /* =========================
+     Geohash (encode + neighbors)
+     (No external libs)
+  ========================= */
+  const GEOHASH_BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+  const GEOHASH_BITS = [16, 8, 4, 2, 1];
+
+  function geohashEncode(lat, lon, precision = 7) {
+    let idx = 0;
+    let bit = 0;
+    let evenBit = true;
+    let geohash = "";
+
+    let latMin = -90, latMax = 90;
+    let lonMin = -180, lonMax = 180;
+
+    while (geohash.length < precision) {
+      if (evenBit) {
+        const mid = (lonMin + lonMax) / 2;
+        if (lon >= mid) { idx = idx * 2 + 1; lonMin = mid; }
+        else { idx = idx * 2; lonMax = mid; }
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (lat >= mid) { idx = idx * 2 + 1; latMin = mid; }
+        else { idx = idx * 2; latMax = mid; }
+      }
+
+      evenBit = !evenBit;
+
+      if (++bit === 5) {
+        geohash += GEOHASH_BASE32.charAt(idx);
+        bit = 0;
+        idx = 0;
+      }
+    }
+    return geohash;
+  }
+
+  // Neighbor lookup tables for geohash (classic approach)
+  const NEIGHBORS = {
+    right:  { even: "bc01fg45238967deuvhjyznpkmstqrwx" , odd: "p0r21436x8zb9dcf5h7kjnmqesgutwvy" },
+    left:   { even: "238967debc01fg45kmstqrwxuvhjyznp" , odd: "14365h7k9dcfesgujnmqp0r2twvyx8zb" },
+    top:    { even: "p0r21436x8zb9dcf5h7kjnmqesgutwvy" , odd: "bc01fg45238967deuvhjyznpkmstqrwx" },
+    bottom: { even: "14365h7k9dcfesgujnmqp0r2twvyx8zb" , odd: "238967debc01fg45kmstqrwxuvhjyznp" }
+  };
+  const BORDERS = {
+    right:  { even: "bcfguvyz", odd: "prxz" },
+    left:   { even: "0145hjnp", odd: "028b" },
+    top:    { even: "prxz", odd: "bcfguvyz" },
+    bottom: { even: "028b", odd: "0145hjnp" }
+  };
+
+  function geohashAdjacent(hash, dir) {
+    hash = hash.toLowerCase();
+    const last = hash.slice(-1);
+    const type = (hash.length % 2) ? "odd" : "even";
+    const base = hash.slice(0, -1);
+
+    if (BORDERS[dir][type].includes(last) && base.length > 0) {
+      const baseAdj = geohashAdjacent(base, dir);
+      return baseAdj + GEOHASH_BASE32.charAt(NEIGHBORS[dir][type].indexOf(last));
+    } else {
+      return base + GEOHASH_BASE32.charAt(NEIGHBORS[dir][type].indexOf(last));
+    }
+  }
+
+  // Cell center plus half-size in degrees.
+  function geohashDecode(hash) {
+    let evenBit = true;
+    let latMin = -90, latMax = 90;
+    let lonMin = -180, lonMax = 180;
+    for (const ch of hash.toLowerCase()) {
+      const idx = GEOHASH_BASE32.indexOf(ch);
+      if (idx < 0) break;
+      for (const mask of GEOHASH_BITS) {
+        const on = (idx & mask) !== 0;
+        if (evenBit) {
+          const mid = (lonMin + lonMax) / 2;
+          if (on) lonMin = mid; else lonMax = mid;
+        } else {
+          const mid = (latMin + latMax) / 2;
+          if (on) latMin = mid; else latMax = mid;
+        }
+        evenBit = !evenBit;
+      }
+    }
+    return { lat: (latMin + latMax) / 2, lon: (lonMin + lonMax) / 2, latErr: (latMax - latMin) / 2, lonErr: (lonMax - lonMin) / 2 };
+  }
+
+  function geohashNeighbors(hash) {
+    const n = geohashAdjacent(hash, "top");
+    const s = geohashAdjacent(hash, "bottom");
+    const e = geohashAdjacent(hash, "right");
+    const w = geohashAdjacent(hash, "left");
+    return { n, s, e, w, ne: geohashAdjacent(n, "right"), nw: geohashAdjacent(n, "left"), se: geohashAdjacent(s, "right"), sw: geohashAdjacent(s, "left") };
+  }
+
+  /* =========================
+     Embedded fallback data
+     (Used until you add JSON files)
+  ========================= */
+  const FALLBACK_DATA = {
+    config: {
+      version: "0.1",
+      worldSeed: "WORLD_V01",
+      tilePrecision: 7,
+      maxLogEntries: 600,
+      safetySnapshotEnabled: true,
+      // drain rates are per minute in real-time
+      drains: {
+        hungerPerMin: 0.25,
+        thirstPerMin: 0.35,
+        moraleRecoverPerMinRest: 0.10
+      },
+      // health per minute: damage while needs sit at 0 or conditions are active,
+      // regen while fed (hunger and thirst >= fedThreshold) with no damage source
+      health: {
+        starvingPerMin: 0.25,
+        dehydratedPerMin: 0.4,
+        minorInjuryPerMin: 0.02,
+        majorInjuryPerMin: 0.08,
+        sicknessPerMin: 0.04,
+        regenPerMinFed: 0.05,
+        regenPerMinRest: 0.1,
+        fedThreshold: 50,
+        // permadeath runs only: crew downed this long without a revive die
+        bleedOutMin: 120,
+        // downed crew who are fed regain health at regenPerMinRest and get back up at this much
+        downedRecoverAt: 25
+      },
+      jobStrenuousDrainMultiplier: 2.0,
+      autoConsumeThreshold: 50,
+      autoConsumeAmountTarget: 70,
+      idleMaxCyclesPerSim: 20,
+      // browser host writes the safety snapshot at most this often
+      persistMinIntervalSec: 5,
+      // rolling autosaves kept by the browser host
+      autosave: {
+        everyMin: 10,
+        keep: 5
+      },
+      // catch-up simulation never jumps further than this in one step
+      simStepMaxMin: 10,
+      // "While you were away" summary after long catch-ups
+      awayReport: {
+        minAwayMin: 15,
+        lowFoodPerCrew: 3,
+        lowWaterPerCrew: 3
+      },
+      // RV travel: tank size without a fuel_tank station, cost/time per tile driven.
+      // GPS jumps farther than maxTilesCharged are billed as maxTilesCharged.
+      travel: {
+        tankCapacity: 40,
+        startFuel: 30,
+        fuelPerTile: 2,
+        minutesPerTile: 20,
+        maxTilesCharged: 15,
+        moralePerTile: 1
+      },
+      // RV parts (0-100 condition). Each wears per tile driven; road events roll per tile.
+      // whenBroken: "noTravel" blocks driving, "stationOutput" slows station crafts by brokenStationSpeed.
+      vehicle: {
+        wornAt: 30,
+        brokenStationSpeed: 0.5,
+        components: {
+          engine: { name: "Engine", wearPerTile: 1.5, whenBroken: "noTravel" },
+          tires: { name: "Tires", wearPerTile: 2.5, whenBroken: "noTravel" },
+          hull: { name: "Hull", wearPerTile: 0.5, whenBroken: "stationOutput" }
+        },
+        roadEvents: [
+          { component: "tires", chancePerTile: 0.04, damage: 15, text: "blew a tire" },
+          { component: "engine", chancePerTile: 0.02, damage: 12, text: "overheated on a long grade" },
+          { component: "hull", chancePerTile: 0.03, damage: 10, text: "scraped through a wreck" }
+        ]
+      },
+      // Gear repair at the workbench. Cost = the item's recipe inputs x (missing / max durability)
+      // x costFraction x (1 + tier * tierCostMult), at least 1 each. Items without a recipe use fallbackInputs.
+      // Each repair shaves maxLossPerRepair of the original max (0 = off), never below minMaxFraction.
+      repair: {
+        costFraction: 0.35,
+        tierCostMult: 0.25,
+        maxLossPerRepair: 0.05,
+        minMaxFraction: 0.5,
+        fallbackInputs: [{ id: "scrap_metal", qty: 2 }]
+      },
+      // Weather: one seeded timeline per geohash region (regionPrecision chars), changing every blockHours;
+      // each block keeps the previous block's weather with chance `persist`. biomeTagWeights skew the pick
+      // by the region's climate biome (seeded per region, so all tiles in a region agree).
+      // Per state (missing = 1): hunger/thirst drain, job risk/yield, rainWater (water yields; Gather Water
+      // fills with clean rain when > 1), gardenSpeed (weatherExposed stations). `tags` feed jobs' weatherTags.
+      weather: {
+        regionPrecision: 4,
+        blockHours: 6,
+        persist: 0.55,
+        states: {
+          clear: { name: "Clear", weight: 5, tags: ["dry"] },
+          rain: { name: "Rain", weight: 3, tags: ["wet"], thirst: 0.85, risk: 1.1, yield: 0.95, rainWater: 2, gardenSpeed: 1.25 },
+          storm: { name: "Storm", weight: 1, tags: ["wet", "severe"], hunger: 1.1, thirst: 0.9, risk: 1.5, yield: 0.75, rainWater: 3, gardenSpeed: 0.9 },
+          heat_wave: { name: "Heat Wave", weight: 1, tags: ["hot", "dry", "severe"], hunger: 0.9, thirst: 1.6, risk: 1.15, yield: 0.9, rainWater: 0.5, gardenSpeed: 0.7 },
+          cold_snap: { name: "Cold Snap", weight: 1, tags: ["cold", "severe"], hunger: 1.4, risk: 1.15, yield: 0.9, gardenSpeed: 0.5 }
+        },
+        biomeTagWeights: {
+          dry: { heat_wave: 3, rain: 0.3, storm: 0.5 },
+          wet: { rain: 1.5, storm: 1.3 }
+        }
+      },
+      // random survivors met on tiles (recruitment); npcs.json biomeWeights/recruit tune each NPC
+      encounters: {
+        chance: 0.35,
+        rerollHours: 12
+      },
+      adminPassphrase: "ROVER",
+      // durability an equipped armor piece loses each time it blocks or softens an injury
+      armorWearPerHit: 4,
+      // Sunrise/sunset come from the player's coordinates; the hours are only used when none are known.
+      // Jobs finishing at night get nightRiskMult injury risk (nightRisk gear mods soften it) and nightYieldMult
+      // yields; crew working in the dark lose nightWorkMoralePerHour. Dawn/dusk count half.
+      dayNight: {
+        dayStartHour: 6,
+        nightStartHour: 18,
+        twilightDeg: 6,
+        nightRiskMult: 1.3,
+        nightYieldMult: 0.85,
+        nightWorkMoralePerHour: -1
+      }
+    },
+
+    biomes: [
+      { id: "wild_forest", name: "Wild Forest Edge", weight: 22, tags: ["wild"], bg: "bg_forest" },
+      { id: "riverbed", name: "Riverbed Flats", weight: 12, tags: ["wet"], bg: "bg_river" },
+      { id: "overgrown_suburb", name: "Overgrown Suburb", weight: 20, tags: ["ruins","wild"], bg: "bg_suburb" },
+      { id: "collapsed_downtown", name: "Collapsed Downtown", weight: 14, tags: ["ruins","danger"], bg: "bg_downtown" },
+      { id: "industrial_scrap", name: "Industrial Scrapfields", weight: 16, tags: ["ruins","industrial"], bg: "bg_industrial" },
+      { id: "desert_highway", name: "Desert Highway Cut", weight: 16, tags: ["dry"], bg: "bg_desert" }
+    ],
+
+    items: [
+      // basics
+      { id: "stick", name: "Stick", category: "resource", stackSize: 50, sources: [{ biomes: ["*"], methods: ["forage"] }] },
+      { id: "stone", name: "Stone", category: "resource", stackSize: 50, sources: [{ biomes: ["*"], methods: ["forage"] }] },
+      { id: "fiber", name: "Fiber/Reeds", category: "resource", stackSize: 50, sources: [{ biomes: ["*"], methods: ["forage"] }, { biomes: ["riverbed","wild_forest"], methods: ["forage"] }] },
+      { id: "scrap_metal", name: "Scrap Metal", category: "resource", stackSize: 50, sources: [{ biomes: ["overgrown_suburb","collapsed_downtown","industrial_scrap"], methods: ["scavenge"] }] },
+      { id: "wiring", name: "Wiring Bundle", category: "resource", stackSize: 50, sources: [{ biomes: ["overgrown_suburb","collapsed_downtown","industrial_scrap"], methods: ["scavenge"] }] },
+
+      // food/water
+      { id: "ration_basic", name: "Basic Ration Pack", category: "food", stackSize: 20, food: { hunger: 10, morale: -2, quality: "low" } },
+      { id: "water_clean", name: "Clean Water", category: "water", stackSize: 20, water: { thirst: 18, morale: 0 } },
+      { id: "water_dirty", name: "Dirty Water", category: "water", stackSize: 20, water: { thirst: 12, morale: -2, dirty: true } },
+      { id: "meat_raw", name: "Raw Meat", category: "food", stackSize: 20, food: { hunger: 8, morale: -1, quality: "low", raw: true } },
+      { id: "fish_raw", name: "Raw Fish", category: "food", stackSize: 20, food: { hunger: 7, morale: -1, quality: "low", raw: true } },
+      { id: "meal_hearty", name: "Hearty Meal", category: "food", stackSize: 10, food: { hunger: 28, morale: +10, quality: "high" } },
+
+      // consumables/medical
+      { id: "bandage", name: "Bandage", category: "medical", stackSize: 10, med: { minorInjuryReduceMins: 90 } },
+      { id: "antidote", name: "Antidote", category: "medical", stackSize: 5, med: { cureSickness: true }, rarity: "rare" },
+      { id: "revive_serum", name: "Revive Serum", category: "medical", stackSize: 3, med: { revive: true }, rarity: "rare" },
+
+      // tools & weapons (individual items)
+      { id: "knife_pocket", name: "Pocket Knife", category: "tool", stackSize: 1, equipSlot: "mainHand", tool: { tag: "cutting", tier: 0, durabilityMax: 60, power: 1 } },
+      { id: "spear_fishing", name: "Fishing Spear", category: "tool", stackSize: 1, equipSlot: "mainHand", tool: { tag: "fishing", tier: 1, durabilityMax: 70, power: 2 } },
+      { id: "trap_simple", name: "Simple Trap", category: "tool", stackSize: 1, equipSlot: "utility", tool: { tag: "trap", tier: 1, durabilityMax: 40, power: 1 } },
+      { id: "hatchet_stone", name: "Stone Hatchet", category: "tool", stackSize: 1, equipSlot: "mainHand", tool: { tag: "chopping", tier: 1, durabilityMax: 55, power: 2 } },
+
+      // armor (individual)
+      { id: "clothes_basic", name: "Basic Clothes", category: "armor", stackSize: 1, equipSlot: "body", armor: { tier: 0, durabilityMax: 80, protection: 0.05 } },
+      { id: "boots_scrap", name: "Scrap Boots", category: "armor", stackSize: 1, equipSlot: "legs", armor: { tier: 1, durabilityMax: 90, protection: 0.08 } }
+    ],
+
+    stations: [
+      {
+        id: "storage",
+        name: "Storage",
+        desc: "Shared RV storage holds your supplies.",
+        levels: [
+          { level: 0, cost: [], effects: [{ type: "storageCap", value: 60 }] },
+          { level: 1, cost: [{ id: "scrap_metal", qty: 10 }, { id: "wiring", qty: 3 }], effects: [{ type: "storageCap", value: 90 }] },
+          { level: 2, cost: [{ id: "scrap_metal", qty: 25 }, { id: "wiring", qty: 10 }], effects: [{ type: "storageCap", value: 130 }] }
+        ]
+      },
+      {
+        id: "bunks",
+        name: "Bunks",
+        desc: "More bunks let you recruit more crew.",
+        levels: [
+          { level: 0, cost: [], effects: [{ type: "crewCap", value: 2 }] },
+          { level: 1, cost: [{ id: "fiber", qty: 12 }, { id: "scrap_metal", qty: 8 }], effects: [{ type: "crewCap", value: 3 }] },
+          { level: 2, cost: [{ id: "fiber", qty: 25 }, { id: "scrap_metal", qty: 18 }, { id: "wiring", qty: 5 }], effects: [{ type: "crewCap", value: 4 }] }
+        ]
+      },
+      {
+        id: "workbench",
+        name: "Workbench",
+        desc: "Craft tools, repair gear, process basics.",
+        levels: [
+          { level: 0, cost: [], effects: [{ type: "stationLevel", station: "workbench", value: 0 }] },
+          { level: 1, cost: [{ id: "scrap_metal", qty: 12 }], effects: [{ type: "stationLevel", station: "workbench", value: 1 }] },
+          { level: 2, cost: [{ id: "scrap_metal", qty: 28 }, { id: "wiring", qty: 8 }], effects: [{ type: "stationLevel", station: "workbench", value: 2 }] }
+        ]
+      },
+      {
+        id: "stove",
+        name: "Camp Stove",
+        desc: "Cook food and boil water.",
+        levels: [
+          { level: 0, cost: [], effects: [{ type: "stationLevel", station: "stove", value: 0 }] },
+          { level: 1, cost: [{ id: "scrap_metal", qty: 10 }], effects: [{ type: "stationLevel", station: "stove", value: 1 }] }
+        ]
+      },
+      {
+        id: "purifier",
+        name: "Water Purifier",
+        desc: "Purify dirty water more efficiently.",
+        levels: [
+          { level: 0, cost: [], effects: [{ type: "purifierEnabled", value: false }] },
+          { level: 1, cost: [{ id: "wiring", qty: 6 }, { id: "scrap_metal", qty: 12 }], effects: [{ type: "purifierEnabled", value: true }] }
+        ]
+      },
+      {
+        id: "recycler",
+        name: "Recycler",
+        desc: "Break down salvage into parts.",
+        levels: [
+          { level: 0, cost: [], effects: [{ type: "recyclerEnabled", value: false }] },
+          { level: 1, cost: [{ id: "scrap_metal", qty: 18 }, { id: "wiring", qty: 7 }], effects: [{ type: "recyclerEnabled", value: true }] }
+        ]
+      }
+    ],
+
+    recipes: [
+      // Workbench
+      { id: "cordage", name: "Cordage", category: "materials", station: "workbench", stationLevel: 0, timeSec: 60, inputs: [{ id: "fiber", qty: 3 }], outputs: [{ id: "fiber", qty: 0 }], // outputs handled as special below
+        special: { makeItem: { id: "cordage_item", name: "Cordage", category: "material", stackSize: 30, sources: [] }, qty: 1 }
+      },
+      { id: "spear_fishing", name: "Fishing Spear", category: "tools", station: "workbench", stationLevel: 0, timeSec: 180,
+        inputs: [{ id: "stick", qty: 3 }, { id: "stone", qty: 2 }, { id: "fiber", qty: 2 }],
+        outputs: [{ id: "spear_fishing", qty: 1 }]
+      },
+      { id: "trap_simple", name: "Simple Trap", category: "tools", station: "workbench", stationLevel: 0, timeSec: 150,
+        inputs: [{ id: "stick", qty: 2 }, { id: "fiber", qty: 3 }],
+        outputs: [{ id: "trap_simple", qty: 1 }]
+      },
+      { id: "hatchet_stone", name: "Stone Hatchet", category: "tools", station: "workbench", stationLevel: 0, timeSec: 210,
+        inputs: [{ id: "stick", qty: 2 }, { id: "stone", qty: 3 }, { id: "fiber", qty: 2 }],
+        outputs: [{ id: "hatchet_stone", qty: 1 }]
+      },
+      { id: "bandage", name: "Bandage", category: "medical", station: "workbench", stationLevel: 0, timeSec: 120,
+        inputs: [{ id: "fiber", qty: 4 }],
+        outputs: [{ id: "bandage", qty: 1 }]
+      },
+
+      // Stove
+      { id: "cook_meat", name: "Cook Meat", category: "food", station: "stove", stationLevel: 0, timeSec: 180,
+        inputs: [{ id: "meat_raw", qty: 1 }],
+        outputs: [{ id: "ration_basic", qty: 1 }]
+      },
+      { id: "cook_fish", name: "Cook Fish", category: "food", station: "stove", stationLevel: 0, timeSec: 150,
+        inputs: [{ id: "fish_raw", qty: 1 }],
+        outputs: [{ id: "ration_basic", qty: 1 }]
+      },
+      { id: "boil_water", name: "Boil Dirty Water", category: "water", station: "stove", stationLevel: 0, timeSec: 120,
+        inputs: [{ id: "water_dirty", qty: 1 }],
+        outputs: [{ id: "water_clean", qty: 1 }]
+      },
+      { id: "meal_hearty", name: "Hearty Meal", category: "food", station: "stove", stationLevel: 1, timeSec: 600,
+        inputs: [{ id: "ration_basic", qty: 2 }, { id: "fiber", qty: 1 }],
+        outputs: [{ id: "meal_hearty", qty: 1 }]
+      }
+    ],
+
+    jobs: [
+      { id: "forage", name: "Forage", alwaysAvailable: true, baseSec: 600, strenuous: false, toolTag: "cutting",
+        yields: [{ id: "stick", min: 2, max: 6 }, { id: "stone", min: 1, max: 4 }, { id: "fiber", min: 0, max: 4 }],
+        risk: { minorInjury: 0.03, majorInjury: 0.005, toolWear: 0.12, sickness: 0.00 },
+        xpSkill: "Wilderness"
+      },
+      { id: "fish", name: "Fish", alwaysAvailable: true, baseSec: 900, strenuous: false, toolTag: "fishing",
+        yields: [{ id: "fish_raw", min: 1, max: 3 }, { id: "water_dirty", min: 0, max: 1 }],
+        risk: { minorInjury: 0.02, majorInjury: 0.004, toolWear: 0.10, sickness: 0.00 },
+        xpSkill: "Wilderness"
+      },
+      { id: "hunt", name: "Hunt", alwaysAvailable: true, baseSec: 1200, strenuous: true, toolTag: "cutting",
+        yields: [{ id: "meat_raw", min: 1, max: 3 }],
+        risk: { minorInjury: 0.06, majorInjury: 0.01, toolWear: 0.15, sickness: 0.00 },
+        xpSkill: "Wilderness"
+      },
+      { id: "trap", name: "Set Traps", alwaysAvailable: true, baseSec: 1800, strenuous: false, toolTag: "trap",
+        yields: [{ id: "meat_raw", min: 0, max: 3 }],
+        risk: { minorInjury: 0.04, majorInjury: 0.007, toolWear: 0.10, sickness: 0.00 },
+        toolRequired: true,
+        xpSkill: "Wilderness"
+      },
+      { id: "scavenge", name: "Scavenge Ruins", alwaysAvailable: false, biomeTags: ["ruins"], baseSec: 1500, strenuous: true, toolTag: "chopping",
+        yields: [{ id: "scrap_metal", min: 2, max: 7 }, { id: "wiring", min: 0, max: 2 }],
+        risk: { minorInjury: 0.09, majorInjury: 0.02, toolWear: 0.20, sickness: 0.03 },
+        xpSkill: "Scavenge"
+      }
+    ],
+
+    npcs: [
+      {
+        id: "npc_scavenger",
+        name: "Zig",
+        archetype: "Lone Scavenger",
+        perk: { id: "perk_scrounger", name: "Scrounger", desc: "+10% salvage yield.", mods: [{ type: "yield", skill: "Scavenge", mult: 1.1 }] },
+        quirk: { id: "quirk_picky", name: "Picky Eater", desc: "Hates low-tier rations.", mods: [{ type: "foodPref", quality: "low", morale: -4 }] },
+        stats: { Wilderness: 2, Scavenge: 5, Mechanics: 2, Cooking: 1, Medical: 1, Grit: 4 },
+        biomeWeights: { overgrown_suburb: 3, collapsed_downtown: 3, industrial_scrap: 2 },
+        recruit: { items: [{ id: "ration_basic", qty: 1 }] }
+      },
+      {
+        id: "npc_medic",
+        name: "Dot",
+        archetype: "Road Medic",
+        perk: { id: "perk_fieldmed", name: "Field Medic", desc: "Reduces injury downtime by 15%.", mods: [{ type: "recovery", kind: "injury", mult: 0.85 }] },
+        quirk: { id: "quirk_germaphobe", name: "Germaphobe", desc: "Hates dirty water (morale hit).", mods: [{ type: "foodPref", dirty: true, morale: -6 }] },
+        stats: { Wilderness: 2, Scavenge: 2, Mechanics: 1, Cooking: 2, Medical: 6, Grit: 3 },
+        biomeWeights: { overgrown_suburb: 2, collapsed_downtown: 2 },
+        recruit: { items: [{ id: "water_clean", qty: 2 }] }
+      }
+    ],
+
+    animals: [
+      { id: "rabbit", name: "Rabbit", biomes: ["wild_forest","riverbed","overgrown_suburb"], drops: [{ id: "meat_raw", min: 1, max: 2 }] },
+      { id: "raccoon", name: "Raccoon", biomes: ["overgrown_suburb","collapsed_downtown"], drops: [{ id: "meat_raw", min: 1, max: 2 }, { id: "scrap_metal", min: 0, max: 1 }] }
+    ],
+
+    // points of interest; biomes.json `pois` tables place them on tiles
+    pois: [],
+
+    portraits: []
+  };
+
+  /* =========================
+     Data Loader
+  ========================= */
+  async function fetchJson(path) {
+    const res = await fetch(path, { cache: "no-store" });
+    if (!res.ok) throw new Error(`${path} -> ${res.status}`);
+    return await res.json();
+  }
+
+  const COLLECTION_KEYS = ["items", "recipes", "stations", "jobs", "biomes", "npcs", "animals", "pois"];
+
+  // Overlays records onto a base list by id (same id replaces, new ids append).
+  // Every merged record is tagged with sourceFile so diagnostics can say where it came from.
+  function mergeRecordsById(baseList, overlayList, sourceFile) {
+    const out = baseList.slice();
+    const pos = new Map(out.map((r, i) => [r.id, i]));
+    const result = { list: out, added: 0, replaced: 0, skipped: 0, duplicates: [], replacedFrom: [] };
+    const seen = new Set();
+    for (const rec of overlayList) {
+      if (!rec || typeof rec !== "object" || typeof rec.id !== "string") { result.skipped++; continue; }
+      if (seen.has(rec.id)) result.duplicates.push(rec.id);
+      seen.add(rec.id);
+      const tagged = { ...rec, sourceFile };
+      if (pos.has(rec.id)) {
+        result.replacedFrom.push({ id: rec.id, from: out[pos.get(rec.id)].sourceFile });
+        out[pos.get(rec.id)] = tagged;
+        result.replaced++;
+      } else {
+        pos.set(rec.id, out.length);
+        out.push(tagged);
+        result.added++;
+      }
+    }
+    return result;
+  }
+
+  // Config merges key by key (one level deep for nested groups like drains/dayNight).
+  function mergeConfig(base, overlay) {
+    const out = deepCopy(base);
+    for (const [k, v] of Object.entries(overlay || {})) {
+      const isGroup = v && typeof v === "object" && !Array.isArray(v) && out[k] && typeof out[k] === "object";
+      out[k] = isGroup ? { ...out[k], ...v } : v;
+    }
+    return out;
+  }
+
+  function isNotFoundError(e) {
+    return e?.code === "ENOENT" || /-> 404$/.test(String(e?.message || ""));
+  }
+
+  // Content packs: <base>/packs/manifest.json lists pack files in load order, e.g.
+  //   { "packs": ["more_food.json", "desert_biomes.json"] }
+  // A pack is { id, name, version, items: [], recipes: [], ... } and adds or overrides records by id.
+  // A pack overriding a record that an earlier pack already set is reported as a conflict.
+  async function loadPacks(readJson, base, data) {
+    const packs = [];
+    const conflicts = [];
+    const manifestPath = `${base}/packs/manifest.json`;
+
+    let manifest = null;
+    try {
+      manifest = await readJson(manifestPath);
+    } catch (e) {
+      // No manifest just means no packs
+      if (!isNotFoundError(e)) packs.push({ id: null, path: manifestPath, ok: false, error: e?.message || String(e), counts: {} });
+      return { packs, conflicts };
+    }
+
+    const list = Array.isArray(manifest?.packs) ? manifest.packs : [];
+    const ownerPackByFile = new Map();
+
+    for (const entry of list) {
+      const file = (typeof entry === "string") ? entry : entry?.file;
+      if (typeof file !== "string" || !file.trim()) continue;
+      const path = `${base}/packs/${file}`;
+      const diag = { id: null, name: null, version: null, path, ok: true, error: null, counts: {} };
+      packs.push(diag);
+
+      let pack = null;
+      try {
+        pack = await readJson(path);
+        if (!pack || typeof pack !== "object" || Array.isArray(pack)) throw new Error("expected an object");
+        if (typeof pack.id !== "string" || !pack.id.trim()) throw new Error("pack is missing a string id");
+        if (packs.some(p => p !== diag && p.ok && p.id === pack.id)) throw new Error(`pack id "${pack.id}" is already loaded`);
+      } catch (e) {
+        diag.ok = false;
+        diag.error = e?.message || String(e);
+        continue;
+      }
+
+      diag.id = pack.id;
+      diag.name = pack.name || pack.id;
+      diag.version = pack.version ?? null;
+      ownerPackByFile.set(path, pack.id);
+
+      for (const key of COLLECTION_KEYS) {
+        if (pack[key] == null) continue;
+        if (!Array.isArray(pack[key])) {
+          diag.error = `${key} should be an array (skipped)`;
+          continue;
+        }
+        const merged = mergeRecordsById(data[key], pack[key], path);
+        data[key] = merged.list;
+        diag.counts[key] = { added: merged.added, replaced: merged.replaced };
+        for (const r of merged.replacedFrom) {
+          const earlierPack = ownerPackByFile.get(r.from);
+          if (earlierPack && earlierPack !== pack.id) {
+            conflicts.push({ key, id: r.id, packId: pack.id, overrides: earlierPack, path });
+          }
+        }
+      }
+    }
+
+    return { packs, conflicts };
+  }
+
+  // Pack ids a save made with this data expects (stored in state.meta.packs).
+  function activePackList(loadedData) {
+    return (loadedData.packs || []).filter(p => p.ok).map(p => ({ id: p.id, version: p.version }));
+  }
+
+  // opts.fetchJson(path) lets non-browser hosts supply their own reader (e.g. fs in Node).
+  // Each file is loaded on its own: JSON records overlay the fallback records by id, so one
+  // broken file only loses that file's changes. loadedData.files has a diagnostic per file.
+  async function loadData(opts = {}) {
+    const readJson = (typeof opts.fetchJson === "function") ? opts.fetchJson : fetchJson;
+    const data = {
+      config: null,
+      items: null,
+      recipes: null,
+      stations: null,
+      jobs: null,
+      biomes: null,
+      npcs: null,
+      animals: null,
+      pois: null,
+      portraits: null
+    };
+
+    const base = opts.base || "data";
+    const targets = [
+      ["config", `${base}/config.json`],
+      ["items", `${base}/items.json`],
+      ["recipes", `${base}/recipes.json`],
+      ["stations", `${base}/stations.json`],
+      ["jobs", `${base}/jobs.json`],
+      ["biomes", `${base}/biomes.json`],
+      ["npcs", `${base}/npcs.json`],
+      ["animals", `${base}/animals.json`],
+      ["pois", `${base}/pois.json`],
+      ["portraits", `${base}/portraits.json`]
+    ];
+
+    const files = [];
+    for (const [key, path] of targets) {
+      const diag = { key, path, ok: true, error: null, warning: null, records: 0, fromFallback: 0 };
+      files.push(diag);
+
+      let raw = null;
+      try {
+        raw = await readJson(path);
+        if (COLLECTION_KEYS.includes(key) && !Array.isArray(raw)) throw new Error("expected an array of records");
+        if (key === "config" && (!raw || typeof raw !== "object" || Array.isArray(raw))) throw new Error("expected an object");
+      } catch (e) {
+        diag.ok = false;
+        diag.error = e?.message || String(e);
+        raw = null;
+      }
+
+      if (COLLECTION_KEYS.includes(key)) {
+        const fallbackList = deepCopy(FALLBACK_DATA[key]).map(r => ({ ...r, sourceFile: "fallback" }));
+        const merged = mergeRecordsById(fallbackList, raw || [], path);
+        data[key] = merged.list;
+        diag.records = merged.added + merged.replaced;
+        diag.fromFallback = merged.list.length - diag.records;
+        const notes = [];
+        if (merged.skipped) notes.push(`${merged.skipped} record(s) without a string id were skipped`);
+        if (merged.duplicates.length) notes.push(`duplicate id(s), last one wins: ${merged.duplicates.join(", ")}`);
+        diag.warning = notes.length ? notes.join("; ") : null;
+      } else if (key === "config") {
+        data.config = mergeConfig(FALLBACK_DATA.config, raw);
+      } else {
+        data[key] = raw ?? deepCopy(FALLBACK_DATA[key]);
+        if (Array.isArray(data[key])) diag.records = data[key].length;
+      }
+    }
+    const usedFallback = files.some(f => !f.ok);
+
+    const { packs, conflicts } = await loadPacks(readJson, base, data);
+
+    // Normalize portraits list to an array of paths (supports array or {paths:[...]})
+    let __portraitPaths = [];
+    if (Array.isArray(data.portraits)) __portraitPaths = data.portraits;
+    else if (data.portraits && Array.isArray(data.portraits.paths)) __portraitPaths = data.portraits.paths;
+    data.portraits = (__portraitPaths || [])
+      .filter(p => typeof p === "string" && p.trim())
+      .map(normalizePortraitPath);
+
+    // Normalize: build item index, recipe index, etc.
+    const idx = {
+      itemsById: new Map(),
+      recipesById: new Map(),
+      stationsById: new Map(),
+      jobsById: new Map(),
+      biomesById: new Map(),
+      npcsById: new Map(),
+      animalsById: new Map(),
+      poisById: new Map(),
+      // perk/quirk id -> definition (first NPC that declares it wins)
+      traitsById: new Map()
+    };
+
+    // Some fallback recipes create "special" item; register it if present
+    for (const it of data.items) idx.itemsById.set(it.id, it);
+    for (const r of data.recipes) {
+      idx.recipesById.set(r.id, r);
+      if (r.special?.makeItem && !idx.itemsById.has(r.special.makeItem.id)) {
+        const specialItem = { ...deepCopy(r.special.makeItem), sourceFile: r.sourceFile };
+        data.items.push(specialItem);
+        idx.itemsById.set(specialItem.id, specialItem);
+      }
+    }
+    for (const s of data.stations) idx.stationsById.set(s.id, s);
+    for (const j of data.jobs) idx.jobsById.set(j.id, j);
+    // v0.2 core injections (so you can update JSON later without breaking saves)
+    function __injectItem(item) {
+      if (!idx.itemsById.has(item.id)) {
+        item.sourceFile = "engine";
+        data.items.push(item);
+        idx.itemsById.set(item.id, item);
+      }
+    }
+    function __injectJob(job) {
+      if (!idx.jobsById.has(job.id)) {
+        job.sourceFile = "engine";
+        data.jobs.push(job);
+        idx.jobsById.set(job.id, job);
+      }
+    }
+
+    // Water containers (used by Gather Water)
+    __injectItem({
+      id: "bottle_empty",
+      name: "Empty Bottle",
+      category: "container",
+      stackSize: 20,
+      desc: "A small container that can hold water.",
+      container: { waterUnits: 1, gatherSeconds: 30 }
+    });
+    __injectItem({
+      id: "milk_jug_empty",
+      name: "Empty Milk Jug",
+      category: "container",
+      stackSize: 10,
+      desc: "A larger container.",
+      container: { waterUnits: 5, gatherSeconds: 60 }
+    });
+    __injectItem({
+      id: "bucket_empty",
+      name: "Empty Bucket",
+      category: "container",
+      stackSize: 5,
+      desc: "A big bucket (awkward but efficient).",
+      container: { waterUnits: 10, gatherSeconds: 120 }
+    });
+
+    // Basic water item (dirty)
+    __injectItem({
+      id: "water_dirty",
+      name: "Dirty Water",
+      category: "water",
+      stackSize: 99,
+      desc: "Drinkable in a pinch. Risk of sickness.",
+      water: { thirst: 25, dirty: true }
+    });
+
+    // Special jobs
+    __injectJob({
+      id: "gather_water",
+      name: "Gather Water",
+      alwaysAvailable: true,
+      baseMinutes: 1,
+      desc: "Fill a container with water (you choose the container).",
+      safe: true,
+      xpSkill: "Wilderness",
+      variant: "gather_water",
+      yields: []
+    });
+
+    __injectJob({
+      id: "explore",
+      name: "Explore Nearby Tile",
+      alwaysAvailable: true,
+      baseMinutes: 25,
+      desc: "Send a crew member to scout a nearby tile and return with loot (requires rations in pockets).",
+      safe: false,
+      xpSkill: "Wilderness",
+      variant: "explore",
+      yields: []
+    });
+
+    for (const b of data.biomes) idx.biomesById.set(b.id, b);
+    for (const n of data.npcs) {
+      idx.npcsById.set(n.id, n);
+      for (const tr of [n.perk, n.quirk]) {
+        if (tr?.id && !idx.traitsById.has(tr.id)) idx.traitsById.set(tr.id, tr);
+      }
+    }
+    for (const a of data.animals) idx.animalsById.set(a.id, a);
+    for (const poi of data.pois) idx.poisById.set(poi.id, poi);
+
+    const issues = validateData({ data, idx });
+    const fileIssues = [];
+    for (const f of files) {
+      const file = f.path.split("/").pop();
+      if (!f.ok) fileIssues.push({ level: "error", file, id: null, message: `failed to load (${f.error}); using fallback records` });
+      if (f.warning) fileIssues.push({ level: "warn", file, id: null, message: f.warning });
+    }
+    for (const p of packs) {
+      const file = p.path.split("/").pop();
+      if (!p.ok) fileIssues.push({ level: "error", file, id: p.id, message: `pack failed to load (${p.error})` });
+      else if (p.error) fileIssues.push({ level: "warn", file, id: p.id, message: p.error });
+    }
+    for (const c of conflicts) {
+      fileIssues.push({ level: "warn", file: c.path.split("/").pop(), id: c.id, message: `overrides ${c.key} record from pack "${c.overrides}"` });
+    }
+    issues.unshift(...fileIssues);
+
+    return { data, idx, usedFallback, files, packs, conflicts, issues };
+  }
+
+  /* =========================
+     Content Validation
+     Shape + cross-reference checks over loaded data. Never throws; returns
+     issues as { level: "error"|"warn", file, id, message } so the browser can
+     show them in the admin overlay and Node can run them as a content lint.
+  ========================= */
+  const SKILL_IDS = ["Wilderness", "Scavenge", "Mechanics", "Cooking", "Medical", "Grit"];
+  const EQUIP_SLOTS = ["mainHand", "offHand", "body", "legs", "utility"];
+
+  function validateData(loadedData) {
+    const { data, idx } = loadedData;
+    const issues = [];
+    const report = (level, file, id, message) => issues.push({ level, file, id: id ?? null, message });
+
+    const isStr = (v) => typeof v === "string" && v.trim().length > 0;
+    const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+    const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+    const list = (key) => Array.isArray(data[key]) ? data[key] : [];
+    // Report against the file a record actually came from (it may be a fallback record)
+    const fileOf = (key, rec) => (rec?.sourceFile ? String(rec.sourceFile).split("/").pop() : `${key}.json`);
+
+    // Every collection: array of records with unique string ids and a name
+    for (const key of COLLECTION_KEYS) {
+      const file = `${key}.json`;
+      if (!Array.isArray(data[key])) {
+        report("error", file, null, "expected an array of records");
+        continue;
+      }
+      const seen = new Set();
+      data[key].forEach((rec, i) => {
+        if (!isObj(rec)) return report("error", file, `#${i}`, "record is not an object");
+        if (!isStr(rec.id)) report("error", file, `#${i}`, "missing string id");
+        else if (seen.has(rec.id)) report("error", file, rec.id, "duplicate id");
+        else seen.add(rec.id);
+        if (!isStr(rec.name)) report("warn", file, rec.id ?? `#${i}`, "missing name");
+      });
+    }
+
+    // Config: numeric tunables the simulation reads directly
+    const cfg = data.config;
+    if (!isObj(cfg)) {
+      report("error", "config.json", null, "expected an object");
+    } else {
+      for (const k of ["tilePrecision", "maxLogEntries", "jobStrenuousDrainMultiplier", "autoConsumeThreshold", "autoConsumeAmountTarget", "idleMaxCyclesPerSim", "armorWearPerHit"]) {
+        if (!isNum(cfg[k])) report("error", "config.json", k, "expected a number");
+      }
+      if (!isStr(cfg.worldSeed)) report("error", "config.json", "worldSeed", "expected a string");
+      for (const k of ["hungerPerMin", "thirstPerMin", "moraleRecoverPerMinRest"]) {
+        if (!isNum(cfg.drains?.[k])) report("error", "config.json", `drains.${k}`, "expected a number");
+      }
+      for (const k of ["tankCapacity", "startFuel", "fuelPerTile", "minutesPerTile", "maxTilesCharged", "moralePerTile"]) {
+        if (!isNum(cfg.travel?.[k])) report("error", "config.json", `travel.${k}`, "expected a number");
+      }
+      const wx = cfg.weather;
+      if (!isObj(wx) || !isObj(wx.states) || !Object.keys(wx.states).length) {
+        report("error", "config.json", "weather.states", "expected an object of weather states");
+      } else {
+        for (const k of ["regionPrecision", "blockHours", "persist"]) {
+          if (!isNum(wx[k])) report("error", "config.json", `weather.${k}`, "expected a number");
+        }
+        for (const [id, st] of Object.entries(wx.states)) {
+          if (!isNum(st?.weight) || st.weight < 0) report("error", "config.json", `weather.states.${id}`, "weight should be a non-negative number");
+          for (const k of WEATHER_EFFECTS) {
+            if (st?.[k] != null && !isNum(st[k])) report("error", "config.json", `weather.states.${id}`, `${k} should be a number`);
+          }
+        }
+        for (const [tag, weights] of Object.entries(wx.biomeTagWeights || {})) {
+          for (const id of Object.keys(weights || {})) {
+            if (!wx.states[id]) report("warn", "config.json", `weather.biomeTagWeights.${tag}`, `unknown weather state "${id}"`);
+          }
+        }
+      }
+      for (const k of ["dayStartHour", "nightStartHour", "twilightDeg", "nightRiskMult", "nightYieldMult", "nightWorkMoralePerHour"]) {
+        if (!isNum(cfg.dayNight?.[k])) report("error", "config.json", `dayNight.${k}`, "expected a number");
+      }
+      for (const k of ["costFraction", "tierCostMult", "maxLossPerRepair", "minMaxFraction"]) {
+        if (!isNum(cfg.repair?.[k])) report("error", "config.json", `repair.${k}`, "expected a number");
+      }
+      const veh = cfg.vehicle;
+      if (!veh || typeof veh.components !== "object" || !Object.keys(veh.components).length) {
+        report("error", "config.json", "vehicle.components", "expected an object of RV components");
+      } else {
+        for (const k of ["wornAt", "brokenStationSpeed"]) {
+          if (!isNum(veh[k])) report("error", "config.json", `vehicle.${k}`, "expected a number");
+        }
+        for (const [id, comp] of Object.entries(veh.components)) {
+          if (!isNum(comp?.wearPerTile)) report("error", "config.json", `vehicle.components.${id}`, "wearPerTile should be a number");
+          if (!["noTravel", "stationOutput", undefined].includes(comp?.whenBroken)) report("warn", "config.json", `vehicle.components.${id}`, `unknown whenBroken "${comp.whenBroken}"`);
+        }
+        for (const ev of (veh.roadEvents || [])) {
+          if (!veh.components[ev?.component]) report("error", "config.json", "vehicle.roadEvents", `unknown component "${ev?.component}"`);
+          else if (!isNum(ev.chancePerTile) || !isNum(ev.damage)) report("error", "config.json", "vehicle.roadEvents", `${ev.component}: chancePerTile and damage should be numbers`);
+        }
+      }
+      for (const k of ["starvingPerMin", "dehydratedPerMin", "minorInjuryPerMin", "majorInjuryPerMin", "sicknessPerMin", "regenPerMinFed", "regenPerMinRest", "fedThreshold", "bleedOutMin", "downedRecoverAt"]) {
+        if (!isNum(cfg.health?.[k])) report("error", "config.json", `health.${k}`, "expected a number");
+      }
+    }
+
+    if (!Array.isArray(data.portraits)) report("error", "portraits.json", null, "expected an array of paths");
+
+    // Cross-reference helpers
+    const biomeTags = new Set(list("biomes").flatMap(b => Array.isArray(b.tags) ? b.tags : []));
+    const toolTags = new Set(list("items").map(it => it.tool?.tag).filter(Boolean));
+
+    const checkItem = (file, id, itemId, where) => {
+      if (!idx.itemsById.has(itemId)) report("error", file, id, `${where} references unknown item "${itemId}"`);
+    };
+    const checkQtyList = (file, id, list, where, { allowZero = false } = {}) => {
+      if (list == null) return;
+      if (!Array.isArray(list)) return report("error", file, id, `${where} should be an array`);
+      for (const e of list) {
+        if (!isObj(e) || !isStr(e.id)) { report("error", file, id, `${where} entry is missing an item id`); continue; }
+        checkItem(file, id, e.id, where);
+        if (e.qty != null && (!isNum(e.qty) || e.qty < 0 || (!allowZero && e.qty === 0))) {
+          report("warn", file, id, `${where} "${e.id}" has a bad qty (${e.qty})`);
+        }
+      }
+    };
+    const checkYieldList = (file, id, list, where) => {
+      if (list == null) return;
+      if (!Array.isArray(list)) return report("error", file, id, `${where} should be an array`);
+      for (const y of list) {
+        if (!isObj(y) || !isStr(y.id)) { report("error", file, id, `${where} entry is missing an item id`); continue; }
+        checkItem(file, id, y.id, where);
+        if (y.min != null && y.max != null && y.max < y.min) report("warn", file, id, `${where} "${y.id}" has max < min`);
+        if (y.chance != null && (!isNum(y.chance) || y.chance < 0 || y.chance > 1)) report("warn", file, id, `${where} "${y.id}" chance must be 0..1`);
+      }
+    };
+
+    // Trait/gear mods (see TRAIT_MOD_TYPES)
+    const checkMods = (file, id, mods, where) => {
+      if (mods == null) return;
+      if (!Array.isArray(mods)) return report("error", file, id, `${where} should be an array`);
+      for (const mod of mods) {
+        if (!isObj(mod) || !TRAIT_MOD_TYPES.includes(mod.type)) { report("error", file, id, `${where} has an unknown type "${mod?.type}"`); continue; }
+        if (mod.skill != null && !SKILL_IDS.includes(mod.skill)) report("error", file, id, `${where} references unknown skill "${mod.skill}"`);
+        for (const jobId of (mod.jobs || [])) {
+          if (!idx.jobsById.has(jobId)) report("warn", file, id, `${where} references unknown job "${jobId}"`);
+        }
+        for (const itemId of (mod.items || []).concat(mod.exceptItems || [])) checkItem(file, id, itemId, where);
+        for (const stId of (mod.stations || [])) {
+          if (!idx.stationsById.has(stId)) report("warn", file, id, `${where} references unknown station "${stId}"`);
+        }
+        for (const bId of (mod.biomes || [])) {
+          if (!idx.biomesById.has(bId)) report("warn", file, id, `${where} references unknown biome "${bId}"`);
+        }
+        if (mod.type === "recovery" && !["sickness", "injury"].includes(mod.kind)) report("error", file, id, `${where} "recovery" needs kind "sickness" or "injury"`);
+        if (mod.type === "storageMorale" && !isNum(mod.above)) report("error", file, id, `${where} "storageMorale" is missing its above number`);
+        if (mod.type === "needsTool") continue;
+        const key = ["foodPref", "jobMorale"].includes(mod.type) ? "morale"
+          : (["biomeMorale", "storageMorale", "idleMorale", "crewMorale"].includes(mod.type) ? "perHour" : "mult");
+        if (!isNum(mod[key])) report("error", file, id, `${where} "${mod.type}" is missing its ${key} number`);
+      }
+    };
+
+    // Recipe/job seasons: { only: [...], time|yield: { season: mult } }
+    const checkSeasons = (file, id, rule, tables) => {
+      if (rule == null) return;
+      if (!isObj(rule)) return report("error", file, id, "seasons should be an object");
+      if (rule.only != null && !Array.isArray(rule.only)) report("error", file, id, "seasons.only should be an array");
+      for (const se of (Array.isArray(rule.only) ? rule.only : [])) {
+        if (!SEASONS.includes(se)) report("error", file, id, `seasons.only: unknown season "${se}"`);
+      }
+      for (const k of Object.keys(rule)) {
+        if (k !== "only" && !tables.includes(k)) report("warn", file, id, `seasons.${k} is not used here (expected ${tables.join(" or ")})`);
+      }
+      for (const k of tables) {
+        for (const [se, v] of Object.entries(rule[k] || {})) {
+          if (!SEASONS.includes(se)) report("error", file, id, `seasons.${k}: unknown season "${se}"`);
+          else if (!isNum(v) || v <= 0) report("error", file, id, `seasons.${k}.${se} should be a positive number`);
+        }
+      }
+    };
+
+    // Items
+    for (const it of list("items")) {
+      if (!isObj(it) || !isStr(it.id)) continue;
+      if (!isStr(it.category)) report("warn", fileOf("items", it), it.id, "missing category");
+      if (!Number.isInteger(it.stackSize) || it.stackSize < 1) report("error", fileOf("items", it), it.id, "stackSize must be a positive integer");
+      if (it.equipSlot != null && !EQUIP_SLOTS.includes(it.equipSlot)) report("error", fileOf("items", it), it.id, `unknown equipSlot "${it.equipSlot}"`);
+      if ((it.tool || it.armor) && !it.equipSlot) report("warn", fileOf("items", it), it.id, "tool/armor has no equipSlot");
+      if (it.tool && !isStr(it.tool.tag)) report("error", fileOf("items", it), it.id, "tool is missing a tag");
+      if (it.category === "container" && !isObj(it.container)) report("warn", fileOf("items", it), it.id, "container has no container stats (Gather Water can't use it)");
+      if (it.fuel != null && !(isNum(it.fuel.units) && it.fuel.units > 0)) report("error", fileOf("items", it), it.id, "fuel.units should be a positive number");
+      if (it.mods != null && !it.equipSlot) report("warn", fileOf("items", it), it.id, "mods only apply to equipped gear, but this item has no equipSlot");
+      checkMods(fileOf("items", it), it.id, it.mods, "mods");
+      for (const src of (it.sources || [])) {
+        for (const b of (src.biomes || [])) {
+          if (b !== "*" && !idx.biomesById.has(b)) report("warn", fileOf("items", it), it.id, `source biome "${b}" does not exist`);
+        }
+        for (const m of (src.methods || [])) {
+          if (!idx.jobsById.has(m)) report("warn", fileOf("items", it), it.id, `source method "${m}" is not a job`);
+        }
+      }
+    }
+
+    checkQtyList("config.json", "repair.fallbackInputs", data.config?.repair?.fallbackInputs, "fallbackInputs");
+
+    // Recipes
+    for (const r of list("recipes")) {
+      if (!isObj(r) || !isStr(r.id)) continue;
+      if (!isStr(r.station)) report("error", fileOf("recipes", r), r.id, "missing station");
+      else if (!idx.stationsById.has(r.station)) report("error", fileOf("recipes", r), r.id, `station "${r.station}" is not defined in stations.json`);
+      if (!isNum(r.timeSec) || r.timeSec <= 0) report("warn", fileOf("recipes", r), r.id, "timeSec should be a positive number");
+      if (r.stationLevel != null && !Number.isInteger(r.stationLevel)) report("warn", fileOf("recipes", r), r.id, "stationLevel should be an integer");
+      checkQtyList(fileOf("recipes", r), r.id, r.inputs, "inputs");
+      checkSeasons(fileOf("recipes", r), r.id, r.seasons, ["time"]);
+      // outputs may carry qty 0 when a special.makeItem produces the real result
+      checkQtyList(fileOf("recipes", r), r.id, r.outputs, "outputs", { allowZero: !!r.special });
+      if (r.special?.makeItem && !isStr(r.special.makeItem.id)) report("error", fileOf("recipes", r), r.id, "special.makeItem is missing an id");
+      if (r.special?.repairRv) {
+        const fix = r.special.repairRv;
+        if (!data.config?.vehicle?.components?.[fix.component]) report("error", fileOf("recipes", r), r.id, `special.repairRv: unknown RV component "${fix.component}"`);
+        if (!(isNum(fix.amount) && fix.amount > 0)) report("error", fileOf("recipes", r), r.id, "special.repairRv.amount should be a positive number");
+      }
+    }
+
+    // Stations
+    for (const st of list("stations")) {
+      if (!isObj(st) || !isStr(st.id)) continue;
+      if (!Array.isArray(st.levels) || st.levels.length === 0) {
+        report("error", fileOf("stations", st), st.id, "levels should be a non-empty array");
+        continue;
+      }
+      st.levels.forEach((lv, i) => {
+        if (lv.level !== i) report("warn", fileOf("stations", st), st.id, `levels[${i}] has level ${lv.level}`);
+        checkQtyList(fileOf("stations", st), st.id, lv.cost, `level ${i} cost`);
+        for (const fx of (lv.effects || [])) {
+          if (fx.station && !idx.stationsById.has(fx.station)) report("error", fileOf("stations", st), st.id, `level ${i} effect targets unknown station "${fx.station}"`);
+        }
+      });
+    }
+
+    // Jobs
+    for (const j of list("jobs")) {
+      if (!isObj(j) || !isStr(j.id)) continue;
+      if (j.baseSec == null && j.baseMinutes == null) report("warn", fileOf("jobs", j), j.id, "missing baseSec");
+      if (j.xpSkill && !SKILL_IDS.includes(j.xpSkill)) report("error", fileOf("jobs", j), j.id, `unknown xpSkill "${j.xpSkill}"`);
+      if (j.toolTag && !toolTags.has(j.toolTag)) report("warn", fileOf("jobs", j), j.id, `no item provides toolTag "${j.toolTag}"`);
+      if (j.requiresItem) checkItem(fileOf("jobs", j), j.id, j.requiresItem, "requiresItem");
+      if (j.toolRequired && !isStr(j.toolTag)) report("error", fileOf("jobs", j), j.id, "toolRequired needs a toolTag");
+      if (j.weatherTags != null) {
+        const known = new Set(Object.entries(data.config?.weather?.states || {}).flatMap(([id, st]) => [id, ...(st.tags || [])]));
+        if (!Array.isArray(j.weatherTags)) report("error", fileOf("jobs", j), j.id, "weatherTags should be an array");
+        else for (const tag of j.weatherTags) {
+          if (!known.has(tag)) report("warn", fileOf("jobs", j), j.id, `weatherTags: no weather state is "${tag}" or tagged "${tag}"`);
+        }
+      }
+      checkSeasons(fileOf("jobs", j), j.id, j.seasons, ["yield"]);
+      if (j.animals != null && !["land", "water"].includes(j.animals)) report("error", fileOf("jobs", j), j.id, `animals should be "land" or "water"`);
+      if (j.animalChance != null && !(isNum(j.animalChance) && j.animalChance >= 0 && j.animalChance <= 1)) report("warn", fileOf("jobs", j), j.id, "animalChance must be 0..1");
+      if (j.timeOfDay != null) {
+        const tod = j.timeOfDay;
+        for (const ph of (tod.phases || [])) {
+          if (!DAY_PHASES.includes(ph)) report("error", fileOf("jobs", j), j.id, `timeOfDay.phases: unknown phase "${ph}"`);
+        }
+        for (const k of ["yield", "risk"]) {
+          for (const [ph, v] of Object.entries(tod[k] || {})) {
+            if (!DAY_PHASES.includes(ph)) report("error", fileOf("jobs", j), j.id, `timeOfDay.${k}: unknown phase "${ph}"`);
+            else if (!isNum(v) || v < 0) report("error", fileOf("jobs", j), j.id, `timeOfDay.${k}.${ph} should be a non-negative number`);
+          }
+        }
+      }
+      for (const tag of (j.biomeTags || [])) {
+        if (!biomeTags.has(tag)) report("error", fileOf("jobs", j), j.id, `biomeTag "${tag}" matches no biome`);
+      }
+      if (!j.alwaysAvailable && !(j.biomeTags || []).length && !(j.pois || []).length) report("warn", fileOf("jobs", j), j.id, "not alwaysAvailable and has no biomeTags or pois (never offered)");
+      if (j.pois != null) {
+        if (!Array.isArray(j.pois)) report("error", fileOf("jobs", j), j.id, "pois should be an array of POI ids");
+        else {
+          const stocked = new Set();
+          for (const poiId of j.pois) {
+            const poi = idx.poisById.get(poiId);
+            if (!poi) report("error", fileOf("jobs", j), j.id, `pois: unknown POI "${poiId}"`);
+            for (const l of (poi?.loot || [])) stocked.add(l.id);
+          }
+          for (const y of (j.yields || [])) {
+            if (y?.id && !stocked.has(y.id)) report("warn", fileOf("jobs", j), j.id, `yields "${y.id}", which none of its POIs carry (it will never drop)`);
+          }
+        }
+      }
+      checkYieldList(fileOf("jobs", j), j.id, j.yields, "yields");
+      if (j.risk != null) {
+        if (!isObj(j.risk)) report("error", fileOf("jobs", j), j.id, "risk should be an object");
+        else for (const [k, v] of Object.entries(j.risk)) {
+          if (!isNum(v) || v < 0 || v > 1) report("warn", fileOf("jobs", j), j.id, `risk.${k} must be 0..1`);
+        }
+      }
+    }
+
+    // Biomes
+    for (const b of list("biomes")) {
+      if (!isObj(b) || !isStr(b.id)) continue;
+      if (!isNum(b.weight) || b.weight < 0) report("warn", fileOf("biomes", b), b.id, "weight should be a non-negative number");
+      if (!Array.isArray(b.tags)) report("warn", fileOf("biomes", b), b.id, "tags should be an array");
+      for (const itemId of Object.keys(b.yieldMult || {})) checkItem(fileOf("biomes", b), b.id, itemId, "yieldMult");
+      if (b.pois != null) {
+        const pt = b.pois;
+        if (!isObj(pt) || !Array.isArray(pt.table)) report("error", fileOf("biomes", b), b.id, "pois should be { rolls, chance, table: [{ id, weight }] }");
+        else {
+          if (pt.rolls != null && !(Number.isInteger(pt.rolls) && pt.rolls >= 0)) report("error", fileOf("biomes", b), b.id, "pois.rolls should be a non-negative integer");
+          if (pt.chance != null && !(isNum(pt.chance) && pt.chance >= 0 && pt.chance <= 1)) report("warn", fileOf("biomes", b), b.id, "pois.chance must be 0..1");
+          for (const e of pt.table) {
+            if (!idx.poisById.has(e?.id)) report("error", fileOf("biomes", b), b.id, `pois.table references unknown POI "${e?.id}"`);
+            if (!isNum(e?.weight) || e.weight < 0) report("warn", fileOf("biomes", b), b.id, `pois.table "${e?.id}" has a bad weight (${e?.weight})`);
+          }
+        }
+      }
+    }
+
+    // Points of interest
+    for (const poi of list("pois")) {
+      if (!isObj(poi) || !isStr(poi.id)) continue;
+      if (!isStr(poi.name)) report("warn", fileOf("pois", poi), poi.id, "missing name");
+      if (!Array.isArray(poi.loot) || !poi.loot.length) report("warn", fileOf("pois", poi), poi.id, "has no loot (its jobs will never yield anything)");
+      checkYieldList(fileOf("pois", poi), poi.id, poi.loot, "loot");
+    }
+
+    // NPCs
+    for (const n of list("npcs")) {
+      if (!isObj(n) || !isStr(n.id)) continue;
+      if (n.biomeWeights != null) {
+        if (!isObj(n.biomeWeights)) report("error", fileOf("npcs", n), n.id, "biomeWeights should be an object of biomeId -> weight");
+        else for (const [bId, w] of Object.entries(n.biomeWeights)) {
+          if (!idx.biomesById.has(bId)) report("warn", fileOf("npcs", n), n.id, `biomeWeights references unknown biome "${bId}"`);
+          if (!isNum(w) || w < 0) report("warn", fileOf("npcs", n), n.id, `biomeWeights "${bId}" has a bad weight (${w})`);
+        }
+      }
+      if (n.recruit != null) {
+        checkQtyList(fileOf("npcs", n), n.id, n.recruit.items, "recruit.items");
+        if (n.recruit.minMorale != null && !isNum(n.recruit.minMorale)) report("warn", fileOf("npcs", n), n.id, "recruit.minMorale should be a number");
+      }
+      if (!isObj(n.stats)) report("error", fileOf("npcs", n), n.id, "missing stats");
+      else for (const skill of Object.keys(n.stats)) {
+        if (!SKILL_IDS.includes(skill)) report("error", fileOf("npcs", n), n.id, `unknown skill "${skill}"`);
+      }
+      for (const k of ["perk", "quirk"]) {
+        if (n[k] != null && (!isObj(n[k]) || !isStr(n[k].id))) report("warn", fileOf("npcs", n), n.id, `${k} should be an object with an id`);
+        checkMods(fileOf("npcs", n), n.id, n[k]?.mods, `${k}.mods`);
+      }
+    }
+
+    // Animals
+    for (const a of list("animals")) {
+      if (!isObj(a) || !isStr(a.id)) continue;
+      for (const b of (a.biomes || [])) {
+        if (!idx.biomesById.has(b)) report("error", fileOf("animals", a), a.id, `biome "${b}" does not exist`);
+      }
+      checkYieldList(fileOf("animals", a), a.id, a.drops, "drops");
+      if (a.kind != null && !["land", "water"].includes(a.kind)) report("error", fileOf("animals", a), a.id, `kind should be "land" or "water"`);
+      for (const ph of (a.active || [])) {
+        if (!DAY_PHASES.includes(ph)) report("error", fileOf("animals", a), a.id, `active: unknown phase "${ph}"`);
+      }
+    }
+
+    return issues;
+  }
+
+  /* =========================
+     Seeded RNG (per save)
+     - state.meta.rngSeed is created once per run and travels with the save
+     - every roll uses a keyed sub-stream ("job", "consume", "uid", ...);
+       stream positions live in state.meta.rngCounters, so replaying the
+       same save against the same clock gives identical results
+  ========================= */
+  function ensureRngState(state) {
+    state.meta = state.meta || {};
+    if (!state.meta.rngSeed) {
+      // Saves from before seeding: derive a stable seed from the run's creation time.
+      state.meta.rngSeed = `legacy_${hashStringToUint(String(state.meta.createdAt ?? 0))}`;
+    }
+    if (!state.meta.rngCounters || typeof state.meta.rngCounters !== "object") state.meta.rngCounters = {};
+    return state.meta;
+  }
+
+  function rngFor(state, key) {
+    const meta = ensureRngState(state);
+    return function () {
+      const n = meta.rngCounters[key] || 0;
+      meta.rngCounters[key] = n + 1;
+      return mulberry32(hashStringToUint(`${meta.rngSeed}|${key}|${n}`))();
+    };
+  }
+
+  /* =========================
+     Save Schema + Migrations
+     - state.meta.schemaVersion is the shape of the save (meta.version is just the data/config version)
+     - saves without it are schema 0 (every build before this existed)
+     - each migration upgrades exactly one step; add new ones at the end and bump SAVE_SCHEMA_VERSION
+  ========================= */
+  const SAVE_SCHEMA_VERSION = 6;
+
+  const SAVE_MIGRATIONS = [
+    {
+      to: 1,
+      desc: "Fill in containers older builds did not always write",
+      up(state) {
+        if (!state.queues) state.queues = { jobsByCharId: {}, craftsByStationId: {} };
+        if (!state.queues.jobsByCharId) state.queues.jobsByCharId = {};
+        if (!state.queues.craftsByStationId) state.queues.craftsByStationId = {};
+        if (!state.world) state.world = { discoveredTiles: {} };
+        if (!state.world.discoveredTiles) state.world.discoveredTiles = {};
+        // Older builds seeded rolls from state.time.ticks
+        if (!state.time) state.time = { ticks: 0 };
+        if (typeof state.time.ticks !== "number") state.time.ticks = 0;
+        if (!state.rv) state.rv = {};
+        if (!state.rv.stations) state.rv.stations = {};
+        if (!state.rv.storage) state.rv.storage = { capacity: 0, stacks: [], instances: [] };
+        if (!Array.isArray(state.rv.storage.stacks)) state.rv.storage.stacks = [];
+        if (!Array.isArray(state.rv.storage.instances)) state.rv.storage.instances = [];
+        if (state.meta.lastSimAt == null) state.meta.lastSimAt = nowReal() + (state.meta.timeOffsetMs || 0);
+        if (state.meta.timeOffsetMs == null) state.meta.timeOffsetMs = 0;
+        if (!Array.isArray(state.log)) state.log = [];
+      }
+    },
+    {
+      to: 2,
+      desc: "Per-save RNG streams and active content packs",
+      up(state) {
+        // A few old builds kept the seed at the top level
+        if (!state.meta.rngSeed && typeof state.rngSeed === "string" && state.rngSeed) state.meta.rngSeed = state.rngSeed;
+        delete state.rngSeed;
+        ensureRngState(state);
+        if (!Array.isArray(state.meta.packs)) state.meta.packs = [];
+      }
+    },
+    {
+      to: 3,
+      desc: "Crew history (dismissed and fallen crew)",
+      up(state) {
+        if (!Array.isArray(state.crew.history)) state.crew.history = [];
+      }
+    },
+    {
+      to: 4,
+      desc: "RV fuel tank and travel",
+      up(state) {
+        // 30 matches the default travel.startFuel; capacity is recomputed from stations on load
+        if (!state.rv.fuel || typeof state.rv.fuel !== "object") state.rv.fuel = { level: 30, capacity: 0 };
+        if (state.rv.travel === undefined) state.rv.travel = null;
+      }
+    },
+    {
+      to: 5,
+      desc: "RV component condition",
+      up(state) {
+        // missing components are filled at 100 by recomputeDerivedStats
+        if (!state.rv.components || typeof state.rv.components !== "object") state.rv.components = {};
+      }
+    },
+    {
+      to: 6,
+      desc: "Tile points of interest",
+      up(state) {
+        // null = not rolled yet; tilePois() rolls them from the world seed on the next visit
+        for (const tile of Object.values(state.world.discoveredTiles || {})) {
+          if (tile && !Array.isArray(tile.pois)) tile.pois = null;
+        }
+      }
+    }
+  ];
+
+  // Upgrades a parsed save in place, one schema step at a time.
+  // Returns { ok, state, from, to, applied } or { ok: false, reason }.
+  function migrateState(state) {
+    if (!state || typeof state !== "object" || Array.isArray(state)) return { ok: false, reason: "Not a save (expected a JSON object)." };
+    if (!state.meta || typeof state.meta !== "object") state.meta = {};
+
+    const from = Number.isInteger(state.meta.schemaVersion) ? state.meta.schemaVersion : 0;
+    if (from > SAVE_SCHEMA_VERSION) {
+      return { ok: false, reason: `This save uses schema v${from}, but this build only understands up to v${SAVE_SCHEMA_VERSION}. Update the game to load it.` };
+    }
+
+    const applied = [];
+    for (const m of SAVE_MIGRATIONS) {
+      if (m.to <= from) continue;
+      try {
+        m.up(state);
+      } catch (e) {
+        console.error(e);
+        return { ok: false, reason: `Upgrading this save to schema v${m.to} failed (${e?.message || e}).` };
+      }
+      state.meta.schemaVersion = m.to;
+      applied.push(m.to);
+    }
+
+    if (!Array.isArray(state.crew?.members) || state.crew.members.length === 0) {
+      return { ok: false, reason: "This save has no crew." };
+    }
+
+    return { ok: true, state, from, to: state.meta.schemaVersion, applied };
+  }
+
+  /* =========================
+     Game State Model
+  ========================= */
+  function defaultNewGameState(loadedData, opts = {}) {
+    const { data } = loadedData;
+    const ts = nowReal();
+
+    // Base RV modules: levels (stationId -> level)
+    const rvStations = {};
+    for (const st of data.stations) rvStations[st.id] = 0;
+
+    const state = {
+      meta: {
+        version: data.config.version || "0.1",
+        schemaVersion: SAVE_SCHEMA_VERSION,
+        // The only unseeded roll in a run: everything after this derives from rngSeed.
+        rngSeed: (opts.seed != null) ? String(opts.seed) : uid("seed"),
+        rngCounters: {},
+        // content packs active when this save was made
+        packs: activePackList(loadedData),
+        createdAt: ts,
+        lastSimAt: ts,
+        timeOffsetMs: 0,
+        useSimTimeForDayNight: false,
+        // crew left downed past config.health.bleedOutMin die (the player never does)
+        permadeath: !!opts.permadeath,
+        tutorialDone: false,
+        firstTileId: null,
+        lastKnownLat: null,
+        lastKnownLon: null,
+        lastTileId: null
+      },
+
+      world: {
+        discoveredTiles: {
+          // tileId: { biomeId, createdAt, pois: [{ id, loot: { itemId: qty } }], poiIds: [], tutorialOverlay: bool }
+        }
+      },
+
+      rv: {
+        name: "Rusty Rambler",
+        stations: rvStations,
+        fuel: {
+          level: data.config.travel?.startFuel ?? 30,
+          capacity: 0 // computed from station effects
+        },
+        // { fromTileId, toTileId, startAt, durationMs, tiles, fuel } while driving
+        travel: null,
+        // componentId -> condition 0..100 (see config.vehicle)
+        components: Object.fromEntries(Object.keys(data.config.vehicle?.components || {}).map(id => [id, 100])),
+        // shared storage: stacks + individual instances
+        storage: {
+          capacity: 0, // computed from station effects
+          rationPrefs: {}, // itemId -> boolean (persist rations even when stacks hit 0)
+          stacks: [
+            // { itemId, qty, isRationAllowed? } (only for food)
+          ],
+          instances: [
+            // { uid, itemId, durability, equippedTo? }
+          ]
+        }
+      },
+
+      crew: {
+        members: [],
+        // former crew: { charId, templateId, name, perk, quirk, portraitPath, joinedAt, leftAt, reason: "dismissed"|"died" }
+        history: [],
+        // recruitable NPCs can appear on tile overlays
+        maxCrew: 2
+      },
+
+      queues: {
+        // per character id: jobQueue[]
+        jobsByCharId: {},
+        // per station id: craftQueue[]
+        craftsByStationId: {}
+      },
+
+      log: [] // {ts, text, type, actorId?}
+    };
+
+    const player = makeCharacter({
+      name: "Rover",
+      isPlayer: true,
+      baseStats: { Wilderness: 2, Scavenge: 1, Mechanics: 1, Cooking: 1, Medical: 1, Grit: 2 },
+      startingGear: [
+        // Equip pocket knife + basic clothes
+        { itemId: "knife_pocket", equip: true },
+        { itemId: "clothes_basic", equip: true }
+      ],
+      startingPockets: [],
+      idleBehavior: "rest",
+      rng: rngFor(state, "uid")
+    }, loadedData);
+    state.crew.members.push(player);
+
+    // Initialize per-station craft queues
+    for (const st of data.stations) {
+      state.queues.craftsByStationId[st.id] = [];
+    }
+    // Initialize per-char job queues
+    for (const c of state.crew.members) {
+      state.queues.jobsByCharId[c.id] = [];
+    }
+
+    // Starter supplies in RV storage
+    addItemToStorage(state, loadedData, "ration_basic", 4, { rationAllowed: true });
+    addItemToStorage(state, loadedData, "water_clean", 4);
+    addItemToStorage(state, loadedData, "water_dirty", 1);
+
+    // v0.2: start with a basic container so Gather Water is immediately usable
+    addItemToStorage(state, loadedData, "bottle_empty", 1);
+
+    recomputeDerivedStats(state, loadedData);
+    pushLog(state, "Welcome aboard the Rusty Rambler.", "system");
+
+    return state;
+  }
+
+  // Compares a save against the loaded content: packs it was made with that are not active now,
+  // and any item/job/recipe/station ids it references that no longer exist.
+  function checkSaveContent(state, loadedData) {
+    const { idx } = loadedData;
+    const activeIds = new Set(activePackList(loadedData).map(p => p.id));
+    const missingPacks = (state.meta?.packs || []).filter(p => p?.id && !activeIds.has(p.id));
+
+    const items = new Set();
+    const jobs = new Set();
+    const recipes = new Set();
+    const stations = new Set();
+    const checkItem = (id) => { if (id && !idx.itemsById.has(id)) items.add(id); };
+
+    const storage = state.rv?.storage || {};
+    for (const st of (storage.stacks || [])) checkItem(st.itemId);
+    for (const inst of (storage.instances || [])) checkItem(inst.itemId);
+    for (const c of (state.crew?.members || [])) {
+      for (const st of (c.pockets?.stacks || [])) checkItem(st.itemId);
+      for (const inst of (c.pockets?.instances || [])) checkItem(inst.itemId);
+    }
+    for (const q of Object.values(state.queues?.jobsByCharId || {})) {
+      for (const j of (q || [])) if (!idx.jobsById.has(j.jobId)) jobs.add(j.jobId);
+    }
+    for (const [stationId, q] of Object.entries(state.queues?.craftsByStationId || {})) {
+      if ((q || []).length && !idx.stationsById.has(stationId)) stations.add(stationId);
+      for (const c of (q || [])) if (!idx.recipesById.has(c.recipeId)) recipes.add(c.recipeId);
+    }
+    for (const [stationId, level] of Object.entries(state.rv?.stations || {})) {
+      if (level > 0 && !idx.stationsById.has(stationId)) stations.add(stationId);
+    }
+
+    const result = {
+      missingPacks,
+      missingItems: [...items],
+      missingJobs: [...jobs],
+      missingRecipes: [...recipes],
+      missingStations: [...stations]
+    };
+    result.ok = !missingPacks.length && !items.size && !jobs.size && !recipes.size && !stations.size;
+    return result;
+  }
+
+  function makeCharacter({ name, isPlayer, baseStats, startingGear = [], startingPockets = [], idleBehavior = "rest", rng = Math.random }, loadedData) {
+    const { idx } = loadedData;
+    const char = {
+      id: uid(isPlayer ? "player" : "npc", rng),
+      name,
+      isPlayer: !!isPlayer,
+      stats: deepCopy(baseStats),
+      xp: { Wilderness: 0, Scavenge: 0, Mechanics: 0, Cooking: 0, Medical: 0, Grit: 0 },
+      needs: {
+        hunger: 80,
+        thirst: 80,
+        morale: 70,
+        health: 100
+      },
+      moodlets: [
+        // { id, name, endsAt, moraleDelta, note }
+      ],
+      conditions: {
+        sickness: null, // { id, name, endsAt, severity }
+        injury: null,   // { id, name, endsAt, severity: "minor"|"major" }
+        downed: false
+      },
+      idleBehavior, // "rest" or jobId like "forage"
+      autoTreat: false, // use medical items from RV storage on injury/sickness
+      pockets: {
+        capacity: 6,
+        stacks: deepCopy(startingPockets),
+        instances: []
+      },
+      equipment: {
+        mainHand: null,
+        offHand: null,
+        body: null,
+        legs: null,
+        utility: null
+      }
+    };
+
+    // Apply starting gear as instances; store on character, not RV
+    for (const g of startingGear) {
+      const itemDef = idx.itemsById.get(g.itemId);
+      if (!itemDef) continue;
+      if (itemDef.stackSize !== 1) continue;
+      const inst = makeInstance(itemDef, rng);
+      char.pockets.instances.push(inst);
+      if (g.equip && itemDef.equipSlot) {
+        equipInstanceOnChar(char, inst.uid, loadedData);
+      }
+    }
+
+    return char;
+  }
+
+  function makeInstance(itemDef, rng = Math.random) {
+    const inst = {
+      uid: uid("inst", rng),
+      itemId: itemDef.id,
+      durability: null
+    };
+    if (itemDef.tool?.durabilityMax) inst.durability = itemDef.tool.durabilityMax;
+    if (itemDef.armor?.durabilityMax) inst.durability = itemDef.armor.durabilityMax;
+    return inst;
+  }
+
+  /* =========================
+     Derived Stats / Effects
+  ========================= */
+  function recomputeDerivedStats(state, loadedData) {
+    // Storage capacity, crew cap, station levels, etc.
+    const { data } = loadedData;
+
+    // Apply station effects
+    let storageCap = 40; // base if no station data
+    let crewCap = 1;
+    let fuelCap = data.config.travel?.tankCapacity ?? 40;
+
+    for (const st of data.stations) {
+      const level = state.rv.stations[st.id] ?? 0;
+      const lvlDef = st.levels.find(x => x.level === level) || st.levels[0];
+      if (!lvlDef) continue;
+
+      for (const eff of (lvlDef.effects || [])) {
+        if (eff.type === "storageCap") storageCap = eff.value;
+        if (eff.type === "crewCap") crewCap = eff.value;
+        if (eff.type === "fuelCap") fuelCap = eff.value;
+      }
+    }
+
+    state.rv.storage.capacity = storageCap;
+    state.crew.maxCrew = crewCap;
+    if (state.rv.fuel) {
+      state.rv.fuel.capacity = fuelCap;
+      state.rv.fuel.level = clamp(state.rv.fuel.level, 0, fuelCap);
+    }
+
+    // Components added by newer content start in good shape
+    if (state.rv.components) {
+      for (const id of Object.keys(data.config.vehicle?.components || {})) {
+        const v = state.rv.components[id];
+        state.rv.components[id] = Number.isFinite(v) ? clamp(v, 0, 100) : 100;
+      }
+    }
+
+    // Ensure queues for each member exist
+    for (const m of state.crew.members) {
+      if (!state.queues.jobsByCharId[m.id]) state.queues.jobsByCharId[m.id] = [];
+    }
+  }
+
+  /* =========================
+     Storage & Inventory
+  ========================= */
+  function countStorageUsed(state, loadedData) {
+    // Count total units stored (stacks qty + instances count) as MVP capacity model
+    const stackUnits = state.rv.storage.stacks.reduce((a, s) => a + (s.qty || 0), 0);
+    const instUnits = state.rv.storage.instances.length;
+    return stackUnits + instUnits;
+  }
+
+  function getStack(state, storageObj, itemId) {
+    return storageObj.stacks.find(s => s.itemId === itemId) || null;
+  }
+
+  function addItemToStorage(state, loadedData, itemId, qty = 1, opts = {}) {
+    const { idx } = loadedData;
+    const def = idx.itemsById.get(itemId);
+    if (!def) return { ok: false, reason: "unknown item" };
+
+    // Capacity check
+    const used = countStorageUsed(state, loadedData);
+    const cap = state.rv.storage.capacity || 0;
+    const unitNeed = def.stackSize === 1 ? qty : qty;
+    if (used + unitNeed > cap) {
+      return { ok: false, reason: "storage full" };
+    }
+
+    if (def.stackSize === 1) {
+      for (let i = 0; i < qty; i++) {
+        state.rv.storage.instances.push(makeInstance(def, rngFor(state, "uid")));
+      }
+      recordSimEvent(state, "item_gained", { itemId, qty });
+      return { ok: true };
+    } else {
+      let st = getStack(state, state.rv.storage, itemId);
+      if (!st) {
+        st = { itemId, qty: 0 };
+        // Rations toggle only relevant for food category
+        if (def.category === "food") {
+          state.rv.storage.rationPrefs = state.rv.storage.rationPrefs || {};
+          const pref = state.rv.storage.rationPrefs[itemId];
+          st.isRationAllowed = opts.rationAllowed != null ? !!opts.rationAllowed : !!pref;
+          // If caller explicitly set it, persist the preference immediately
+          if (opts.rationAllowed != null) state.rv.storage.rationPrefs[itemId] = !!opts.rationAllowed;
+        }
+        state.rv.storage.stacks.push(st);
+      }
+      st.qty += qty;
+
+      // Persist ration preference when explicitly provided
+      if (def.category === "food" && opts.rationAllowed != null) {
+        st.isRationAllowed = !!opts.rationAllowed;
+        state.rv.storage.rationPrefs = state.rv.storage.rationPrefs || {};
+        state.rv.storage.rationPrefs[itemId] = !!opts.rationAllowed;
+      }
+
+      recordSimEvent(state, "item_gained", { itemId, qty });
+      return { ok: true };
+    }
+  }
+
+  function removeItemFromStorage(state, loadedData, itemId, qty = 1) {
+    const { idx } = loadedData;
+    const def = idx.itemsById.get(itemId);
+    if (!def) return false;
+
+    if (def.stackSize === 1) {
+      let removed = 0;
+      for (let i = state.rv.storage.instances.length - 1; i >= 0 && removed < qty; i--) {
+        if (state.rv.storage.instances[i].itemId === itemId) {
+          state.rv.storage.instances.splice(i, 1);
+          removed++;
+        }
+      }
+      if (removed > 0) recordSimEvent(state, "item_consumed", { itemId, qty: removed });
+      return removed === qty;
+    } else {
+      const st = getStack(state, state.rv.storage, itemId);
+      if (!st || st.qty < qty) return false;
+      st.qty -= qty;
+      if (st.qty <= 0) {
+        state.rv.storage.stacks = state.rv.storage.stacks.filter(x => x.qty > 0);
+      }
+      recordSimEvent(state, "item_consumed", { itemId, qty });
+      return true;
+    }
+  }
+
+  /* =========================
+     Pockets + Transfers (v0.2)
+     - Move stacks/instances between RV storage and crew pockets
+     - Enables equipping crafted gear, feeding from storage, and sending NPCs exploring
+  ========================= */
+
+  function countPocketsUsed(char) {
+    const stackUnits = (char.pockets?.stacks || []).reduce((a, s) => a + (s.qty || 0), 0);
+    const instUnits = (char.pockets?.instances || []).length || 0;
+    return stackUnits + instUnits;
+  }
+
+  function getPocketStack(char, itemId) {
+    return (char.pockets?.stacks || []).find(s => s.itemId === itemId) || null;
+  }
+
+  function addItemToPockets(state, loadedData, char, itemId, qty = 1) {
+    const { idx } = loadedData;
+    const def = idx.itemsById.get(itemId);
+    if (!def) return { ok: false, reason: "unknown item" };
+    if (!char?.pockets) return { ok: false, reason: "no pockets" };
+
+    // Capacity check (same unit model as RV storage in v0.1)
+    const used = countPocketsUsed(char);
+    const cap = char.pockets.capacity ?? 0;
+    if (cap > 0 && used + qty > cap) return { ok: false, reason: "pockets full" };
+
+    if (def.stackSize === 1) {
+      for (let i = 0; i < qty; i++) {
+        const inst = makeInstance(def, rngFor(state, "uid"));
+        char.pockets.instances.push(inst);
+      }
+      return { ok: true };
+    } else {
+      let st = getPocketStack(char, itemId);
+      if (!st) {
+        st = { itemId, qty: 0 };
+        char.pockets.stacks.push(st);
+      }
+      st.qty += qty;
+      return { ok: true };
+    }
+  }
+
+  function removeItemFromPockets(state, loadedData, char, itemId, qty = 1) {
+    const { idx } = loadedData;
+    const def = idx.itemsById.get(itemId);
+    if (!def) return false;
+    if (!char?.pockets) return false;
+
+    if (def.stackSize === 1) {
+      let removed = 0;
+      for (let i = char.pockets.instances.length - 1; i >= 0 && removed < qty; i--) {
+        if (char.pockets.instances[i].itemId === itemId) {
+          char.pockets.instances.splice(i, 1);
+          removed++;
+        }
+      }
+      return removed === qty;
+    } else {
+      const st = getPocketStack(char, itemId);
+      if (!st || st.qty < qty) return false;
+      st.qty -= qty;
+      if (st.qty <= 0) char.pockets.stacks = char.pockets.stacks.filter(x => x.qty > 0);
+      return true;
+    }
+  }
+
+  function removeInstanceByUid(arr, uid) {
+    const i = arr.findIndex(x => x.uid === uid);
+    if (i >= 0) return arr.splice(i, 1)[0];
+    return null;
+  }
+
+  function transferStackRvToChar(state, loadedData, charId, itemId, qty = 1) {
+    const char = state.crew.members.find(m => m.id === charId);
+    if (!char) return { ok: false, reason: "bad char" };
+
+    // capacity pre-check
+    const used = countPocketsUsed(char);
+    const cap = char.pockets.capacity ?? 0;
+    if (cap > 0 && used + qty > cap) return { ok: false, reason: "pockets full" };
+
+    if (!hasItemInStorage(state, loadedData, itemId, qty)) return { ok: false, reason: "not in storage" };
+    const remOk = removeItemFromStorage(state, loadedData, itemId, qty);
+    if (!remOk) return { ok: false, reason: "remove failed" };
+
+    const add = addItemToPockets(state, loadedData, char, itemId, qty);
+    if (!add.ok) {
+      // rollback
+      addItemToStorage(state, loadedData, itemId, qty);
+      return add;
+    }
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  function transferStackCharToRv(state, loadedData, charId, itemId, qty = 1) {
+    const char = state.crew.members.find(m => m.id === charId);
+    if (!char) return { ok: false, reason: "bad char" };
+
+    if (!removeItemFromPockets(state, loadedData, char, itemId, qty)) return { ok: false, reason: "not in pockets" };
+    const add = addItemToStorage(state, loadedData, itemId, qty);
+    if (!add.ok) {
+      // rollback
+      addItemToPockets(state, loadedData, char, itemId, qty);
+      return add;
+    }
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  function transferInstanceRvToChar(state, loadedData, charId, instUid) {
+    const char = state.crew.members.find(m => m.id === charId);
+    if (!char) return { ok: false, reason: "bad char" };
+
+    const used = countPocketsUsed(char);
+    const cap = char.pockets.capacity ?? 0;
+    if (cap > 0 && used + 1 > cap) return { ok: false, reason: "pockets full" };
+
+    const inst = removeInstanceByUid(state.rv.storage.instances, instUid);
+    if (!inst) return { ok: false, reason: "not in storage" };
+
+    char.pockets.instances.push(inst);
+    requestPersist(state, loadedData);
+    return { ok: true, inst };
+  }
+
+  function transferInstanceCharToRv(state, loadedData, charId, instUid) {
+    const char = state.crew.members.find(m => m.id === charId);
+    if (!char) return { ok: false, reason: "bad char" };
+
+    const inst = removeInstanceByUid(char.pockets.instances, instUid);
+    if (!inst) return { ok: false, reason: "not in pockets" };
+
+    // Capacity check
+    const used = countStorageUsed(state, loadedData);
+    const cap = state.rv.storage.capacity || 0;
+    if (cap > 0 && used + 1 > cap) {
+      char.pockets.instances.push(inst);
+      return { ok: false, reason: "storage full" };
+    }
+
+    state.rv.storage.instances.push(inst);
+
+    // If it was equipped, unequip
+    for (const slot of Object.keys(char.equipment)) {
+      if (char.equipment[slot] === instUid) char.equipment[slot] = null;
+    }
+
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  function dropFromRvStorage(state, loadedData, itemId, qty = 1) {
+    const ok = removeItemFromStorage(state, loadedData, itemId, qty);
+    if (!ok) return { ok: false, reason: "not enough" };
+    pushLog(state, `Dropped ${qty}× ${(loadedData.idx.itemsById.get(itemId)?.name ?? itemId)}.`, "info", null, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  function dropInstanceFromRvStorage(state, loadedData, instUid) {
+    const inst = removeInstanceByUid(state.rv.storage.instances, instUid);
+    if (!inst) return { ok: false, reason: "not found" };
+    pushLog(state, `Dropped ${(loadedData.idx.itemsById.get(inst.itemId)?.name ?? inst.itemId)}.`, "info", null, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+
+  function hasItemInStorage(state, loadedData, itemId, qty = 1) {
+    const { idx } = loadedData;
+    const def = idx.itemsById.get(itemId);
+    if (!def) return false;
+    if (def.stackSize === 1) {
+      const count = state.rv.storage.instances.filter(i => i.itemId === itemId).length;
+      return count >= qty;
+    }
+    const st = getStack(state, state.rv.storage, itemId);
+    return (st?.qty || 0) >= qty;
+  }
+
+  function equipInstanceOnChar(char, instanceUid, loadedData) {
+    const { idx } = loadedData;
+    const inst = char.pockets.instances.find(i => i.uid === instanceUid) || null;
+    if (!inst) return false;
+    const def = idx.itemsById.get(inst.itemId);
+    if (!def || !def.equipSlot) return false;
+
+    const slot = def.equipSlot;
+    // Unequip current
+    if (char.equipment[slot]) {
+      // no special action needed; instance remains in pockets
+      char.equipment[slot] = null;
+    }
+    char.equipment[slot] = inst.uid;
+    return true;
+  }
+
+  // Equipped, unbroken gear: [{ slot, inst, def }] in EQUIP_SLOTS order.
+  function equippedGear(char, loadedData) {
+    const out = [];
+    for (const slot of EQUIP_SLOTS) {
+      const u = char.equipment?.[slot];
+      if (!u) continue;
+      const inst = char.pockets.instances.find(i => i.uid === u);
+      if (!inst) continue;
+      // Broken gear stays in the slot but does nothing until repaired
+      if (inst.durability != null && inst.durability <= 0) continue;
+      const def = loadedData.idx.itemsById.get(inst.itemId);
+      if (def) out.push({ slot, inst, def });
+    }
+    return out;
+  }
+
+  // Without a tag: the main-hand tool. With a tag: the first matching tool in any slot
+  // (main hand first), so a trap in the utility slot counts for trapping.
+  function getEquippedToolDef(char, loadedData, toolTag) {
+    for (const { slot, inst, def } of equippedGear(char, loadedData)) {
+      if (!def.tool) continue;
+      if (!toolTag && slot !== "mainHand") continue;
+      if (toolTag && def.tool.tag !== toolTag) continue;
+      return { def, inst };
+    }
+    return null;
+  }
+
+  function getTotalProtection(char, loadedData) {
+    let p = 0;
+    for (const { def } of equippedGear(char, loadedData)) {
+      if (def.armor?.protection) p += def.armor.protection;
+    }
+    return clamp(p, 0, 0.7);
+  }
+
+  // Armor that just blocked or softened a hit loses durability.
+  function wearArmor(state, loadedData, char) {
+    const wear = loadedData.data.config.armorWearPerHit ?? 4;
+    for (const { inst, def } of equippedGear(char, loadedData)) {
+      if (!def.armor || inst.durability == null) continue;
+      inst.durability = Math.max(0, inst.durability - wear);
+      if (inst.durability <= 0) pushLog(state, `${char.name}'s ${def.name} is torn to pieces.`, "bad", char.id, loadedData);
+    }
+  }
+
+  /* =========================
+     Log
+  ========================= */
+  function pushLog(state, text, type = "info", actorId = null, loadedData = null) {
+    const max = loadedData?.data?.config?.maxLogEntries ?? 600;
+    state.log.push({ ts: gameNow(state), text, type, actorId });
+    if (state.log.length > max) state.log.splice(0, state.log.length - max);
+  }
+
+  /* =========================
+     Sim Events
+     Structured records of what happened during a simulateToNow() call, so hosts
+     can summarize a catch-up without parsing log text.
+     { t, type, ...fields } where type is one of:
+       job_done, craft_done, item_gained, item_consumed,
+       injury, sickness, level_up, downed, revived, recovered, died, arrived
+  ========================= */
+  // Active collector while simulateToNow() runs; null otherwise (player actions are not recorded).
+  let simEventSink = null;
+
+  function recordSimEvent(state, type, fields = {}) {
+    if (!simEventSink) return;
+    simEventSink.push({ t: gameNow(state), type, ...fields });
+  }
+
+  function addQty(map, key, qty) {
+    map.set(key, (map.get(key) || 0) + qty);
+  }
+
+  // Counts ration-allowed food and drinkable water units in RV storage.
+  function countSupplies(state, loadedData) {
+    const { idx } = loadedData;
+    let food = 0;
+    let water = 0;
+    for (const st of state.rv.storage.stacks) {
+      const def = idx.itemsById.get(st.itemId);
+      if (!def || st.qty <= 0) continue;
+      if (def.category === "food" && st.isRationAllowed) food += st.qty;
+      if (def.water) water += st.qty;
+    }
+    return { food, water };
+  }
+
+  // Folds a simulateToNow() report into per-crew and caravan-wide totals.
+  function summarizeSimReport(state, loadedData, report) {
+    const { idx, data } = loadedData;
+    const nameOf = (map, id) => map.get(id)?.name ?? id;
+    const listQty = (map, byId) => [...map.entries()]
+      .map(([id, qty]) => ({ id, name: nameOf(byId, id), qty }))
+      .sort((a, b) => b.qty - a.qty);
+
+    const crewById = new Map();
+    const crewEntry = (charId) => {
+      if (!crewById.has(charId)) {
+        const c = state.crew.members.find(m => m.id === charId);
+        crewById.set(charId, {
+          charId,
+          name: c?.name ?? "Unknown",
+          jobs: new Map(),
+          injuries: [],
+          sickness: [],
+          levelUps: new Map(),
+          downed: false,
+          revived: false,
+          recovered: false,
+          died: false
+        });
+      }
+      return crewById.get(charId);
+    };
+
+    // Everyone currently aboard gets a row, even on a quiet stretch
+    for (const c of state.crew.members) crewEntry(c.id);
+
+    const crafts = new Map();
+    const gained = new Map();
+    const consumed = new Map();
+
+    for (const ev of (report?.events || [])) {
+      switch (ev.type) {
+        case "job_done": addQty(crewEntry(ev.charId).jobs, ev.jobId, 1); break;
+        case "craft_done": addQty(crafts, ev.recipeId, 1); break;
+        case "item_gained": addQty(gained, ev.itemId, ev.qty); break;
+        case "item_consumed": addQty(consumed, ev.itemId, ev.qty); break;
+        case "injury": crewEntry(ev.charId).injuries.push({ name: ev.name, severity: ev.severity }); break;
+        case "sickness": crewEntry(ev.charId).sickness.push({ name: ev.name }); break;
+        case "level_up": addQty(crewEntry(ev.charId).levelUps, ev.skill, ev.ups); break;
+        case "downed": crewEntry(ev.charId).downed = true; break;
+        case "revived": crewEntry(ev.charId).revived = true; break;
+        case "recovered": crewEntry(ev.charId).recovered = true; break;
+        case "died": Object.assign(crewEntry(ev.charId), { name: ev.name, died: true }); break;
+        default: break;
+      }
+    }
+
+    const cfg = data.config.awayReport || {};
+    const crewCount = Math.max(1, state.crew.members.filter(m => !m.conditions?.downed).length);
+    const supplies = countSupplies(state, loadedData);
+    const lowSupplies = [];
+    const foodMin = (cfg.lowFoodPerCrew ?? 3) * crewCount;
+    const waterMin = (cfg.lowWaterPerCrew ?? 3) * crewCount;
+    if (supplies.food < foodMin) lowSupplies.push({ kind: "food", have: supplies.food, want: foodMin });
+    if (supplies.water < waterMin) lowSupplies.push({ kind: "water", have: supplies.water, want: waterMin });
+
+    return {
+      fromAt: report?.fromAt ?? null,
+      toAt: report?.toAt ?? null,
+      elapsedMs: report?.elapsedMs ?? 0,
+      crafts: listQty(crafts, idx.recipesById),
+      itemsGained: listQty(gained, idx.itemsById),
+      itemsConsumed: listQty(consumed, idx.itemsById),
+      crew: [...crewById.values()].map(c => ({
+        ...c,
+        jobs: listQty(c.jobs, idx.jobsById),
+        levelUps: [...c.levelUps.entries()].map(([skill, ups]) => ({ skill, ups }))
+      })),
+      lowSupplies
+    };
+  }
+
+  /* =========================
+     Time
+  ========================= */
+  // While simulateToNow() steps through a catch-up, "now" is the moment being resolved.
+  let simCursorAt = null;
+
+  function gameNow(state) {
+    if (simCursorAt != null) return simCursorAt;
+    return nowReal() + (state.meta.timeOffsetMs || 0);
+  }
+
+  function resetSimTimeToReal(state) {
+    state.meta.timeOffsetMs = 0;
+  }
+
+  function addSimTime(state, ms) {
+    state.meta.timeOffsetMs = (state.meta.timeOffsetMs || 0) + ms;
+  }
+
+  /* =========================
+     Day/Night (solar)
+     Sun altitude from coordinates and the date (low-precision NOAA formulas, good to a few minutes),
+     so day length follows the seasons and latitude. Phases: day, dusk, night, dawn; twilight is the sun
+     between the horizon and config.dayNight.twilightDeg below it. Without any coordinates the old
+     dayStartHour/nightStartHour on the device clock are used.
+  ========================= */
+  const DEG = Math.PI / 180;
+  const SUN_HORIZON_DEG = -0.833; // refraction + solar disc
+
+  // { altDeg, hourAngle (radians, negative before solar noon), decl (radians) }
+  function solarPosition(t, lat, lon) {
+    const d = t / 86400000 + 2440587.5 - 2451545.0; // days since J2000
+    const g = (357.529 + 0.98560028 * d) * DEG;
+    const q = 280.459 + 0.98564736 * d;
+    const L = (q + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * DEG;
+    const e = (23.439 - 0.00000036 * d) * DEG;
+    const ra = Math.atan2(Math.cos(e) * Math.sin(L), Math.cos(L));
+    const decl = Math.asin(Math.sin(e) * Math.sin(L));
+    const gmstHours = ((18.697374558 + 24.06570982441908 * d) % 24 + 24) % 24;
+    let hourAngle = (gmstHours * 15 + lon) * DEG - ra;
+    hourAngle = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle));
+    const phi = lat * DEG;
+    const alt = Math.asin(Math.sin(phi) * Math.sin(decl) + Math.cos(phi) * Math.cos(decl) * Math.cos(hourAngle));
+    return { altDeg: alt / DEG, hourAngle, decl };
+  }
+
+  // Which clock drives the sky: the game clock when the admin toggle is on, otherwise the real timeline
+  // (during catch-up that is the moment being resolved, minus any admin time skip).
+  function dayNightTime(state) {
+    return dayNightTimeAt(state, gameNow(state));
+  }
+
+  // dayNightTime() for another moment on the game clock
+  function dayNightTimeAt(state, gameT) {
+    return state.meta.useSimTimeForDayNight ? gameT : gameT - (state.meta.timeOffsetMs || 0);
+  }
+
+  function dayNightCoords(state, lat, lon) {
+    if (Number.isFinite(lat) && Number.isFinite(lon)) return { lat, lon };
+    if (Number.isFinite(state.meta.lastKnownLat) && Number.isFinite(state.meta.lastKnownLon)) {
+      return { lat: state.meta.lastKnownLat, lon: state.meta.lastKnownLon };
+    }
+    if (state.meta.lastTileId) {
+      const c = geohashDecode(state.meta.lastTileId);
+      return { lat: c.lat, lon: c.lon };
+    }
+    return null;
+  }
+
+  const DAY_PHASES = ["dawn", "day", "dusk", "night"];
+
+  // { phase: "day"|"dusk"|"night"|"dawn", darkness: 0 | 0.5 | 1, altDeg|null, t }
+  function dayPhase(state, loadedData, lat = null, lon = null) {
+    return skyAt(state, loadedData, dayNightTime(state), lat, lon);
+  }
+
+  // dayPhase() for another moment on the game clock (e.g. when a job started or will end).
+  function dayPhaseAt(state, loadedData, gameT) {
+    return skyAt(state, loadedData, dayNightTimeAt(state, gameT), null, null);
+  }
+
+  function skyAt(state, loadedData, t, lat, lon) {
+    const cfg = loadedData.data.config.dayNight || {};
+    const at = dayNightCoords(state, lat, lon);
+
+    if (!at) {
+      const h = new Date(t).getHours();
+      const night = (h < (cfg.dayStartHour ?? 6) || h >= (cfg.nightStartHour ?? 18));
+      return { phase: night ? "night" : "day", darkness: night ? 1 : 0, altDeg: null, t };
+    }
+
+    const sun = solarPosition(t, at.lat, at.lon);
+    let phase = "day";
+    if (sun.altDeg < -(cfg.twilightDeg ?? 6)) phase = "night";
+    else if (sun.altDeg < SUN_HORIZON_DEG) phase = sun.hourAngle < 0 ? "dawn" : "dusk";
+    const darkness = phase === "night" ? 1 : (phase === "day" ? 0 : 0.5);
+    return { phase, darkness, altDeg: sun.altDeg, t };
+  }
+
+  // Dawn and dusk count as daylight here; use dayPhase() for the finer phases.
+  function isNight(state, loadedData, lat = null, lon = null) {
+    return dayPhase(state, loadedData, lat, lon).phase === "night";
+  }
+
+  // Next sunrise or sunset from now: { type, at } or null (no coordinates, polar day/night).
+  function nextSunEvent(state, loadedData) {
+    const at = dayNightCoords(state, null, null);
+    if (!at) return null;
+    const t = dayNightTime(state);
+    const sun = solarPosition(t, at.lat, at.lon);
+    const phi = at.lat * DEG;
+    const cosH0 = (Math.sin(SUN_HORIZON_DEG * DEG) - Math.sin(phi) * Math.sin(sun.decl)) / (Math.cos(phi) * Math.cos(sun.decl));
+    if (!(cosH0 > -1 && cosH0 < 1)) return null;
+    const h0 = Math.acos(cosH0);
+    const up = sun.altDeg >= SUN_HORIZON_DEG;
+    const target = up ? h0 : -h0;
+    const turns = (((target - sun.hourAngle) / (2 * Math.PI)) % 1 + 1) % 1;
+    return { type: up ? "sunset" : "sunrise", at: t + Math.round(turns * 86400000) };
+  }
+
+  // Sky at the start, middle and end of a job window.
+  function jobPhaseSamples(state, loadedData, startAt, durationMs) {
+    return [0, 0.5, 1].map(f => dayPhaseAt(state, loadedData, startAt + durationMs * f));
+  }
+
+  // Time-of-day and weather yield/risk multipliers for a job over [startAt, startAt + durationMs], averaged
+  // over jobPhaseSamples. Jobs with timeOfDay.yield / timeOfDay.risk tables use them (missing phase = 1);
+  // others get the generic dayNight night penalties. nightRisk mods (a lantern) shrink extra risk in the dark.
+  // The job's seasons.yield for the season it starts in applies on top.
+  function jobTimeFactors(state, loadedData, char, job, startAt, durationMs) {
+    const cfg = loadedData.data.config.dayNight || {};
+    const tod = job?.timeOfDay || {};
+    const samples = jobPhaseSamples(state, loadedData, startAt, durationMs);
+    const lightMods = char ? traitMult(loadedData, char, "nightRisk") : 1;
+
+    let y = 0;
+    let r = 0;
+    const weather = [];
+    samples.forEach((p, i) => {
+      const w = weatherAt(state, loadedData, null, startAt + durationMs * (i / (samples.length - 1)));
+      if (w) weather.push(w.id);
+      y += (tod.yield ? (tod.yield[p.phase] ?? 1) : 1 - (1 - (cfg.nightYieldMult ?? 1)) * p.darkness) * (w?.yield ?? 1);
+      let rm = tod.risk ? (tod.risk[p.phase] ?? 1) : 1 + ((cfg.nightRiskMult ?? 1) - 1) * p.darkness;
+      if (p.darkness && rm > 1) rm = 1 + (rm - 1) * lightMods;
+      r += rm * (w?.risk ?? 1);
+    });
+    const season = seasonEffect(state, job, startAt);
+    return { yield: (y / samples.length) * season.yield, risk: r / samples.length, phases: samples.map(p => p.phase), weather, season: season.season.id };
+  }
+
+  // Jobs with timeOfDay.phases can only be started during those phases.
+  function jobInWindow(state, loadedData, job) {
+    const phases = job?.timeOfDay?.phases;
+    return !Array.isArray(phases) || !phases.length || phases.includes(dayPhase(state, loadedData).phase);
+  }
+
+  /* =========================
+     Seasons
+     Meteorological seasons (March-May is spring) from the date on the day/night clock, flipped south of
+     the equator. Recipes and jobs opt in with `seasons`: { "only": [...], "time": { "winter": 2 } } on
+     recipes (crop time), { "yield": { "autumn": 1.3 } } on jobs. Missing seasons are 1.
+  ========================= */
+  const SEASONS = ["spring", "summer", "autumn", "winter"];
+  const SEASON_NAMES = { spring: "Spring", summer: "Summer", autumn: "Autumn", winter: "Winter" };
+
+  // { id, name, southern } at a moment on the game clock (default now). The hemisphere comes from the last
+  // GPS fix or the RV's tile; with neither it's the northern one.
+  function seasonAt(state, gameT = null) {
+    const t = dayNightTimeAt(state, gameT == null ? gameNow(state) : gameT);
+    const southern = (dayNightCoords(state, null, null)?.lat ?? 0) < 0;
+    let i = Math.floor(((new Date(t).getUTCMonth() + 10) % 12) / 3);
+    if (southern) i = (i + 2) % 4;
+    return { id: SEASONS[i], name: SEASON_NAMES[SEASONS[i]], southern };
+  }
+
+  // A recipe's or job's seasons rule at gameT: { season, allowed, only, time, yield }
+  function seasonEffect(state, entry, gameT = null) {
+    const season = seasonAt(state, gameT);
+    const rule = entry?.seasons || {};
+    const only = Array.isArray(rule.only) && rule.only.length ? rule.only : null;
+    return {
+      season,
+      allowed: !only || only.includes(season.id),
+      only,
+      time: rule.time?.[season.id] ?? 1,
+      yield: rule.yield?.[season.id] ?? 1
+    };
+  }
+
+  function outOfSeasonReason(fx) {
+    return `Out of season (${fx.season.name}); only in ${fx.only.map(id => SEASON_NAMES[id] || id).join(", ")}.`;
+  }
+
+  /* =========================
+     Weather
+     A pure function of world seed, region and time block, so every save sees the same skies over the
+     same place and catch-up replays them exactly. See config.weather.
+  ========================= */
+  const WEATHER_EFFECTS = ["hunger", "thirst", "risk", "yield", "rainWater", "gardenSpeed"];
+  const WEATHER_MAX_CARRY = 24; // blocks a weather state can be carried over before it's re-rolled
+
+  // { id, name, tags, hunger, thirst, risk, yield, rainWater, gardenSpeed, region, startsAt, endsAt } or null
+  // when there's no tile. Defaults to the RV's tile and the current game time.
+  function weatherAt(state, loadedData, tileId = null, t = null) {
+    const cfg = loadedData.data.config.weather;
+    tileId = tileId || state.meta.lastTileId;
+    if (!cfg?.states || !tileId) return null;
+    if (t == null) t = gameNow(state);
+
+    const blockMs = Math.max(1, cfg.blockHours ?? 6) * 3600000;
+    const k = Math.floor(t / blockMs);
+    const region = tileId.slice(0, cfg.regionPrecision ?? 4);
+
+    // Skewed by the region's climate, not the tile's biome, so every tile in a region shares one timeline
+    const biomeTags = regionClimateBiome(loadedData, region)?.tags || [];
+    const entries = Object.entries(cfg.states).map(([id, st]) => {
+      let w = st.weight ?? 1;
+      for (const tag of biomeTags) w *= cfg.biomeTagWeights?.[tag]?.[id] ?? 1;
+      return { id, w };
+    });
+
+    let id = null;
+    let from = k;
+    for (let back = 0; back <= WEATHER_MAX_CARRY; back++) {
+      from = k - back;
+      const rng = mulberry32(hashStringToUint(`${loadedData.data.config.worldSeed}::weather::${region}::${from}`));
+      if (back < WEATHER_MAX_CARRY && rng() < (cfg.persist ?? 0)) continue;
+      id = weightedPick(rng, entries);
+      break;
+    }
+
+    const def = cfg.states[id] || {};
+    const out = { id, name: def.name || id, tags: def.tags || [], region, startsAt: from * blockMs, endsAt: (k + 1) * blockMs };
+    for (const e of WEATHER_EFFECTS) out[e] = def[e] ?? 1;
+    return out;
+  }
+
+  // The biome a region's anchor cell rolls from the world seed alone (base weights, no neighbour pull).
+  // Discovered tiles lean toward their neighbours, so they can't stand in for the region.
+  function regionClimateBiome(loadedData, region) {
+    const { data } = loadedData;
+    const rng = mulberry32(hashStringToUint(`${data.config.worldSeed}::${region}`));
+    const id = weightedPick(rng, data.biomes.map(b => ({ id: b.id, w: b.weight || 1 })));
+    return loadedData.idx.biomesById.get(id) || null;
+  }
+
+  function weatherHas(weather, tag) {
+    return !!weather && (weather.id === tag || weather.tags.includes(tag));
+  }
+
+  // Jobs with weatherTags only run while the RV's weather matches one of them.
+  function jobWeatherOk(state, loadedData, job) {
+    if (!Array.isArray(job?.weatherTags) || !job.weatherTags.length) return true;
+    const w = weatherAt(state, loadedData);
+    return job.weatherTags.some(tag => weatherHas(w, tag));
+  }
+
+  // Hunger/thirst drain per minute at time t: config, drain traits, then weather at the RV.
+  function needDrainRates(state, loadedData, char, t = null) {
+    const rates = traitDrainRates(loadedData, char);
+    const w = weatherAt(state, loadedData, null, t);
+    if (!w) return rates;
+    return { hunger: rates.hunger * w.hunger, thirst: rates.thirst * w.thirst };
+  }
+
+  /* =========================
+     Needs, Moodlets, Conditions
+  ========================= */
+  function applyContinuousDrains(state, loadedData, elapsedMs) {
+    const { data } = loadedData;
+    const mins = elapsedMs / 60000;
+    if (mins <= 0) return;
+
+    const tile = state.meta.lastTileId ? state.world.discoveredTiles[state.meta.lastTileId] : null;
+    const biome = tile ? loadedData.idx.biomesById.get(tile.biomeId) : null;
+    const { darkness } = dayPhase(state, loadedData);
+    const darkWorkMorale = (data.config.dayNight?.nightWorkMoralePerHour ?? 0) * darkness;
+    const storageCap = state.rv.storage.capacity || 0;
+    const storageFill = storageCap > 0 ? countStorageUsed(state, loadedData) / storageCap : 0;
+    const crewMorale = state.crew.members
+      .filter(m => !m.conditions.downed)
+      .reduce((a, m) => a + traitSum(loadedData, m, "crewMorale", "perHour"), 0);
+
+    // copy: permadeath can remove members mid-loop
+    for (const c of state.crew.members.slice()) {
+      if (c.conditions.downed) {
+        maybeBleedOut(state, loadedData, c);
+        if (state.crew.members.includes(c)) recoverDowned(state, loadedData, c, mins);
+        continue;
+      }
+
+      // Base drain (scaled by drain traits and weather; sim steps stop at weather changes,
+      // so the middle of the step is inside a single weather block)
+      const rates = needDrainRates(state, loadedData, c, gameNow(state) - elapsedMs / 2);
+      const zeroMins = {
+        hunger: minsAtZero(c.needs.hunger, rates.hunger, mins),
+        thirst: minsAtZero(c.needs.thirst, rates.thirst, mins)
+      };
+      c.needs.hunger = clamp(c.needs.hunger - rates.hunger * mins, 0, 100);
+      c.needs.thirst = clamp(c.needs.thirst - rates.thirst * mins, 0, 100);
+
+      // Trait likes/dislikes for where the RV is parked
+      const biomeMorale = traitBiomeMoralePerHour(loadedData, c, biome);
+      if (biomeMorale) c.needs.morale = clamp(c.needs.morale + biomeMorale * (mins / 60), 0, 100);
+      const storageMorale = traitSum(loadedData, c, "storageMorale", "perHour", mod => storageFill >= mod.above);
+      if (storageMorale) c.needs.morale = clamp(c.needs.morale + storageMorale * (mins / 60), 0, 100);
+      if (crewMorale) c.needs.morale = clamp(c.needs.morale + crewMorale * (mins / 60), 0, 100);
+
+      // If resting idle and not busy, mild morale recovery
+      const q = state.queues.jobsByCharId[c.id] || [];
+      const active = q[0] || null;
+      const idleMorale = active ? 0 : traitSum(loadedData, c, "idleMorale", "perHour");
+      if (idleMorale) c.needs.morale = clamp(c.needs.morale + idleMorale * (mins / 60), 0, 100);
+      const isIdleRest = (!active && c.idleBehavior === "rest");
+      if (isIdleRest) {
+        c.needs.morale = clamp(c.needs.morale + data.config.drains.moraleRecoverPerMinRest * mins, 0, 100);
+      }
+      // Working through the dark wears on people
+      if (active?.startAt != null && darkWorkMorale) {
+        c.needs.morale = clamp(c.needs.morale + darkWorkMorale * (mins / 60), 0, 100);
+      }
+
+      applyHealthDrift(state, loadedData, c, mins, zeroMins, isIdleRest);
+
+      // Update moodlets/sickness/injury expirations
+      expireTimedEffects(state, loadedData, c);
+    }
+  }
+
+  // How many of `mins` a need spends at 0 while draining from `before` at `ratePerMin`.
+  function minsAtZero(before, ratePerMin, mins) {
+    if (ratePerMin <= 0) return before <= 0 ? mins : 0;
+    return clamp(mins - before / ratePerMin, 0, mins);
+  }
+
+  // Health lost per minute from conditions alone (needs at 0 are added by the caller).
+  function conditionDamagePerMin(cfgHealth, char) {
+    let d = 0;
+    const inj = char.conditions.injury;
+    if (inj) d += (inj.severity === "major" ? cfgHealth.majorInjuryPerMin : cfgHealth.minorInjuryPerMin) || 0;
+    if (char.conditions.sickness) d += cfgHealth.sicknessPerMin || 0;
+    return d;
+  }
+
+  function applyHealthDrift(state, loadedData, char, mins, zeroMins, resting) {
+    const h = loadedData.data.config.health || {};
+    const damage = conditionDamagePerMin(h, char) * mins
+      + (h.starvingPerMin || 0) * zeroMins.hunger
+      + (h.dehydratedPerMin || 0) * zeroMins.thirst;
+
+    if (damage > 0) {
+      char.needs.health = clamp(char.needs.health - damage, 0, 100);
+      if (char.needs.health <= 0) {
+        pushLog(state, `${char.name} collapsed from their wounds and hardships.`, "bad", char.id, loadedData);
+        downCharacter(state, loadedData, char);
+      }
+      return;
+    }
+
+    if (!isFedForRegen(h, char)) return;
+    const restRegen = resting ? (h.regenPerMinRest || 0) * traitMult(loadedData, char, "regen") : 0;
+    const regen = ((h.regenPerMinFed || 0) + restRegen) * mins;
+    char.needs.health = clamp(char.needs.health + regen, 0, 100);
+  }
+
+  // Permadeath runs: a downed crew member who isn't revived in time dies.
+  function maybeBleedOut(state, loadedData, char) {
+    if (!state.meta.permadeath || char.isPlayer) return;
+    const t = gameNow(state);
+    if (char.conditions.downedAt == null) char.conditions.downedAt = t;
+    const bleedOutMs = (loadedData.data.config.health?.bleedOutMin ?? 120) * 60000;
+    if (t - char.conditions.downedAt >= bleedOutMs) killCharacter(state, loadedData, char);
+  }
+
+  // Downed crew don't drain; once they're fed they rest back up to config.health.downedRecoverAt
+  // (a Revive Serum is the quick way).
+  function recoverDowned(state, loadedData, char, mins) {
+    const h = loadedData.data.config.health || {};
+    expireTimedEffects(state, loadedData, char);
+    if (!isFedForRegen(h, char)) return;
+    const rate = (h.regenPerMinRest || 0) * traitMult(loadedData, char, "regen");
+    char.needs.health = clamp(char.needs.health + rate * mins, 0, 100);
+    if (char.needs.health < (h.downedRecoverAt ?? 25)) return;
+    char.conditions.downed = false;
+    char.conditions.downedAt = null;
+    pushLog(state, `${char.name} came to and is back on their feet.`, "good", char.id, loadedData);
+    recordSimEvent(state, "recovered", { charId: char.id });
+  }
+
+  function isFedForRegen(h, char) {
+    return char.needs.hunger >= (h.fedThreshold ?? 50) && char.needs.thirst >= (h.fedThreshold ?? 50);
+  }
+
+  function killCharacter(state, loadedData, char) {
+    const t = gameNow(state);
+    removeCrewMember(state, loadedData, char, "died");
+
+    const days = Math.max(1, Math.ceil((t - (char.joinedAt ?? state.meta.createdAt)) / (24 * 60 * 60 * 1000)));
+    const best = Object.keys(char.stats).sort((a, b) => effectiveSkill(char, b) - effectiveSkill(char, a))[0];
+    const bestText = best ? ` Best at ${best} (${effectiveSkill(char, best)}).` : "";
+    pushLog(state, `In memory of ${char.name}: ${days} day${days === 1 ? "" : "s"} on the road.${bestText}`, "memorial", null, loadedData);
+    recordSimEvent(state, "died", { charId: char.id, name: char.name });
+    notify(`${char.name} has died.`);
+  }
+
+  function expireTimedEffects(state, loadedData, char) {
+    const t = gameNow(state);
+
+    // moodlets
+    char.moodlets = (char.moodlets || []).filter(m => m.endsAt > t);
+
+    // sickness
+    if (char.conditions.sickness && char.conditions.sickness.endsAt <= t) {
+      pushLog(state, `${char.name} recovered from sickness.`, "good", char.id, loadedData);
+      char.conditions.sickness = null;
+    }
+
+    // injury
+    if (char.conditions.injury && char.conditions.injury.endsAt <= t) {
+      pushLog(state, `${char.name} recovered from injury.`, "good", char.id, loadedData);
+      char.conditions.injury = null;
+    }
+
+    // if downed: remains until revived
+  }
+
+  function applyMoodlet(char, moodlet) {
+    // moodlet: { id, name, endsAt, moraleDelta, note }
+    char.moodlets = char.moodlets || [];
+    // Replace same id
+    char.moodlets = char.moodlets.filter(m => m.id !== moodlet.id);
+    char.moodlets.push(moodlet);
+  }
+
+  function currentMoraleModifier(char) {
+    let d = 0;
+    for (const m of (char.moodlets || [])) d += (m.moraleDelta || 0);
+    if (char.conditions.sickness) d -= 10;
+    if (char.conditions.injury?.severity === "minor") d -= 5;
+    if (char.conditions.injury?.severity === "major") d -= 15;
+    if (char.conditions.downed) d -= 50;
+    return d;
+  }
+
+  function effectiveSkill(char, skillId) {
+    const base = char.stats[skillId] ?? 0;
+    // Small bonus from XP: every 100 xp -> +1
+    const xp = char.xp[skillId] ?? 0;
+    const bonus = Math.floor(xp / 100);
+    return base + bonus;
+  }
+
+  /* =========================
+     Traits (perk/quirk modifiers)
+     Perks and quirks in npcs.json may declare `mods`; unmatched filters mean "any".
+     Items in items.json may declare the same `mods`; they count while equipped and not broken.
+       yield        { jobs?, skill?, items?, mult }   job yield quantity
+       risk         { jobs?, skill?, kind?, mult }    injury chance (kind: minorInjury | majorInjury)
+       toolWear     { jobs?, skill?, mult }           tool wear chance on jobs
+       craftSpeed   { stations?, mult }               crew-wide while aboard; 1.1 = 10% faster
+       sickness     { sources?, mult }                sources: job, dirtyWater, rawFood
+       biomeMorale  { biomes?, biomeTags?, perHour }  morale drift while the RV is there
+       foodPref     { quality?, raw?, dirty?, items?, exceptItems?, morale }  moodlet after eating/drinking a match
+       drain        { need, mult }                    hunger/thirst drain rate
+       travelMorale { mult }                          morale lost per tile driven
+       vehicleWear  { mult }                          RV component wear while driving; stacks across crew
+       nightRisk    { mult }                          extra injury risk on jobs finishing at night
+       treatment    { items?, mult }                  crew-wide while able; scales how much injury time med items remove
+       recovery     { kind, mult }                    own sickness/injury duration (kind: sickness | injury)
+       regen        { mult }                          health regained while resting idle
+       strain       { mult }                          extra hunger/thirst cost of strenuous jobs
+       jobMorale    { jobs?, skill?, morale }         morale change after finishing a matching job
+       storageMorale { above, perHour }               morale drift while RV storage is at least `above` full (0-1)
+       idleMorale   { perHour }                       morale drift while not working a job
+       needsTool    {}                                refuses tool jobs without the tool equipped
+       crewMorale   { perHour }                       morale drift for the whole able crew while this member is able
+       recruitCost  { mult }                          recruit item costs; counts for able crew and for the recruit
+  ========================= */
+  const TRAIT_MOD_TYPES = ["yield", "risk", "toolWear", "craftSpeed", "sickness", "biomeMorale", "foodPref", "drain", "travelMorale", "vehicleWear", "nightRisk", "treatment", "recovery", "regen", "strain", "jobMorale", "storageMorale", "idleMorale", "needsTool", "crewMorale", "recruitCost"];
+
+  // Looked up by trait id so saves pick up rebalanced content; falls back to the copy on the character.
+  function traitModsFor(loadedData, char) {
+    const out = [];
+    for (const tr of [char.perk, char.quirk]) {
+      if (!tr?.id) continue;
+      const def = loadedData.idx.traitsById?.get(tr.id) || tr;
+      if (Array.isArray(def.mods)) out.push(...def.mods);
+    }
+    for (const { def } of equippedGear(char, loadedData)) {
+      if (Array.isArray(def.mods)) out.push(...def.mods);
+    }
+    return out;
+  }
+
+  // Product of `mult` over this character's mods of `type` that pass `match`.
+  function traitMult(loadedData, char, type, match = () => true) {
+    let m = 1;
+    for (const mod of traitModsFor(loadedData, char)) {
+      if (mod.type === type && match(mod)) m *= Number(mod.mult ?? 1);
+    }
+    return m;
+  }
+
+  function traitSicknessMult(loadedData, char, source) {
+    return traitMult(loadedData, char, "sickness", m => !m.sources || m.sources.includes(source));
+  }
+
+  function modMatchesJob(mod, job) {
+    if (mod.jobs && !mod.jobs.includes(job?.id)) return false;
+    if (mod.skill && mod.skill !== job?.xpSkill) return false;
+    return true;
+  }
+
+  function traitDrainRates(loadedData, char) {
+    const drains = loadedData.data.config.drains;
+    return {
+      hunger: drains.hungerPerMin * traitMult(loadedData, char, "drain", m => m.need === "hunger"),
+      thirst: drains.thirstPerMin * traitMult(loadedData, char, "drain", m => m.need === "thirst")
+    };
+  }
+
+  function traitBiomeMoralePerHour(loadedData, char, biome) {
+    if (!biome) return 0;
+    let d = 0;
+    for (const mod of traitModsFor(loadedData, char)) {
+      if (mod.type !== "biomeMorale") continue;
+      const byId = mod.biomes?.includes(biome.id);
+      const byTag = mod.biomeTags?.some(tag => (biome.tags || []).includes(tag));
+      if (byId || byTag) d += Number(mod.perHour) || 0;
+    }
+    return d;
+  }
+
+  // Crafts are station-wide, so any able crew member's craftSpeed mods count.
+  function crewCraftSpeed(state, loadedData, stationId) {
+    let m = 1;
+    for (const c of state.crew.members) {
+      if (c.conditions.downed) continue;
+      m *= traitMult(loadedData, c, "craftSpeed", mod => !mod.stations || mod.stations.includes(stationId));
+    }
+    return m > 0 ? m : 1;
+  }
+
+  // Med skill is shared like crafting: any able crew member's treatment mods count.
+  function crewTreatmentMult(state, loadedData, itemId) {
+    let m = 1;
+    for (const c of state.crew.members) {
+      if (c.conditions.downed) continue;
+      m *= traitMult(loadedData, c, "treatment", mod => !mod.items || mod.items.includes(itemId));
+    }
+    return m > 0 ? m : 1;
+  }
+
+  // Sum of `key` over this character's mods of `type` that pass `match`.
+  function traitSum(loadedData, char, type, key, match = () => true) {
+    let d = 0;
+    for (const mod of traitModsFor(loadedData, char)) {
+      if (mod.type === type && match(mod)) d += Number(mod[key]) || 0;
+    }
+    return d;
+  }
+
+  function hasTraitMod(loadedData, char, type) {
+    return traitModsFor(loadedData, char).some(mod => mod.type === type);
+  }
+
+  // Morale moodlet from a character's likes/dislikes after eating or drinking `itemId`.
+  function applyFoodPreference(state, loadedData, char, itemId) {
+    const def = loadedData.idx.itemsById.get(itemId);
+    if (!def) return;
+    const quality = def.food ? (def.food.quality || "low") : null;
+    const raw = !!def.food?.raw;
+    const dirty = !!def.water?.dirty;
+
+    let d = 0;
+    for (const mod of traitModsFor(loadedData, char)) {
+      if (mod.type !== "foodPref") continue;
+      if (mod.items && !mod.items.includes(itemId)) continue;
+      if (mod.exceptItems?.includes(itemId)) continue;
+      if (mod.quality != null && ![].concat(mod.quality).includes(quality)) continue;
+      if (mod.raw != null && mod.raw !== raw) continue;
+      if (mod.dirty != null && mod.dirty !== dirty) continue;
+      d += Number(mod.morale) || 0;
+    }
+    if (!d) return;
+
+    applyMoodlet(char, d < 0
+      ? { id: "m_foodpref", name: "Not a Fan", endsAt: gameNow(state) + 2 * 60 * 60 * 1000, moraleDelta: d, note: `${char.name} did not enjoy the ${def.name}.` }
+      : { id: "m_foodpref", name: "A Favorite", endsAt: gameNow(state) + 2 * 60 * 60 * 1000, moraleDelta: d, note: `${char.name} loved the ${def.name}.` });
+  }
+
+  /* =========================
+     XP + Leveling (v0.2)
+  ========================= */
+
+  function xpToNext(level, base = 100, growth = 1.35) {
+    // Level starts at 0 (untrained) or 1+; this function accepts current level and returns XP needed to gain +1.
+    // A gentle curve that still makes early progress visible.
+    const lv = Math.max(0, Number(level) || 0);
+    return Math.round(base * Math.pow(growth, lv));
+  }
+
+  function processLevelUps(state, loadedData, char) {
+    const cfg = loadedData?.data?.config || {};
+    const base = cfg?.xp?.base ?? 100;
+    const growth = cfg?.xp?.growth ?? 1.35;
+
+    const leveled = [];
+    for (const skill of Object.keys(char.xp || {})) {
+      // ensure stat exists
+      if (char.stats[skill] == null) char.stats[skill] = 0;
+
+      let xp = char.xp[skill] || 0;
+      let needed = xpToNext(char.stats[skill], base, growth);
+      let ups = 0;
+
+      while (xp >= needed && ups < 25) {
+        xp -= needed;
+        char.stats[skill] = (char.stats[skill] || 0) + 1;
+        ups++;
+        needed = xpToNext(char.stats[skill], base, growth);
+      }
+
+      if (ups > 0) {
+        char.xp[skill] = xp;
+        leveled.push({ skill, ups });
+      }
+    }
+
+    if (leveled.length) {
+      for (const it of leveled) {
+        pushLog(state, `${char.name} leveled up: ${it.skill} +${it.ups}.`, "good", char.id, loadedData);
+        recordSimEvent(state, "level_up", { charId: char.id, skill: it.skill, ups: it.ups });
+      }
+      notify(`${char.name} leveled up!`);
+    }
+
+    return leveled;
+  }
+
+  function xpProgressLine(state, loadedData, char, skill) {
+    const cfg = loadedData?.data?.config || {};
+    const base = cfg?.xp?.base ?? 100;
+    const growth = cfg?.xp?.growth ?? 1.35;
+
+    const level = char.stats?.[skill] ?? 0;
+    const xp = char.xp?.[skill] ?? 0;
+    const need = xpToNext(level, base, growth);
+    return `${skill}: L${level} — ${xp}/${need} XP`;
+  }
+
+
+  /* =========================
+     Auto-consume (rations)
+  ========================= */
+  // Downed crew are fed too (by whoever is still up), so they can rest back on their feet.
+  function maybeAutoConsume(state, loadedData, char) {
+    const cfg = loadedData.data.config;
+
+    // Auto drink
+    if (char.needs.thirst <= cfg.autoConsumeThreshold) {
+      const drank = consumeBestWater(state, loadedData, char);
+      if (!drank) {
+        applyMoodlet(char, { id: "m_parched", name: "Parched", endsAt: gameNow(state) + 60 * 60 * 1000, moraleDelta: -8, note: "No water available." });
+      }
+    }
+
+    // Auto eat (rations only)
+    if (char.needs.hunger <= cfg.autoConsumeThreshold) {
+      const ate = consumeRationFood(state, loadedData, char);
+      if (!ate) {
+        applyMoodlet(char, { id: "m_hungry", name: "Hungry", endsAt: gameNow(state) + 60 * 60 * 1000, moraleDelta: -10, note: "No rations available." });
+      }
+    }
+
+    maybeAutoTreat(state, loadedData, char);
+  }
+
+  function consumeBestWater(state, loadedData, char) {
+    const { idx } = loadedData;
+    // Prefer clean over dirty
+    const options = ["water_clean", "water_dirty"].filter(id => hasItemInStorage(state, loadedData, id, 1));
+    if (options.length === 0) return false;
+
+    const pick = options[0];
+    removeItemFromStorage(state, loadedData, pick, 1);
+    const def = idx.itemsById.get(pick);
+    const thirst = def?.water?.thirst ?? 10;
+    char.needs.thirst = clamp(char.needs.thirst + thirst, 0, 100);
+
+    // Dirty water sickness chance
+    if (def?.water?.dirty) {
+      // chance depends on grit & medical
+      const grit = effectiveSkill(char, "Grit");
+      const med = effectiveSkill(char, "Medical");
+      const chance = clamp(0.18 - (grit * 0.01) - (med * 0.01), 0.04, 0.25) * traitSicknessMult(loadedData, char, "dirtyWater");
+      if (rngFor(state, "consume")() < chance) {
+        applySickness(state, loadedData, char, "Dirty Water Sickness", 3 * 60 * 60 * 1000);
+      }
+      applyMoodlet(char, { id: "m_grosswater", name: "Ugh. Dirty Water.", endsAt: gameNow(state) + 30 * 60 * 1000, moraleDelta: -3, note: "You drank questionable water." });
+    }
+    applyFoodPreference(state, loadedData, char, pick);
+
+    pushLog(state, `${char.name} drank water.`, "info", char.id, loadedData);
+    return true;
+  }
+
+  function consumeRationFood(state, loadedData, char) {
+    const { idx } = loadedData;
+    // Find ration-allowed foods in storage
+    const stacks = state.rv.storage.stacks
+      .filter(s => s.qty > 0)
+      .map(s => ({ s, def: idx.itemsById.get(s.itemId) }))
+      .filter(x => x.def && x.def.category === "food" && x.s.isRationAllowed);
+
+    if (stacks.length === 0) return false;
+
+    // Eat the "worst" first (low-tier rations) to preserve fancy stuff if it accidentally is ration-allowed
+    stacks.sort((a, b) => {
+      const qa = a.def.food?.quality || "low";
+      const qb = b.def.food?.quality || "low";
+      const order = { low: 0, mid: 1, high: 2 };
+      return (order[qa] ?? 0) - (order[qb] ?? 0);
+    });
+
+    const pick = stacks[0].s.itemId;
+    const def = idx.itemsById.get(pick);
+
+    removeItemFromStorage(state, loadedData, pick, 1);
+
+    const hunger = def?.food?.hunger ?? 10;
+    char.needs.hunger = clamp(char.needs.hunger + hunger, 0, 100);
+
+    // Food morale effect
+    const morale = def?.food?.morale ?? 0;
+    char.needs.morale = clamp(char.needs.morale + morale, 0, 100);
+
+    // Apply moodlets for quality
+    const q = def?.food?.quality || "low";
+    if (q === "low") applyMoodlet(char, { id: "m_slop", name: "Ate Slop", endsAt: gameNow(state) + 2 * 60 * 60 * 1000, moraleDelta: -6, note: "Barely edible." });
+    if (q === "high") applyMoodlet(char, { id: "m_hearty", name: "Hearty Meal", endsAt: gameNow(state) + 4 * 60 * 60 * 1000, moraleDelta: +10, note: "Actually delicious." });
+
+    // Raw food sickness chance
+    if (def?.food?.raw) {
+      const grit = effectiveSkill(char, "Grit");
+      const chance = clamp(0.25 - (grit * 0.01), 0.06, 0.28) * traitSicknessMult(loadedData, char, "rawFood");
+      if (rngFor(state, "consume")() < chance) {
+        applySickness(state, loadedData, char, "Food Poisoning", 2 * 60 * 60 * 1000);
+      }
+    }
+    applyFoodPreference(state, loadedData, char, pick);
+
+    pushLog(state, `${char.name} ate rations.`, "info", char.id, loadedData);
+    return true;
+  }
+
+  function consumeFoodFromStorage(state, loadedData, char, itemId) {
+    const { idx } = loadedData;
+    if (!hasItemInStorage(state, loadedData, itemId, 1)) return { ok: false, reason: "not in storage" };
+    const def = idx.itemsById.get(itemId);
+    if (!def?.food) return { ok: false, reason: "not food" };
+
+    removeItemFromStorage(state, loadedData, itemId, 1);
+
+    const hunger = def.food.hunger ?? 10;
+    char.needs.hunger = clamp(char.needs.hunger + hunger, 0, 100);
+
+    const morale = def.food.morale ?? 0;
+    char.needs.morale = clamp(char.needs.morale + morale, 0, 100);
+
+    const q = def.food.quality || "low";
+    if (q === "low") applyMoodlet(char, { id: "m_slop", name: "Ate Slop", endsAt: gameNow(state) + 2 * 60 * 60 * 1000, moraleDelta: -2, note: "Not your finest meal." });
+    if (q === "mid") applyMoodlet(char, { id: "m_full", name: "Ate Okay", endsAt: gameNow(state) + 2 * 60 * 60 * 1000, moraleDelta: 0, note: "Good enough." });
+    if (q === "high") applyMoodlet(char, { id: "m_tasty", name: "Ate Well", endsAt: gameNow(state) + 3 * 60 * 60 * 1000, moraleDelta: +2, note: "Actually delicious." });
+
+    // Raw food sickness chance
+    if (def.food.raw) {
+      const grit = effectiveSkill(char, "Grit");
+      const chance = clamp(0.25 - (grit * 0.01), 0.06, 0.28) * traitSicknessMult(loadedData, char, "rawFood");
+      if (rngFor(state, "consume")() < chance) {
+        applySickness(state, loadedData, char, "Food Poisoning", 2 * 60 * 60 * 1000);
+      }
+    }
+    applyFoodPreference(state, loadedData, char, itemId);
+
+    pushLog(state, `${char.name} ate ${def.name}.`, "info", char.id, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  function consumeWaterFromStorage(state, loadedData, char, itemId) {
+    const { idx } = loadedData;
+    if (!hasItemInStorage(state, loadedData, itemId, 1)) return { ok: false, reason: "not in storage" };
+    const def = idx.itemsById.get(itemId);
+    if (!def?.water) return { ok: false, reason: "not water" };
+
+    removeItemFromStorage(state, loadedData, itemId, 1);
+
+    const thirst = def.water.thirst ?? 10;
+    char.needs.thirst = clamp(char.needs.thirst + thirst, 0, 100);
+
+    // Dirty water sickness chance
+    if (def.water.dirty) {
+      const grit = effectiveSkill(char, "Grit");
+      const med = effectiveSkill(char, "Medical");
+      const chance = clamp(0.18 - (grit * 0.01) - (med * 0.01), 0.04, 0.25) * traitSicknessMult(loadedData, char, "dirtyWater");
+      if (rngFor(state, "consume")() < chance) {
+        applySickness(state, loadedData, char, "Dirty Water Sickness", 3 * 60 * 60 * 1000);
+      }
+      applyMoodlet(char, { id: "m_grosswater", name: "Ugh. Dirty Water", endsAt: gameNow(state) + 30 * 60 * 1000, moraleDelta: -3, note: "You can taste the pond." });
+    }
+    applyFoodPreference(state, loadedData, char, itemId);
+
+    pushLog(state, `${char.name} drank ${def.name}.`, "info", char.id, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+
+  function applySickness(state, loadedData, char, name, durationMs) {
+    const t = gameNow(state);
+    durationMs = Math.round(durationMs * traitMult(loadedData, char, "recovery", m => m.kind === "sickness"));
+    char.conditions.sickness = { id: `s_${hashStringToUint(name)}`, name, endsAt: t + durationMs, severity: "normal" };
+    pushLog(state, `${char.name} got sick: ${name}.`, "bad", char.id, loadedData);
+    recordSimEvent(state, "sickness", { charId: char.id, name });
+  }
+
+  function applyInjury(state, loadedData, char, severity, name, durationMs) {
+    const t = gameNow(state);
+    durationMs = Math.round(durationMs * traitMult(loadedData, char, "recovery", m => m.kind === "injury"));
+    char.conditions.injury = { id: `i_${hashStringToUint(name)}`, name, endsAt: t + durationMs, severity };
+    pushLog(state, `${char.name} suffered a ${severity} injury: ${name}.`, "bad", char.id, loadedData);
+    recordSimEvent(state, "injury", { charId: char.id, severity, name });
+  }
+
+  function downCharacter(state, loadedData, char) {
+    char.conditions.downed = true;
+    char.conditions.downedAt = gameNow(state);
+    char.needs.health = 0;
+    pushLog(state, `${char.name} is DOWNED!`, "bad", char.id, loadedData);
+    recordSimEvent(state, "downed", { charId: char.id });
+
+    // Auto-revive if serum available, unless they went down starving or parched: they'd only collapse
+    // again and burn through every serum in storage
+    const starved = char.needs.hunger <= 0 || char.needs.thirst <= 0;
+    if (starved && hasItemInStorage(state, loadedData, "revive_serum", 1)) {
+      pushLog(state, `Saving the Revive Serum: ${char.name} needs food and water first.`, "warn", char.id, loadedData);
+    } else if (hasItemInStorage(state, loadedData, "revive_serum", 1)) {
+      removeItemFromStorage(state, loadedData, "revive_serum", 1);
+      reviveCharacter(state, loadedData, char);
+      pushLog(state, `Crew used a Revive Serum on ${char.name}.`, "good", char.id, loadedData);
+    }
+  }
+
+  function reviveCharacter(state, loadedData, char) {
+    char.conditions.downed = false;
+    char.conditions.downedAt = null;
+    applyMoodlet(char, { id: "m_revived", name: "Revived", endsAt: gameNow(state) + 6 * 60 * 60 * 1000, moraleDelta: -12, note: "You cheated death. It feels weird." });
+    char.needs.health = 60;
+    recordSimEvent(state, "revived", { charId: char.id });
+  }
+
+  /* =========================
+     Medical Treatment
+  ========================= */
+  // Item `med` fields: minorInjuryReduceMins (shortens an injury; major injuries heal at half the rate),
+  // cureSickness (clears sickness), revive (gets a downed crew member back up).
+  // Returns a reason string when the item would do nothing for this character, else null.
+  function treatmentBlocker(char, def) {
+    const med = def?.med;
+    if (!med) return "not a medical item";
+    if (med.revive) return char.conditions.downed ? null : "not downed";
+    if (char.conditions.downed) return "downed (needs a revive)";
+    if (med.cureSickness && char.conditions.sickness) return null;
+    if (med.minorInjuryReduceMins && char.conditions.injury) return null;
+    if (med.cureSickness) return "not sick";
+    if (med.minorInjuryReduceMins) return "not injured";
+    return "no effect";
+  }
+
+  function applyTreatment(state, loadedData, char, def) {
+    const med = def.med;
+    const t = gameNow(state);
+
+    if (med.revive) {
+      reviveCharacter(state, loadedData, char);
+      pushLog(state, `${char.name} was revived with ${def.name}.`, "good", char.id, loadedData);
+      return;
+    }
+
+    if (med.cureSickness && char.conditions.sickness) {
+      pushLog(state, `${char.name} was cured of ${char.conditions.sickness.name} (${def.name}).`, "good", char.id, loadedData);
+      char.conditions.sickness = null;
+    }
+
+    const inj = char.conditions.injury;
+    if (med.minorInjuryReduceMins && inj) {
+      const mins = (inj.severity === "major" ? med.minorInjuryReduceMins / 2 : med.minorInjuryReduceMins)
+        * crewTreatmentMult(state, loadedData, def.id);
+      inj.endsAt -= Math.round(mins * 60000);
+      if (inj.endsAt <= t) {
+        pushLog(state, `${char.name}'s ${inj.name} was treated and healed (${def.name}).`, "good", char.id, loadedData);
+        char.conditions.injury = null;
+      } else {
+        pushLog(state, `${char.name}'s ${inj.name} was treated (${def.name}).`, "good", char.id, loadedData);
+      }
+    }
+  }
+
+  // Uses one medical item from RV storage on a crew member.
+  function treatCharacter(state, loadedData, charId, itemId) {
+    const char = state.crew.members.find(m => m.id === charId);
+    if (!char) return { ok: false, reason: "unknown crew member" };
+    const def = loadedData.idx.itemsById.get(itemId);
+    const blocked = treatmentBlocker(char, def);
+    if (blocked) return { ok: false, reason: blocked };
+    if (!hasItemInStorage(state, loadedData, itemId, 1)) return { ok: false, reason: "not in storage" };
+
+    removeItemFromStorage(state, loadedData, itemId, 1);
+    applyTreatment(state, loadedData, char, def);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  // Medical items in RV storage that would help this character right now.
+  function listTreatmentsFor(state, loadedData, char) {
+    const out = [];
+    for (const s of state.rv.storage.stacks) {
+      if (s.qty <= 0) continue;
+      const def = loadedData.idx.itemsById.get(s.itemId);
+      if (def?.med && !treatmentBlocker(char, def)) out.push({ itemId: s.itemId, name: def.name, qty: s.qty });
+    }
+    return out;
+  }
+
+  // Auto-treat policy: sickness first, then injury, using the smallest dose that helps.
+  // Revives stay with downCharacter so the serum isn't spent twice.
+  // Auto-treat uses one item per condition (marked autoTreated), so online ticks and a single catch-up
+  // step use the same supplies; further treatment is manual.
+  function maybeAutoTreat(state, loadedData, char) {
+    if (!char.autoTreat || char.conditions.downed) return;
+    const sick = char.conditions.sickness && !char.conditions.sickness.autoTreated ? char.conditions.sickness : null;
+    const inj = char.conditions.injury && !char.conditions.injury.autoTreated ? char.conditions.injury : null;
+    if (!sick && !inj) return;
+
+    const options = listTreatmentsFor(state, loadedData, char)
+      .map(o => ({ ...o, def: loadedData.idx.itemsById.get(o.itemId) }))
+      .filter(o => !o.def.med.revive && ((sick && o.def.med.cureSickness) || (inj && o.def.med.minorInjuryReduceMins)));
+    if (!options.length) return;
+
+    options.sort((a, b) => {
+      const ca = (sick && a.def.med.cureSickness) ? 0 : 1;
+      const cb = (sick && b.def.med.cureSickness) ? 0 : 1;
+      if (ca !== cb) return ca - cb;
+      return (a.def.med.minorInjuryReduceMins || 0) - (b.def.med.minorInjuryReduceMins || 0);
+    });
+
+    const pick = options[0];
+    removeItemFromStorage(state, loadedData, pick.itemId, 1);
+    applyTreatment(state, loadedData, char, pick.def);
+    if (pick.def.med.cureSickness && char.conditions.sickness) char.conditions.sickness.autoTreated = true;
+    if (pick.def.med.minorInjuryReduceMins && char.conditions.injury) char.conditions.injury.autoTreated = true;
+  }
+
+  /* =========================
+     Tile Generation
+  ========================= */
+  function getOrCreateTile(state, loadedData, tileId) {
+    const { data } = loadedData;
+
+    if (!state.world.discoveredTiles[tileId]) {
+      const neighbors = geohashNeighbors(tileId);
+      const neighborBiomes = [];
+      for (const k of ["n","s","e","w"]) {
+        const nt = neighbors[k];
+        if (state.world.discoveredTiles[nt]?.biomeId) neighborBiomes.push(state.world.discoveredTiles[nt].biomeId);
+      }
+
+      const seed = hashStringToUint(`${data.config.worldSeed}::${tileId}`);
+      const rng = mulberry32(seed);
+
+      // Weighted + neighbor influence:
+      const baseWeights = data.biomes.map(b => ({ id: b.id, w: b.weight || 1 }));
+      const influence = new Map();
+      for (const bio of neighborBiomes) {
+        influence.set(bio, (influence.get(bio) || 0) + 12);
+      }
+
+      const picks = baseWeights.map(e => {
+        const extra = influence.get(e.id) || 0;
+        // also add some "related" biome soft influence by tags (MVP-lite)
+        let tagExtra = 0;
+        if (neighborBiomes.length > 0) {
+          const nb = data.biomes.find(x => x.id === neighborBiomes[0]);
+          const me = data.biomes.find(x => x.id === e.id);
+          if (nb && me) {
+            const shared = me.tags?.filter(t => (nb.tags || []).includes(t)).length || 0;
+            tagExtra = shared * 3;
+          }
+        }
+        return { id: e.id, w: e.w + extra + tagExtra };
+      });
+
+      const biomeId = weightedPick(rng, picks);
+
+      const pois = rollTilePois(loadedData, tileId, biomeId);
+      const tile = {
+        tileId,
+        biomeId,
+        createdAt: gameNow(state),
+        pois,
+        poiIds: pois.map(p => p.id),
+        tutorialOverlay: false,
+        encounter: null // e.g., recruit NPC
+      };
+
+      state.world.discoveredTiles[tileId] = tile;
+    }
+
+    // Tutorial overlay on first tile
+    if (!state.meta.tutorialDone) {
+      state.meta.firstTileId = state.meta.firstTileId || tileId;
+      if (tileId === state.meta.firstTileId) {
+        const tile = state.world.discoveredTiles[tileId];
+        if (!tile.tutorialOverlay) {
+          tile.tutorialOverlay = true;
+          tile.encounter = {
+            type: "recruitNpc",
+            npcTemplateId: "npc_scavenger",
+            // Tutorial recruit is free but can optionally ask for one ration
+            requirement: { itemId: "ration_basic", qty: 1, optional: true }
+          };
+          pushLog(state, "Tutorial overlay activated on your current tile.", "system", null, loadedData);
+        }
+      }
+    }
+
+    maybeRollEncounter(state, loadedData, state.world.discoveredTiles[tileId]);
+
+    return state.world.discoveredTiles[tileId];
+  }
+
+  function biomeForTile(loadedData, tile) {
+    return loadedData.data.biomes.find(b => b.id === tile.biomeId) || loadedData.data.biomes[0];
+  }
+
+  /* =========================
+     Points of Interest
+     Each biome's `pois` table ({ rolls, chance, table: [{ id, weight }] }) places up to `rolls` different
+     POIs on a tile, seeded by world seed + tile id, so a tile has the same POIs in every save. A POI's
+     loot (pois.json) is rolled into a finite stock on the tile; jobs with `pois` are offered while one of
+     those POIs has stock left and take their yields out of it.
+  ========================= */
+  function rollTilePois(loadedData, tileId, biomeId) {
+    const { data, idx } = loadedData;
+    const table = idx.biomesById.get(biomeId)?.pois;
+    const entries = (table?.table || []).filter(e => idx.poisById.has(e.id) && e.weight > 0).map(e => ({ id: e.id, w: e.weight }));
+    const pois = [];
+    if (!entries.length) return pois;
+
+    const rng = mulberry32(hashStringToUint(`${data.config.worldSeed}::${tileId}::pois`));
+    for (let i = 0; i < (table.rolls ?? 1); i++) {
+      if (rng() >= (table.chance ?? 1)) continue;
+      const id = weightedPick(rng, entries);
+      if (pois.some(p => p.id === id)) continue;
+      const loot = {};
+      for (const l of (idx.poisById.get(id).loot || [])) {
+        const qty = randInt(rng, l.min ?? 1, l.max ?? (l.min ?? 1));
+        if (qty > 0) loot[l.id] = (loot[l.id] || 0) + qty;
+      }
+      pois.push({ id, loot });
+    }
+    return pois;
+  }
+
+  // The tile's POIs, rolling them first for tiles discovered before POIs existed.
+  function tilePois(state, loadedData, tile) {
+    if (!tile) return [];
+    if (!Array.isArray(tile.pois)) {
+      tile.pois = rollTilePois(loadedData, tile.tileId, tile.biomeId);
+      tile.poiIds = tile.pois.map(p => p.id);
+    }
+    return tile.pois;
+  }
+
+  function poiStockLeft(poi) {
+    return Object.values(poi.loot || {}).reduce((a, b) => a + b, 0);
+  }
+
+  // First POI on the tile of one of these types that still has stock, or null.
+  function findTilePoi(state, loadedData, tile, poiIds) {
+    return tilePois(state, loadedData, tile).find(p => poiIds.includes(p.id) && poiStockLeft(p) > 0) || null;
+  }
+
+  // For the UI: [{ id, name, desc, stock: [{ id, name, qty }], left, jobs: [job names] }]
+  function listTilePois(state, loadedData, tile) {
+    const { data, idx } = loadedData;
+    return tilePois(state, loadedData, tile).map(p => {
+      const def = idx.poisById.get(p.id);
+      return {
+        id: p.id,
+        name: def?.name || p.id,
+        desc: def?.desc || "",
+        stock: Object.entries(p.loot || {}).filter(([, qty]) => qty > 0)
+          .map(([id, qty]) => ({ id, name: idx.itemsById.get(id)?.name ?? id, qty })),
+        left: poiStockLeft(p),
+        jobs: (data.jobs || []).filter(j => (j.pois || []).includes(p.id)).map(j => j.name)
+      };
+    });
+  }
+
+  /* =========================
+     Travel + Fuel
+     The RV burns fuel to relocate, either to a GPS fix or by driving to a neighboring tile.
+     While it's on the road crew jobs are paused and new ones can't start; stations keep working.
+  ========================= */
+  // Chebyshev distance in cells between two geohashes of the same precision.
+  function tileDistance(fromTileId, toTileId) {
+    if (!fromTileId || !toTileId || fromTileId === toTileId) return 0;
+    const a = geohashDecode(fromTileId);
+    const b = geohashDecode(toTileId);
+    const dLat = Math.abs(a.lat - b.lat) / (a.latErr * 2);
+    const dLon = Math.abs(a.lon - b.lon) / (a.lonErr * 2);
+    return Math.max(1, Math.round(Math.max(dLat, dLon)));
+  }
+
+  function isTraveling(state) {
+    return !!state.rv.travel;
+  }
+
+  // Cost/time to drive from the current tile. Returns { ok, reason?, tiles, fuel, durationMs }.
+  function planTravel(state, loadedData, toTileId) {
+    const cfg = loadedData.data.config.travel || {};
+    const fromTileId = state.meta.lastTileId;
+    const tiles = tileDistance(fromTileId, toTileId);
+    const charged = Math.min(tiles, cfg.maxTilesCharged ?? 15);
+    const plan = {
+      ok: true,
+      tiles,
+      fuel: charged * (cfg.fuelPerTile ?? 2),
+      durationMs: charged * (cfg.minutesPerTile ?? 20) * 60000
+    };
+
+    if (isTraveling(state)) return { ...plan, ok: false, reason: "The RV is already on the road." };
+    if (!tiles) return { ...plan, ok: false, reason: "You're already here." };
+    const broken = brokenComponents(state, loadedData, "noTravel");
+    if (broken.length) return { ...plan, ok: false, reason: `Broken down: repair the ${broken.map(b => b.name).join(" and ")} before driving.` };
+    const level = state.rv.fuel?.level ?? 0;
+    if (plan.fuel > level) return { ...plan, ok: false, reason: `Needs ${plan.fuel} fuel (tank has ${Math.floor(level)}).` };
+    return plan;
+  }
+
+  function startTravel(state, loadedData, toTileId) {
+    const plan = planTravel(state, loadedData, toTileId);
+    if (!plan.ok) return plan;
+
+    state.rv.fuel.level = Math.max(0, state.rv.fuel.level - plan.fuel);
+    state.rv.travel = {
+      fromTileId: state.meta.lastTileId,
+      toTileId,
+      startAt: gameNow(state),
+      durationMs: plan.durationMs,
+      tiles: plan.tiles,
+      fuel: plan.fuel
+    };
+    pushLog(state, `The ${state.rv.name} hit the road toward ${toTileId} (${plan.fuel} fuel).`, "system", null, loadedData);
+    requestPersist(state, loadedData);
+    return plan;
+  }
+
+  // Arrives once the drive time has passed: moves the RV, resumes paused jobs, applies road fatigue.
+  function tickTravel(state, loadedData) {
+    const trip = state.rv.travel;
+    if (!trip) return;
+    const arriveAt = trip.startAt + trip.durationMs;
+    if (gameNow(state) < arriveAt) return;
+
+    state.rv.travel = null;
+    state.meta.lastTileId = trip.toTileId;
+    const tile = getOrCreateTile(state, loadedData, trip.toTileId);
+    const biome = biomeForTile(loadedData, tile);
+
+    // Jobs that were running when the RV left pick up where they stopped
+    for (const q of Object.values(state.queues.jobsByCharId)) {
+      const head = q?.[0];
+      if (head?.startAt != null && head.startAt < trip.startAt + trip.durationMs) head.startAt += trip.durationMs;
+    }
+
+    const cfg = loadedData.data.config.travel || {};
+    const charged = Math.min(trip.tiles, cfg.maxTilesCharged ?? 15);
+    applyRoadWear(state, loadedData, charged);
+    for (const c of state.crew.members) {
+      if (c.conditions.downed) continue;
+      const loss = charged * (cfg.moralePerTile ?? 1) * traitMult(loadedData, c, "travelMorale");
+      if (loss > 0) c.needs.morale = clamp(c.needs.morale - loss, 0, 100);
+    }
+
+    pushLog(state, `Arrived at tile ${trip.toTileId} (${biome.name}).`, "system", null, loadedData);
+    recordSimEvent(state, "arrived", { tileId: trip.toTileId, tiles: trip.tiles });
+    requestPersist(state, loadedData);
+  }
+
+  // The eight tiles around the RV with what it would take to drive there.
+  function listNeighborTiles(state, loadedData) {
+    const here = state.meta.lastTileId;
+    if (!here) return [];
+    const n = geohashNeighbors(here);
+    return ["n", "ne", "e", "se", "s", "sw", "w", "nw"].map(dir => {
+      const tileId = n[dir];
+      const known = state.world.discoveredTiles[tileId];
+      return {
+        dir,
+        tileId,
+        biomeName: known ? biomeForTile(loadedData, known).name : null,
+        plan: planTravel(state, loadedData, tileId)
+      };
+    });
+  }
+
+  // Pours fuel items from RV storage into the tank, only as many as fit.
+  function refuelRv(state, loadedData, itemId, qty = 1) {
+    const def = loadedData.idx.itemsById.get(itemId);
+    const units = def?.fuel?.units;
+    if (!units) return { ok: false, reason: "not fuel" };
+    const fuel = state.rv.fuel;
+    const room = Math.floor((fuel.capacity - fuel.level) / units);
+    const n = Math.min(qty, room);
+    if (n <= 0) return { ok: false, reason: "tank is full" };
+    if (!hasItemInStorage(state, loadedData, itemId, n)) return { ok: false, reason: "not in storage" };
+
+    removeItemFromStorage(state, loadedData, itemId, n);
+    fuel.level = Math.min(fuel.capacity, fuel.level + n * units);
+    pushLog(state, `Refueled with ${n}× ${def.name} (+${n * units} fuel).`, "info", null, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true, used: n };
+  }
+
+  /* =========================
+     Vehicle Condition
+     RV components (config.vehicle.components) wear as the RV drives and from road events.
+     A broken component either blocks travel or slows station crafts, until a repair recipe runs.
+  ========================= */
+  // [{ id, name, condition, worn, broken, whenBroken }] in config order.
+  function vehicleStatus(state, loadedData) {
+    const veh = loadedData.data.config.vehicle || {};
+    return Object.entries(veh.components || {}).map(([id, def]) => {
+      const condition = state.rv.components?.[id] ?? 100;
+      return {
+        id,
+        name: def.name || id,
+        condition,
+        worn: condition > 0 && condition < (veh.wornAt ?? 30),
+        broken: condition <= 0,
+        whenBroken: def.whenBroken || null
+      };
+    });
+  }
+
+  function brokenComponents(state, loadedData, whenBroken) {
+    return vehicleStatus(state, loadedData).filter(c => c.broken && c.whenBroken === whenBroken);
+  }
+
+  // Crafts run slower while a stationOutput component (the hull) is broken.
+  function stationOutputMult(state, loadedData) {
+    if (!brokenComponents(state, loadedData, "stationOutput").length) return 1;
+    return loadedData.data.config.vehicle?.brokenStationSpeed ?? 0.5;
+  }
+
+  function damageComponent(state, loadedData, id, amount) {
+    const comps = state.rv.components || (state.rv.components = {});
+    const before = comps[id] ?? 100;
+    comps[id] = clamp(before - amount, 0, 100);
+    if (before > 0 && comps[id] <= 0) {
+      const name = loadedData.data.config.vehicle?.components?.[id]?.name || id;
+      pushLog(state, `The ${state.rv.name}'s ${name} broke down!`, "bad", null, loadedData);
+      recordSimEvent(state, "rv_broken", { component: id });
+    }
+  }
+
+  // Wear for a finished drive. vehicleWear mods of everyone aboard stack (a mechanic riding along helps).
+  function applyRoadWear(state, loadedData, tiles) {
+    const veh = loadedData.data.config.vehicle || {};
+    let mult = 1;
+    for (const c of state.crew.members) {
+      if (!c.conditions.downed) mult *= traitMult(loadedData, c, "vehicleWear");
+    }
+
+    for (const [id, def] of Object.entries(veh.components || {})) {
+      damageComponent(state, loadedData, id, (def.wearPerTile || 0) * tiles * mult);
+    }
+
+    const rng = rngFor(state, "vehicle");
+    for (let i = 0; i < tiles; i++) {
+      for (const ev of (veh.roadEvents || [])) {
+        if (rng() >= ev.chancePerTile) continue;
+        const dmg = ev.damage * mult;
+        const name = veh.components?.[ev.component]?.name || ev.component;
+        pushLog(state, `The ${state.rv.name} ${ev.text} (${name} -${Math.round(dmg)}%).`, "warn", null, loadedData);
+        damageComponent(state, loadedData, ev.component, dmg);
+      }
+    }
+  }
+
+  function repairComponent(state, loadedData, id, amount) {
+    const comps = state.rv.components || (state.rv.components = {});
+    const name = loadedData.data.config.vehicle?.components?.[id]?.name || id;
+    comps[id] = clamp((comps[id] ?? 100) + amount, 0, 100);
+    pushLog(state, `Repaired the ${name} (now ${Math.round(comps[id])}%).`, "good", null, loadedData);
+  }
+
+  /* =========================
+     Jobs
+  ========================= */
+  function listAvailableJobsForTile(state, loadedData, tile) {
+    const { data } = loadedData;
+    const biome = biomeForTile(loadedData, tile);
+    const biomeId = biome?.id;
+
+    const jobs = [];
+    for (const j of (data.jobs || [])) {
+      // Back-compat: older job schemas may use "biomes" (biome IDs) instead of "biomeTags".
+      const hasGate =
+        !!j.alwaysAvailable ||
+        (Array.isArray(j.biomeTags) && j.biomeTags.length) ||
+        (Array.isArray(j.biomes) && j.biomes.length) ||
+        (Array.isArray(j.biomeIds) && j.biomeIds.length);
+
+      // POI jobs go wherever their POI is, and only while it has stock
+      const poiJob = Array.isArray(j.pois) && j.pois.length;
+
+      const ok = poiJob ? !!findTilePoi(state, loadedData, tile, j.pois) :
+        !!j.alwaysAvailable ||
+        (Array.isArray(j.biomeTags) && j.biomeTags.some(t => (biome.tags || []).includes(t))) ||
+        (Array.isArray(j.biomes) && biomeId && j.biomes.includes(biomeId)) ||
+        (Array.isArray(j.biomeIds) && biomeId && j.biomeIds.includes(biomeId)) ||
+        // If job has no gating fields at all, treat it as available (v0.1 behavior).
+        !hasGate;
+
+      if (ok && jobInWindow(state, loadedData, j) && jobWeatherOk(state, loadedData, j) && seasonEffect(state, j).allowed) jobs.push(j);
+    }
+    return jobs;
+  }
+
+  // Animals of the job's kind living in this biome, weighted by the share of the job window they're active.
+  // Returns the animals.json entry caught, or null (nothing out, or the catch roll missed).
+  function rollAnimalCatch(state, loadedData, job, tile, startAt, durationMs, rng) {
+    const samples = jobPhaseSamples(state, loadedData, startAt, durationMs);
+    const entries = [];
+    for (const a of (loadedData.data.animals || [])) {
+      if ((a.kind || "land") !== job.animals) continue;
+      if (!(a.biomes || []).includes(tile?.biomeId)) continue;
+      const active = Array.isArray(a.active) && a.active.length ? a.active : DAY_PHASES;
+      const w = samples.filter(p => active.includes(p.phase)).length / samples.length;
+      if (w > 0) entries.push({ id: a.id, w });
+    }
+    if (!entries.length) return null;
+    const pickedId = weightedPick(rng, entries);
+    if (rng() >= (job.animalChance ?? 0.5)) return null;
+    return loadedData.idx.animalsById.get(pickedId) || null;
+  }
+
+  function paceMultipliers(pace) {
+    // pace influences duration, yield, and risk
+    if (pace === "safe") return { dur: 1.1, yield: 0.9, risk: 0.75 };
+    if (pace === "push") return { dur: 0.85, yield: 1.15, risk: 1.35 };
+    return { dur: 1.0, yield: 1.0, risk: 1.0 };
+  }
+
+  function startJobForChar(state, loadedData, charId, jobId, pace = "normal", opts = null) {
+    opts = opts || {};
+    const { idx } = loadedData;
+    const char = state.crew.members.find(m => m.id === charId);
+    if (!char) return { ok: false, reason: "bad char" };
+    if (char.conditions.downed) return { ok: false, reason: "downed" };
+    if (isTraveling(state)) return { ok: false, reason: "The RV is on the road." };
+
+    const job = idx.jobsById.get(jobId);
+    if (!job) return { ok: false, reason: "bad job" };
+    if (!jobInWindow(state, loadedData, job)) return { ok: false, reason: `Only possible at ${job.timeOfDay.phases.join("/")}.` };
+    if (!jobWeatherOk(state, loadedData, job)) return { ok: false, reason: `Needs the right weather (${job.weatherTags.join("/")}).` };
+    const seasonFx = seasonEffect(state, job);
+    if (!seasonFx.allowed) return { ok: false, reason: outOfSeasonReason(seasonFx) };
+
+    const tileId = (opts.tileId != null ? opts.tileId : state.meta.lastTileId);
+    if (job.pois?.length && !findTilePoi(state, loadedData, state.world.discoveredTiles[tileId], job.pois)) {
+      return { ok: false, reason: "There's nothing left to take here." };
+    }
+
+    // Requirements: tool tag or item in storage for trap
+    if (job.requiresItem && !hasItemInStorage(state, loadedData, job.requiresItem, 1)) {
+      return { ok: false, reason: `Requires item: ${job.requiresItem}` };
+    }
+
+    // Tool check: job.toolTag should be equipped OR we allow "unarmed" penalty, unless the job can't be done without it
+    let toolOk = true;
+    if (job.toolTag) {
+      const tool = getEquippedToolDef(char, loadedData, job.toolTag);
+      toolOk = !!tool;
+      if (!toolOk && job.toolRequired) return { ok: false, reason: `Needs a working ${job.toolTag} tool equipped.` };
+      if (!toolOk && hasTraitMod(loadedData, char, "needsTool")) return { ok: false, reason: `${char.name} refuses to work without a proper ${job.toolTag} tool.` };
+    }
+
+    const mult = paceMultipliers(pace);
+    const baseDurationMs = Math.round((job.baseSec || 600) * mult.dur) * 1000;
+    const durationMs = (opts.durationMs != null) ? Math.max(1000, Math.round(opts.durationMs)) : baseDurationMs;
+
+    const entry = {
+      id: uid("job", rngFor(state, "uid")),
+      jobId,
+      pace,
+      createdAt: gameNow(state),
+      startAt: null,
+      durationMs,
+      toolOk,
+      tileId,
+      meta: opts.meta || null,
+      completed: false
+    };
+
+    state.queues.jobsByCharId[charId] = state.queues.jobsByCharId[charId] || [];
+
+    // If no active job, start immediately
+    const q = state.queues.jobsByCharId[charId];
+    if (q.length === 0) {
+      entry.startAt = gameNow(state);
+    }
+    q.push(entry);
+
+    pushLog(state, `${char.name} queued: ${job.name} (${pace}).`, "info", char.id, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  function cancelQueuedJob(state, loadedData, charId, jobEntryId) {
+    const q = state.queues.jobsByCharId[charId] || [];
+    const idx = q.findIndex(j => j.id === jobEntryId);
+    if (idx < 0) return { ok: false, reason: "not found" };
+
+    const [removed] = q.splice(idx, 1);
+
+    // If we cancelled the currently running job (idx === 0), allow the next one to start immediately
+    if (idx === 0 && q[0] && q[0].startAt == null) q[0].startAt = gameNow(state);
+
+    // Restore reserved rations for exploration if the task was cancelled
+    const char = state.crew.members.find(m => m.id === charId);
+    if (char && removed?.meta?.rationsConsumed?.length) {
+      for (const rc of removed.meta.rationsConsumed) {
+        addItemToPockets(state, loadedData, char, rc.itemId, rc.qty || 1);
+      }
+      removed.meta.rationsConsumed = [];
+    }
+
+    const name = loadedData.idx.jobsById.get(removed.jobId)?.name ?? removed.jobId;
+    pushLog(state, `Cancelled ${name} for ${char?.name ?? "crew"}.`, "info", charId, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  function clearJobQueue(state, loadedData, charId) {
+    const q = state.queues.jobsByCharId[charId] || [];
+    if (!q.length) return { ok: false, reason: "empty" };
+    state.queues.jobsByCharId[charId] = [];
+    pushLog(state, `Cleared job queue for ${state.crew.members.find(m => m.id === charId)?.name ?? "crew"}.`, "info", charId, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+
+  function tickJobQueues(state, loadedData) {
+    const { idx, data } = loadedData;
+    const t = gameNow(state);
+
+    // Jobs are paused while the RV is driving (tickTravel shifts their start on arrival)
+    if (isTraveling(state)) return;
+
+    // Ensure idle behavior doesn't explode: only loop up to N cycles per sim tick
+    let idleCycles = 0;
+
+    for (const char of state.crew.members) {
+      if (char.conditions.downed) continue;
+
+      const q = state.queues.jobsByCharId[char.id] || [];
+
+      // If there is a queue and first entry has no startAt, start it
+      if (q.length > 0 && q[0].startAt == null) q[0].startAt = t;
+
+      // Complete jobs that finished
+      while (q.length > 0) {
+        const jEntry = q[0];
+        if (jEntry.startAt == null) break;
+        const endsAt = jEntry.startAt + jEntry.durationMs;
+        if (endsAt > t) break;
+
+        // Complete
+        const job = idx.jobsById.get(jEntry.jobId);
+        try {
+          resolveJobCompletion(state, loadedData, char, job, jEntry);
+          recordSimEvent(state, "job_done", { charId: char.id, jobId: jEntry.jobId });
+        } catch (e) {
+          console.error(e);
+          pushLog(state, `ERROR: Job completion failed for ${char.name} (${job?.name ?? jEntry.jobId}). See console.`, "warn", char.id, loadedData);
+        }
+
+        q.shift();
+
+        // Start next immediately if exists
+        if (q.length > 0) q[0].startAt = endsAt;
+
+        requestPersist(state, loadedData);
+      }
+
+      // Schedule idle behavior once the queue is empty (after completions, so the
+      // next idle job starts the moment the last one ended during catch-up)
+      if (q.length === 0 && char.idleBehavior && char.idleBehavior !== "none") {
+        if (char.idleBehavior === "rest") {
+          // no job needed
+        } else if (idleCycles < data.config.idleMaxCyclesPerSim) {
+          // Add a single idle job if none queued
+          startJobForChar(state, loadedData, char.id, char.idleBehavior, "safe");
+          idleCycles++;
+        }
+      }
+    }
+  }
+
+  function resolveJobCompletion(state, loadedData, char, job, jEntry) {
+    const { idx, data } = loadedData;
+
+    const charId = char.id;
+
+    // Ensure we have a valid current tile for biome/yields and seeded RNG.
+    // (The game remains playable even if the player never granted location permission.)
+    const prec = data.config.tilePrecision || 7;
+    const tileId = state.meta.lastTileId || geohashEncode(0, 0, prec);
+    if (!state.meta.lastTileId) state.meta.lastTileId = tileId;
+    const tile = getOrCreateTile(state, loadedData, tileId);
+
+    // Track items gained during this job (used for logging + morale)
+    const got = [];
+    // Seeded per-save stream (replays of the same save roll the same outcomes)
+    const rng = rngFor(state, "job");
+
+    // Needs drain boost for strenuous jobs
+    const strain = job.strenuous ? data.config.jobStrenuousDrainMultiplier * traitMult(loadedData, char, "strain") : 1.0;
+
+    // Apply per-job drains (MVP)
+    const mins = jEntry.durationMs / 60000;
+    char.needs.hunger = clamp(char.needs.hunger - (data.config.drains.hungerPerMin * mins * (strain - 0.2)), 0, 100);
+    char.needs.thirst = clamp(char.needs.thirst - (data.config.drains.thirstPerMin * mins * (strain - 0.2)), 0, 100);
+
+    // Auto-consume if needed
+    maybeAutoConsume(state, loadedData, char);
+
+    // Compute success/yield/risk adjustments
+    const mult = paceMultipliers(jEntry.pace);
+
+    const skill = effectiveSkill(char, job.xpSkill || "Wilderness");
+    const moraleMod = currentMoraleModifier(char);
+    const moralePenalty = moraleMod < 0 ? Math.abs(moraleMod) * 0.002 : 0;
+
+    // Time of day over the whole job, not just the moment it ends
+    const jobStartAt = jEntry.startAt ?? (gameNow(state) - jEntry.durationMs);
+    const timeFx = jobTimeFactors(state, loadedData, char, job, jobStartAt, jEntry.durationMs);
+
+    // Tool & armor impact
+    const toolInfo = job.toolTag ? getEquippedToolDef(char, loadedData, job.toolTag) : null;
+    const toolTier = toolInfo?.def?.tool?.tier ?? (jEntry.toolOk ? 1 : 0);
+    const toolPower = toolInfo?.def?.tool?.power ?? 0;
+    const protection = getTotalProtection(char, loadedData);
+
+    // Final yield multiplier
+    const yieldMult =
+      mult.yield *
+      (1 + skill * 0.04) *
+      (1 + toolTier * 0.05) *
+      (1 - moralePenalty);
+
+    // Risk multiplier
+    const riskMult =
+      mult.risk *
+      (1 - protection * 0.6) *
+      (1 - toolTier * 0.06) *
+      (1 + (char.conditions.sickness ? 0.2 : 0)) *
+      (1 + (char.conditions.injury?.severity === "minor" ? 0.15 : 0)) *
+      (1 + (char.conditions.injury?.severity === "major" ? 0.35 : 0)) *
+      timeFx.risk;
+
+    // Share of injury risk armor is soaking up; rolls that land in it wear the armor instead
+    const armorLeft = 1 - protection * 0.6;
+
+    // Perk/quirk modifiers (explore mods may name the explore job itself)
+    const traitYield = (itemId) => traitMult(loadedData, char, "yield", m => modMatchesJob(m, job) && (!m.items || m.items.includes(itemId)));
+    const traitRisk = (kind) => traitMult(loadedData, char, "risk", m => modMatchesJob(m, job) && (!m.kind || m.kind === kind));
+    const timeYield = timeFx.yield; // time of day, weather and season
+    const rainWater = weatherAt(state, loadedData)?.rainWater ?? 1;
+
+    // Roll yields
+    // v0.2 special jobs
+    if (jEntry.meta?.special === "gather_water") {
+      // In the rain the container fills with clean rainwater instead
+      const raining = (weatherAt(state, loadedData)?.rainWater ?? 1) > 1 && loadedData.idx.itemsById.has("water_clean");
+      const waterId = raining ? "water_clean" : (jEntry.meta.waterItemId || "water_dirty");
+      const qty = Math.max(0, Math.floor(Number(jEntry.meta.waterQty || 0)));
+      if (qty > 0) {
+        const ok = addItemToStorage(state, loadedData, waterId, qty);
+        if (ok.ok) pushLog(state, `${char.name} gathered ${qty}× ${(loadedData.idx.itemsById.get(waterId)?.name ?? waterId)}.`, "good", charId, loadedData);
+        else pushLog(state, `Storage full — couldn't store gathered water.`, "warn", charId, loadedData);
+      }
+    } else if (jEntry.meta?.special === "explore") {
+      const actionJobId = jEntry.meta.actionJobId;
+      const actionJob = actionJobId ? loadedData.idx.jobsById.get(actionJobId) : null;
+
+      const toolTier = getToolTierForJob(state, loadedData, char, actionJob || job);
+      const wild = effectiveSkill(char, "Wilderness");
+      const wits = effectiveSkill(char, "Wits");
+      const grit = effectiveSkill(char, "Grit");
+
+      const successChance = clamp(0.55 + (wild * 0.02) + (wits * 0.01) + (toolTier * 0.04), 0.25, 0.95);
+      const success = (rng() < successChance);
+
+      if (success && actionJob?.yields?.length) {
+        const biome = loadedData.idx.biomesById.get(tile.biomeId);
+        const yieldMult = clamp(1 + (toolTier * 0.15) + (wild * 0.02), 0.5, 3.5) * (1.10 + grit * 0.01);
+
+        for (const y of actionJob.yields) {
+          if ((y.chance ?? 1) < 1 && rng() > y.chance) continue;
+          let qty = randInt(rng, y.min ?? 1, y.max ?? (y.min ?? 1));
+          if (biome?.yieldMult?.[y.id]) qty = Math.ceil(qty * biome.yieldMult[y.id]);
+          qty = Math.max(0, Math.floor(qty * yieldMult * traitYield(y.id) * timeYield));
+          if (qty > 0) {
+            const ok = addItemToStorage(state, loadedData, y.id, qty);
+            if (!ok.ok) { pushLog(state, "Storage full — exploration loot was lost.", "warn", charId, loadedData); break; }
+          }
+        }
+        pushLog(state, `${char.name} explored and returned with loot.`, "good", charId, loadedData);
+      } else {
+        pushLog(state, `${char.name} explored but found nothing useful.`, "info", charId, loadedData);
+      }
+
+      // extra injury chance when exploring
+      const extra = clamp(0.10 - (grit * 0.01), 0.02, 0.12) * traitRisk("minorInjury");
+      if (rng() < extra) applyInjury(state, loadedData, char, "minor", "Scrapes and Bruises", 90 * 60 * 1000);
+    } else {
+      const biome = loadedData.idx.biomesById.get(tile.biomeId);
+
+      // Determine tool tier from equipment (if job wants it)
+      const toolTier = getToolTierForJob(state, loadedData, char, job);
+
+      // Yield multiplier based on skill and tool
+      const skill = job.xpSkill ? effectiveSkill(char, job.xpSkill) : 0;
+      const yieldMult = clamp(1 + (toolTier * 0.15) + (skill * 0.02), 0.5, 3.5);
+
+      const yields = job.yields || [];
+      // got[] is declared above so it can be used for all job types
+
+      // POI jobs take their yields out of the stock of the POI on the tile they were started on
+      const poiTile = state.world.discoveredTiles[jEntry.tileId] || tile;
+      const poi = job.pois?.length ? findTilePoi(state, loadedData, poiTile, job.pois) : null;
+      const poiName = poi ? (loadedData.idx.poisById.get(poi.id)?.name ?? poi.id) : null;
+      if (job.pois?.length && !poi) pushLog(state, `${char.name} found nothing left to take.`, "info", charId, loadedData);
+
+      for (const y of yields) {
+        if (job.pois?.length && !poi) break;
+        if ((y.chance ?? 1) < 1 && rng() > y.chance) continue;
+        let qty = randInt(rng, y.min ?? 1, y.max ?? (y.min ?? 1));
+        if (biome?.yieldMult?.[y.id]) qty = Math.ceil(qty * biome.yieldMult[y.id]);
+        qty = Math.max(0, Math.floor(qty * yieldMult * traitYield(y.id) * timeYield * (!poi && loadedData.idx.itemsById.get(y.id)?.water ? rainWater : 1)));
+        if (poi) qty = Math.min(qty, poi.loot[y.id] || 0);
+        if (qty > 0) {
+          const ok = addItemToStorage(state, loadedData, y.id, qty);
+          if (ok.ok) {
+            got.push(`${qty}× ${loadedData.idx.itemsById.get(y.id)?.name ?? y.id}`);
+            if (poi) poi.loot[y.id] -= qty;
+          } else { pushLog(state, "Storage full — couldn't store yields.", "warn", charId, loadedData); break; }
+        }
+      }
+
+      if (job.animals) {
+        const caught = rollAnimalCatch(state, loadedData, job, tile, jobStartAt, jEntry.durationMs, rng);
+        if (caught) {
+          pushLog(state, `${char.name} caught a ${caught.name}.`, "good", charId, loadedData);
+          for (const d of (caught.drops || [])) {
+            if ((d.chance ?? 1) < 1 && rng() > d.chance) continue;
+            const qty = Math.max(0, Math.floor(randInt(rng, d.min ?? 1, d.max ?? (d.min ?? 1)) * yieldMult * traitYield(d.id)));
+            if (qty <= 0) continue;
+            const ok = addItemToStorage(state, loadedData, d.id, qty);
+            if (ok.ok) got.push(`${qty}× ${loadedData.idx.itemsById.get(d.id)?.name ?? d.id}`);
+            else { pushLog(state, "Storage full — couldn't store the catch.", "warn", charId, loadedData); break; }
+          }
+        }
+      }
+
+      if (got.length) pushLog(state, `${char.name} gained: ${got.join(", ")}.`, "good", charId, loadedData);
+      if (poi && poiStockLeft(poi) <= 0) pushLog(state, `The ${poiName} has been picked clean.`, "info", charId, loadedData);
+    }
+
+    // Risk outcomes
+    const r = job.risk || { minorInjury: 0, majorInjury: 0, toolWear: 0, sickness: 0 };
+    const minorChance = clamp((r.minorInjury || 0) * riskMult * traitRisk("minorInjury"), 0, 0.6);
+    const majorChance = clamp((r.majorInjury || 0) * riskMult * traitRisk("majorInjury"), 0, 0.35);
+    const sickChance = clamp((r.sickness || 0) * riskMult * traitSicknessMult(loadedData, char, "job"), 0, 0.35);
+    const wearChance = clamp((r.toolWear || 0) * riskMult * traitMult(loadedData, char, "toolWear", m => modMatchesJob(m, job)), 0, 0.95);
+
+    // One roll per severity, as before; a roll between the armored and unarmored chance is a hit the armor took
+    let armorHit = false;
+    if (!char.conditions.injury) {
+      const majorRoll = rng();
+      if (majorRoll < majorChance) {
+        applyInjury(state, loadedData, char, "major", "Broken Leg", 8 * 60 * 60 * 1000);
+      } else {
+        if (majorRoll < majorChance / armorLeft) armorHit = true;
+        const minorRoll = rng();
+        if (minorRoll < minorChance) applyInjury(state, loadedData, char, "minor", "Sprained Ankle", 2 * 60 * 60 * 1000);
+        else if (minorRoll < minorChance / armorLeft) armorHit = true;
+      }
+    }
+    if (armorHit) wearArmor(state, loadedData, char);
+
+    if (!char.conditions.sickness && rng() < sickChance) {
+      applySickness(state, loadedData, char, "Ruin Dust Fever", 3 * 60 * 60 * 1000);
+    }
+
+    // Tool wear & break
+    if (toolInfo && rng() < wearChance) {
+      const inst = toolInfo.inst;
+      const wear = Math.max(1, Math.round((2 + toolPower) * mult.risk));
+      inst.durability = Math.max(0, (inst.durability ?? 0) - wear);
+      if (inst.durability <= 0) {
+        pushLog(state, `${char.name}'s ${toolInfo.def.name} broke!`, "bad", char.id, loadedData);
+        // Broken tool stays equipped but stops counting as a tool until it's repaired at the workbench
+        applyMoodlet(char, { id: "m_brokentool", name: "Broken Gear", endsAt: gameNow(state) + 60 * 60 * 1000, moraleDelta: -6, note: "Your tool fell apart." });
+      }
+    }
+
+    // XP
+    if (job.xpSkill) {
+      const xpGain = Math.round(10 + mins * 2 + (toolTier * 2));
+      char.xp[job.xpSkill] = (char.xp[job.xpSkill] || 0) + xpGain;
+      pushLog(state, `${char.name} gained ${xpGain} XP in ${job.xpSkill}.`, "info", char.id, loadedData);
+      processLevelUps(state, loadedData, char);
+    }
+
+    // Morale adjustments from outcomes
+    if (got.length > 0) char.needs.morale = clamp(char.needs.morale + 1, 0, 100);
+    const jobMorale = traitSum(loadedData, char, "jobMorale", "morale", mod => modMatchesJob(mod, job));
+    if (jobMorale) char.needs.morale = clamp(char.needs.morale + jobMorale, 0, 100);
+
+    // Log completion summary
+    const gainedText = got.length ? got.map(g => `${g.qty}× ${idx.itemsById.get(g.id)?.name ?? g.id}`).join(", ") : "nothing";
+    pushLog(state, `${char.name} finished ${job.name}: got ${gainedText}.`, "good", char.id, loadedData);
+
+    // Tutorial completion check
+    if (!state.meta.tutorialDone) {
+      // If they crafted spear or trap or hatchet, they’ve basically learned
+      const hasSpear = char.pockets.instances.some(i => i.itemId === "spear_fishing") || hasItemInStorage(state, loadedData, "spear_fishing", 1);
+      const hasTrap = char.pockets.instances.some(i => i.itemId === "trap_simple") || hasItemInStorage(state, loadedData, "trap_simple", 1);
+      const hasHatchet = char.pockets.instances.some(i => i.itemId === "hatchet_stone") || hasItemInStorage(state, loadedData, "hatchet_stone", 1);
+      if (hasSpear && hasTrap && hasHatchet) {
+        state.meta.tutorialDone = true;
+        pushLog(state, "Tutorial complete. You're on your own now (mostly).", "system", null, loadedData);
+      }
+    }
+  }
+
+  /* =========================
+     Crafting
+  ========================= */
+
+  // Returns an integer tool tier (0 = no appropriate tool equipped).
+  // Used by job completion/scouting to scale yields/success.
+  function getToolTierForJob(state, loadedData, char, jobOrDef) {
+    const job = jobOrDef || null;
+    const toolTag = (typeof job === "string") ? job : (job && job.toolTag ? job.toolTag : null);
+    if (!toolTag) return 0;
+    const toolInfo = getEquippedToolDef(char, loadedData, toolTag);
+    const tier = toolInfo?.def?.tool?.tier;
+    return (typeof tier === "number" && isFinite(tier)) ? Math.max(0, Math.floor(tier)) : 0;
+  }
+
+  function canCraftRecipe(state, loadedData, recipe) {
+    const { idx } = loadedData;
+
+    const fix = recipe.special?.repairRv;
+    if (fix && (state.rv.components?.[fix.component] ?? 100) >= 100) {
+      const name = loadedData.data.config.vehicle?.components?.[fix.component]?.name || fix.component;
+      return { ok: false, reason: `${name} is in good shape` };
+    }
+
+    const seasonFx = seasonEffect(state, recipe);
+    if (!seasonFx.allowed) return { ok: false, reason: outOfSeasonReason(seasonFx) };
+
+    // Station installed and level sufficient
+    const stationLevel = getStationLevel(state, recipe.station);
+    if (stationLevel < (recipe.stationLevel || 0)) return { ok: false, reason: `Requires ${recipe.station} level ${recipe.stationLevel}` };
+
+    // Inputs present
+    for (const inp of (recipe.inputs || [])) {
+      if (!hasItemInStorage(state, loadedData, inp.id, inp.qty)) {
+        const name = idx.itemsById.get(inp.id)?.name ?? inp.id;
+        return { ok: false, reason: `Missing: ${name}` };
+      }
+    }
+
+    // Capacity check (rough)
+    // We remove inputs at start, so capacity shouldn't be a blocker unless outputs exceed.
+    return { ok: true };
+  }
+
+  function getStationLevel(state, stationId) {
+    // Some stations represent modules with levels; others are “capabilities”
+    // For MVP we treat stationId matching stations list: rv.stations[stationId]
+    return state.rv.stations[stationId] ?? 0;
+  }
+
+  function startCraft(state, loadedData, recipeId) {
+    const { idx } = loadedData;
+    const recipe = idx.recipesById.get(recipeId);
+    if (!recipe) return { ok: false, reason: "bad recipe" };
+
+    const can = canCraftRecipe(state, loadedData, recipe);
+    if (!can.ok) return can;
+
+    // Remove inputs immediately
+    for (const inp of (recipe.inputs || [])) {
+      removeItemFromStorage(state, loadedData, inp.id, inp.qty);
+    }
+
+    const entry = {
+      id: uid("craft", rngFor(state, "uid")),
+      recipeId,
+      createdAt: gameNow(state),
+      startAt: null,
+      durationMs: (recipe.timeSec || 60) * 1000,
+      completed: false,
+      // Store a copy of consumed inputs so we can refund if the player removes this craft from the queue.
+      inputs: (recipe.inputs || []).map(i => ({ id: i.id, qty: i.qty }))
+    };
+
+    const q = state.queues.craftsByStationId[recipe.station] || (state.queues.craftsByStationId[recipe.station] = []);
+    if (q.length === 0) entry.startAt = gameNow(state);
+    q.push(entry);
+
+    pushLog(state, `Crafting started: ${recipe.name}.`, "info", null, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  
+  function cancelCraftEntry(state, loadedData, stationId, entryId) {
+    const { idx } = loadedData;
+    const q = state.queues.craftsByStationId?.[stationId];
+    if (!q || q.length === 0) return { ok: false, reason: "Queue is empty." };
+
+    const i = q.findIndex(e => e.id === entryId);
+    if (i < 0) return { ok: false, reason: "Craft entry not found." };
+
+    const entry = q[i];
+    const recipe = idx.recipesById.get(entry.recipeId);
+
+    // Refund inputs (best-effort). Inputs were consumed at enqueue time in startCraft().
+    const inputs = entry.inputs || recipe?.inputs || [];
+    for (const inp of inputs) {
+      if (!inp?.id || !inp?.qty) continue;
+      const res = addItemToStorage(state, loadedData, inp.id, inp.qty);
+      if (!res?.ok) {
+        pushLog(
+          state,
+          `Storage full — couldn't refund ${inp.qty}× ${(idx.itemsById.get(inp.id)?.name ?? inp.id)}.`,
+          "warn",
+          null,
+          loadedData
+        );
+      }
+    }
+
+    // Remove the entry
+    q.splice(i, 1);
+
+    // If we removed the currently-active craft, start the next one immediately.
+    if (i === 0 && q[0] && q[0].startAt == null) q[0].startAt = gameNow(state);
+
+    pushLog(state, `Cancelled craft: ${recipe?.name ?? entry.recipeId}.`, "info", null, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  function tickCraftQueues(state, loadedData) {
+    const { idx } = loadedData;
+    const t = gameNow(state);
+
+    for (const [stationId, q] of Object.entries(state.queues.craftsByStationId)) {
+      if (!q || q.length === 0) continue;
+
+      // If the head craft hasn't started yet, start it now.
+      if (q[0].startAt == null) q[0].startAt = t;
+
+      // Complete as many crafts as are due. Always advance the queue, even if a craft errors.
+      while (q.length > 0) {
+        const cEntry = q[0];
+
+        // Defensive: ensure we have a start time.
+        if (cEntry.startAt == null) cEntry.startAt = t;
+
+        const recipe = idx.recipesById.get(cEntry.recipeId);
+
+        // Crew craftSpeed traits, hull damage, the season and weather on exposed gardens are locked in once per
+        // entry, when it first reaches the head of the queue
+        if (cEntry.craftSpeed == null) {
+          const exposed = idx.stationsById.get(stationId)?.weatherExposed;
+          const speed = crewCraftSpeed(state, loadedData, stationId) * stationOutputMult(state, loadedData) /
+            seasonEffect(state, recipe, cEntry.startAt).time *
+            (exposed ? (weatherAt(state, loadedData, null, cEntry.startAt)?.gardenSpeed ?? 1) : 1);
+          cEntry.craftSpeed = speed;
+          if (Number.isFinite(cEntry.durationMs) && speed !== 1) cEntry.durationMs = Math.max(1000, Math.round(cEntry.durationMs / speed));
+        }
+
+        const durMs = Number.isFinite(cEntry.durationMs) ? cEntry.durationMs : ((recipe?.timeSec || 60) * 1000);
+        const endsAt = cEntry.startAt + durMs;
+
+        if (endsAt > t) break;
+
+        try {
+          if (!recipe) throw new Error(`Unknown recipeId: ${cEntry.recipeId}`);
+          resolveCraftCompletion(state, loadedData, recipe);
+          recordSimEvent(state, "craft_done", { stationId, recipeId: cEntry.recipeId });
+        } catch (err) {
+          console.error(err);
+          pushLog(
+            state,
+            `ERROR: crafting failed for ${recipe?.name ?? cEntry.recipeId}. See console.`,
+            "warn",
+            null,
+            loadedData
+          );
+        } finally {
+          // Always advance, so we never "re-complete" the same craft endlessly.
+          q.shift();
+          if (q.length > 0 && q[0].startAt == null) q[0].startAt = endsAt;
+          requestPersist(state, loadedData);
+        }
+      }
+    }
+  }
+
+  function resolveCraftCompletion(state, loadedData, recipe) {
+    const { idx } = loadedData;
+
+    if (recipe.special?.makeItem) {
+      // Special: create/ensure special item exists and add it
+      const it = recipe.special.makeItem;
+      if (!idx.itemsById.has(it.id)) {
+        // (Should already be normalized on load)
+      }
+      addItemToStorage(state, loadedData, it.id, recipe.special.qty || 1);
+      pushLog(state, `Crafted: ${it.name}.`, "good", null, loadedData);
+      return;
+    }
+
+    if (recipe.special?.repairRv) {
+      repairComponent(state, loadedData, recipe.special.repairRv.component, recipe.special.repairRv.amount);
+      return;
+    }
+
+    const gained = [];
+    for (const out of (recipe.outputs || [])) {
+      if (!out.qty || out.qty <= 0) continue;
+      const ok = addItemToStorage(state, loadedData, out.id, out.qty);
+      if (ok.ok) gained.push({ id: out.id, qty: out.qty });
+      else pushLog(state, `Storage full. Couldn't store crafted item: ${idx.itemsById.get(out.id)?.name ?? out.id}.`, "bad", null, loadedData);
+    }
+
+    const txt = gained.length ? gained.map(g => `${g.qty}× ${idx.itemsById.get(g.id)?.name ?? g.id}`).join(", ") : "nothing";
+    pushLog(state, `Craft complete: ${recipe.name} -> ${txt}.`, "good", null, loadedData);
+  }
+
+  /* =========================
+     Gear Repair
+     Tools and armor are repaired one instance at a time at the workbench, from RV storage materials.
+  ========================= */
+  function gearDurabilityDef(def) {
+    return def?.tool?.durabilityMax ? def.tool : (def?.armor?.durabilityMax ? def.armor : null);
+  }
+
+  // Current max durability: the item's durabilityMax minus any wear from earlier repairs.
+  function instanceMaxDurability(def, inst) {
+    const base = gearDurabilityDef(def)?.durabilityMax ?? null;
+    if (base == null) return null;
+    return inst.maxDurability ?? base;
+  }
+
+  function findInstanceAnywhere(state, instUid) {
+    const inStorage = state.rv.storage.instances.find(i => i.uid === instUid);
+    if (inStorage) return { inst: inStorage, owner: null };
+    for (const c of state.crew.members) {
+      const inst = c.pockets.instances.find(i => i.uid === instUid);
+      if (inst) return { inst, owner: c };
+    }
+    return null;
+  }
+
+  // What repairing this instance would take. Returns { ok, reason?, inputs, restoreTo, newMax }.
+  function gearRepairCost(state, loadedData, instUid) {
+    const { data, idx } = loadedData;
+    const found = findInstanceAnywhere(state, instUid);
+    if (!found) return { ok: false, reason: "Item not found." };
+    const { inst } = found;
+    const def = idx.itemsById.get(inst.itemId);
+    const durDef = gearDurabilityDef(def);
+    if (!durDef) return { ok: false, reason: "This can't be repaired." };
+
+    const cfg = data.config.repair || {};
+    const base = durDef.durabilityMax;
+    const curMax = instanceMaxDurability(def, inst);
+    const missing = curMax - (inst.durability ?? curMax);
+    if (missing <= 0) return { ok: false, reason: "Not damaged." };
+
+    const recipe = data.recipes.find(r => (r.outputs || []).some(o => o.id === def.id && o.qty > 0) || r.special?.makeItem?.id === def.id);
+    const source = recipe?.inputs?.length ? recipe.inputs : (cfg.fallbackInputs || []);
+    const scale = (missing / base) * (cfg.costFraction ?? 0.35) * (1 + (durDef.tier || 0) * (cfg.tierCostMult ?? 0.25));
+    const inputs = source.map(i => ({ id: i.id, qty: Math.max(1, Math.ceil(i.qty * scale)) }));
+
+    const loss = Math.round(base * (cfg.maxLossPerRepair ?? 0));
+    const floor = Math.ceil(base * (cfg.minMaxFraction ?? 0.5));
+    const newMax = Math.max(Math.min(curMax, floor), curMax - loss);
+    // Repairing less wear than the repair itself costs in max durability would leave the item worse off
+    if (missing <= curMax - newMax) return { ok: false, reason: "Barely worn — not worth repairing yet." };
+
+    return { ok: true, inputs, restoreTo: Math.max(inst.durability ?? 0, newMax), newMax };
+  }
+
+  function repairInstance(state, loadedData, instUid) {
+    const { idx } = loadedData;
+    if (state.rv.stations.workbench == null) return { ok: false, reason: "Needs a workbench." };
+
+    const cost = gearRepairCost(state, loadedData, instUid);
+    if (!cost.ok) return cost;
+    for (const i of cost.inputs) {
+      if (!hasItemInStorage(state, loadedData, i.id, i.qty)) return { ok: false, reason: `Missing: ${idx.itemsById.get(i.id)?.name ?? i.id}` };
+    }
+    for (const i of cost.inputs) removeItemFromStorage(state, loadedData, i.id, i.qty);
+
+    const { inst, owner } = findInstanceAnywhere(state, instUid);
+    const def = idx.itemsById.get(inst.itemId);
+    const base = gearDurabilityDef(def).durabilityMax;
+    if (cost.newMax < base) inst.maxDurability = cost.newMax;
+    inst.durability = Math.max(inst.durability ?? 0, cost.restoreTo);
+
+    const whose = owner ? `${owner.name}'s ` : "";
+    pushLog(state, `Repaired ${whose}${def.name} (durability ${inst.durability}/${cost.newMax}).`, "good", owner?.id ?? null, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  /* =========================
+     Stations Upgrades
+  ========================= */
+  function upgradeStation(state, loadedData, stationId) {
+    const { data, idx } = loadedData;
+    const st = idx.stationsById.get(stationId);
+    if (!st) return { ok: false, reason: "unknown station" };
+
+    const cur = state.rv.stations[stationId] ?? 0;
+    const next = st.levels.find(x => x.level === cur + 1);
+    if (!next) return { ok: false, reason: "maxed" };
+
+    // Check costs
+    for (const c of (next.cost || [])) {
+      if (!hasItemInStorage(state, loadedData, c.id, c.qty)) {
+        const nm = idx.itemsById.get(c.id)?.name ?? c.id;
+        return { ok: false, reason: `Missing: ${nm} (${c.qty})` };
+      }
+    }
+
+    // Pay
+    for (const c of (next.cost || [])) removeItemFromStorage(state, loadedData, c.id, c.qty);
+
+    state.rv.stations[stationId] = cur + 1;
+    recomputeDerivedStats(state, loadedData);
+    pushLog(state, `${st.name} upgraded to level ${cur + 1}.`, "good", null, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  /* =========================
+     NPC Recruitment + Encounters
+  ========================= */
+  function canRecruit(state, loadedData) {
+    return state.crew.members.length < state.crew.maxCrew;
+  }
+
+  function ensureCrewPortraitAssigned(member, state, loadedData) {
+    if (!member || typeof member !== "object") return;
+    if (member.portraitPath) return;
+
+    const paths = loadedData?.data?.portraits;
+    if (Array.isArray(paths) && paths.length) {
+      const pick = paths[randInt(rngFor(state, "portrait"), 0, paths.length - 1)];
+      member.portraitPath = normalizePortraitPath(pick);
+    } else {
+      member.portraitPath = ""; // placeholder
+    }
+  }
+
+  // Older saves predate templateId; their recruits are matched by name + perk.
+  function isTemplateInCrew(state, tmpl) {
+    return state.crew.members.some(m => m.templateId === tmpl.id || (!m.templateId && !m.isPlayer && m.name === tmpl.name && m.perk?.id === tmpl.perk?.id));
+  }
+
+  // Rolls a survivor encounter for a tile when it has none (or the last offer went stale).
+  // Seeded from the save's "encounter" stream; weights come from npcs.json biomeWeights (default 1).
+  function maybeRollEncounter(state, loadedData, tile) {
+    if (!tile) return null;
+    const cfg = loadedData.data.config.encounters || {};
+    const t = gameNow(state);
+    if (tile.encounter && !(tile.encounter.expiresAt && tile.encounter.expiresAt <= t)) return tile.encounter;
+    const rerollMs = (cfg.rerollHours ?? 12) * 60 * 60 * 1000;
+    if (tile.encounterRolledAt != null && t - tile.encounterRolledAt < rerollMs) return tile.encounter || null;
+
+    tile.encounterRolledAt = t;
+    tile.encounter = null;
+
+    const rng = rngFor(state, "encounter");
+    if (rng() >= (cfg.chance ?? 0.35)) return null;
+
+    const picks = loadedData.data.npcs
+      .filter(n => !isTemplateInCrew(state, n))
+      .map(n => ({ id: n.id, w: Number(n.biomeWeights?.[tile.biomeId] ?? 1) }))
+      .filter(e => e.w > 0);
+    if (!picks.length) return null;
+
+    const npcTemplateId = weightedPick(rng, picks);
+    const tmpl = loadedData.idx.npcsById.get(npcTemplateId);
+    tile.encounter = {
+      type: "recruitNpc",
+      npcTemplateId,
+      requirement: deepCopy(tmpl?.recruit || {}),
+      expiresAt: t + rerollMs
+    };
+    pushLog(state, `A survivor was spotted nearby: ${tmpl?.name ?? npcTemplateId} (${tmpl?.archetype ?? "Unknown"}).`, "system", null, loadedData);
+    return tile.encounter;
+  }
+
+  // Haggling: recruitCost mods of the able crew and of the recruit's own perk/quirk.
+  function recruitCostMult(state, loadedData, tmpl) {
+    let m = tmpl ? traitMult(loadedData, { perk: tmpl.perk, quirk: tmpl.quirk }, "recruitCost") : 1;
+    for (const c of state.crew.members) {
+      if (!c.conditions.downed) m *= traitMult(loadedData, c, "recruitCost");
+    }
+    return m > 0 ? m : 1;
+  }
+
+  // Requirement lines for an encounter card. requirement: { items?: [{id, qty}], minMorale? }
+  // or the tutorial's { itemId, qty, optional }. A free bunk is always needed.
+  function checkEncounterRequirement(state, loadedData, encounter) {
+    const req = encounter?.requirement || {};
+    const lines = [];
+    const bunk = canRecruit(state, loadedData);
+    lines.push({ text: `Bunk space (${state.crew.members.length}/${state.crew.maxCrew})`, met: bunk });
+
+    const costMult = recruitCostMult(state, loadedData, loadedData.idx.npcsById.get(encounter?.npcTemplateId));
+    const items = (Array.isArray(req.items) ? req.items : [])
+      .map(it => ({ id: it.id, qty: Math.max(1, Math.round(it.qty * costMult)) }));
+    if (req.itemId && !req.optional) items.push({ id: req.itemId, qty: req.qty ?? 1 });
+    for (const it of items) {
+      const nm = loadedData.idx.itemsById.get(it.id)?.name ?? it.id;
+      lines.push({ text: `${it.qty}× ${nm}`, met: hasItemInStorage(state, loadedData, it.id, it.qty) });
+    }
+
+    if (req.minMorale != null) {
+      const able = state.crew.members.filter(m => !m.conditions.downed);
+      const avg = able.length ? able.reduce((a, m) => a + clamp(m.needs.morale + currentMoraleModifier(m), 0, 100), 0) / able.length : 0;
+      lines.push({ text: `Crew morale ${req.minMorale}+ (now ${Math.round(avg)})`, met: avg >= req.minMorale });
+    }
+
+    return { ok: lines.every(l => l.met), lines, items };
+  }
+
+  // Pays the encounter's item requirement and recruits the NPC from the tile.
+  function acceptEncounter(state, loadedData, tileId) {
+    const tile = state.world.discoveredTiles[tileId];
+    const enc = tile?.encounter;
+    if (enc?.type !== "recruitNpc") return { ok: false, reason: "No one is here." };
+    const tmpl = loadedData.idx.npcsById.get(enc.npcTemplateId);
+    if (!tmpl) return { ok: false, reason: "unknown NPC" };
+    if (isTemplateInCrew(state, tmpl)) {
+      tile.encounter = null;
+      return { ok: false, reason: `${tmpl.name} is already in your crew.` };
+    }
+    const check = checkEncounterRequirement(state, loadedData, enc);
+    if (!check.ok) {
+      const missing = check.lines.filter(l => !l.met).map(l => l.text);
+      return { ok: false, reason: `Needs: ${missing.join(", ")}` };
+    }
+
+    for (const it of check.items) removeItemFromStorage(state, loadedData, it.id, it.qty);
+    const res = recruitNpcFromTemplate(state, loadedData, enc.npcTemplateId);
+    if (!res.ok) return res;
+    tile.encounter = null; // one-time
+    return res;
+  }
+
+  function declineEncounter(state, loadedData, tileId) {
+    const tile = state.world.discoveredTiles[tileId];
+    if (!tile?.encounter) return { ok: false, reason: "No one is here." };
+    const tmpl = loadedData.idx.npcsById.get(tile.encounter.npcTemplateId);
+    tile.encounter = null;
+    pushLog(state, `You waved ${tmpl?.name ?? "the survivor"} off.`, "info", null, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true };
+  }
+
+  // Takes a member out of the crew: queue cleared, pockets and gear unloaded into RV storage
+  // (anything that doesn't fit is dropped), and an entry added to state.crew.history.
+  // Returns { ok, dropped: [{ itemId, qty }] }.
+  function removeCrewMember(state, loadedData, char, reason) {
+    const { idx } = loadedData;
+    const t = gameNow(state);
+
+    // Exploration rations reserved by queued jobs are handed back along with the pockets
+    const reserved = [];
+    for (const j of (state.queues.jobsByCharId[char.id] || [])) {
+      for (const rc of (j.meta?.rationsConsumed || [])) reserved.push({ itemId: rc.itemId, qty: rc.qty || 1 });
+    }
+    delete state.queues.jobsByCharId[char.id];
+
+    // Same capacity rule as addItemToStorage: whatever doesn't fit is left behind
+    const dropped = [];
+    const drop = (itemId, qty) => {
+      const d = dropped.find(x => x.itemId === itemId);
+      if (d) d.qty += qty;
+      else dropped.push({ itemId, qty });
+    };
+    for (const st of char.pockets.stacks.concat(reserved)) {
+      if (st.qty <= 0) continue;
+      const free = Math.max(0, (state.rv.storage.capacity || 0) - countStorageUsed(state, loadedData));
+      const fit = Math.min(st.qty, free);
+      if (fit > 0 && !addItemToStorage(state, loadedData, st.itemId, fit).ok) drop(st.itemId, st.qty);
+      else if (st.qty > fit) drop(st.itemId, st.qty - fit);
+    }
+    for (const inst of char.pockets.instances) {
+      const cap = state.rv.storage.capacity || 0;
+      if (countStorageUsed(state, loadedData) + 1 > cap) drop(inst.itemId, 1);
+      else state.rv.storage.instances.push(inst);
+    }
+    char.pockets.stacks = [];
+    char.pockets.instances = [];
+    for (const slot of Object.keys(char.equipment)) char.equipment[slot] = null;
+
+    state.crew.members = state.crew.members.filter(m => m.id !== char.id);
+    state.crew.history = state.crew.history || [];
+    state.crew.history.push({
+      charId: char.id,
+      templateId: char.templateId ?? null,
+      name: char.name,
+      perk: char.perk ?? null,
+      quirk: char.quirk ?? null,
+      portraitPath: char.portraitPath ?? "",
+      joinedAt: char.joinedAt ?? state.meta.createdAt,
+      leftAt: t,
+      reason
+    });
+
+    if (dropped.length) {
+      const text = dropped.map(d => `${d.qty}× ${idx.itemsById.get(d.itemId)?.name ?? d.itemId}`).join(", ");
+      pushLog(state, `Storage full — ${char.name}'s ${text} had to be left behind.`, "warn", null, loadedData);
+    }
+    requestPersist(state, loadedData);
+    return { ok: true, dropped };
+  }
+
+  function dismissCrewMember(state, loadedData, charId) {
+    const char = state.crew.members.find(m => m.id === charId);
+    if (!char) return { ok: false, reason: "unknown crew member" };
+    if (char.isPlayer) return { ok: false, reason: "You can't dismiss yourself." };
+
+    const res = removeCrewMember(state, loadedData, char, "dismissed");
+    pushLog(state, `${char.name} left the caravan.`, "info", null, loadedData);
+    return res;
+  }
+
+  function recruitNpcFromTemplate(state, loadedData, npcTemplateId) {
+    const t = loadedData.idx.npcsById.get(npcTemplateId);
+    if (!t) return { ok: false, reason: "unknown NPC" };
+    if (!canRecruit(state, loadedData)) return { ok: false, reason: "No bunks available" };
+
+    const npc = makeCharacter({
+      name: t.name,
+      isPlayer: false,
+      baseStats: t.stats,
+      startingGear: [{ itemId: "knife_pocket", equip: true }], // NPC arrives with a knife (MVP)
+      startingPockets: [],
+      idleBehavior: "rest",
+      rng: rngFor(state, "uid")
+    }, loadedData);
+
+    // Attach perk/quirk as metadata (MVP)
+    npc.templateId = t.id;
+    npc.perk = t.perk;
+    npc.quirk = t.quirk;
+    npc.needs.hunger = 70;
+    npc.needs.thirst = 70;
+    npc.needs.morale = 65;
+
+    ensureCrewPortraitAssigned(npc, state, loadedData);
+    npc.joinedAt = gameNow(state);
+
+    state.crew.members.push(npc);
+    state.queues.jobsByCharId[npc.id] = [];
+
+    pushLog(state, `${npc.name} joined your caravan.`, "good", npc.id, loadedData);
+    requestPersist(state, loadedData);
+    return { ok: true, npc };
+  }
+
+  /* =========================
+     Simulation Step
+  ========================= */
+  // Safety valve for very long absences; anything beyond is resolved in one bulk step.
+  const SIM_MAX_STEPS = 20000;
+
+  // Earliest moment after `from` where something changes: a job or craft ends,
+  // a timed effect expires, or a need crosses the auto-consume threshold.
+  function nextSimEventAt(state, loadedData, from) {
+    const cfg = loadedData.data.config;
+    let next = Infinity;
+    const consider = (t) => { if (Number.isFinite(t) && t > from && t < next) next = t; };
+
+    for (const q of Object.values(state.queues.jobsByCharId)) {
+      const head = q?.[0];
+      if (head?.startAt != null) consider(head.startAt + head.durationMs);
+    }
+    for (const q of Object.values(state.queues.craftsByStationId)) {
+      const head = q?.[0];
+      if (head?.startAt != null) consider(head.startAt + (head.durationMs || 0));
+    }
+
+    if (state.rv.travel) consider(state.rv.travel.startAt + state.rv.travel.durationMs);
+    // drains change with the weather
+    consider(weatherAt(state, loadedData, null, from)?.endsAt);
+
+    const thr = cfg.autoConsumeThreshold;
+    const h = cfg.health || {};
+    for (const c of state.crew.members) {
+      for (const m of (c.moodlets || [])) consider(m.endsAt);
+      consider(c.conditions.sickness?.endsAt);
+      consider(c.conditions.injury?.endsAt);
+      if (c.conditions.downed) {
+        if (state.meta.permadeath && !c.isPlayer && c.conditions.downedAt != null) {
+          consider(c.conditions.downedAt + (h.bleedOutMin ?? 120) * 60000);
+        }
+        const rate = (h.regenPerMinRest || 0) * traitMult(loadedData, c, "regen");
+        if (rate > 0 && isFedForRegen(h, c)) consider(from + Math.ceil((((h.downedRecoverAt ?? 25) - c.needs.health) / rate) * 60000));
+        continue;
+      }
+
+      const rates = needDrainRates(state, loadedData, c, from);
+      for (const [need, rate] of [["hunger", rates.hunger], ["thirst", rates.thirst]]) {
+        const v = c.needs[need];
+        if (rate > 0 && v > thr) consider(from + Math.ceil(((v - thr) / rate) * 60000));
+        // starvation/dehydration damage starts when the need empties
+        if (rate > 0 && v > 0) consider(from + Math.ceil((v / rate) * 60000));
+      }
+
+      // health running out
+      const damage = conditionDamagePerMin(h, c)
+        + (c.needs.hunger <= 0 ? (h.starvingPerMin || 0) : 0)
+        + (c.needs.thirst <= 0 ? (h.dehydratedPerMin || 0) : 0);
+      if (damage > 0) consider(from + Math.ceil((c.needs.health / damage) * 60000));
+    }
+    return next;
+  }
+
+  function stepSimulation(state, loadedData, elapsedMs) {
+    applyContinuousDrains(state, loadedData, elapsedMs);
+    tickTravel(state, loadedData);
+
+    // tick queues (completions)
+    tickCraftQueues(state, loadedData);
+    tickJobQueues(state, loadedData);
+
+    // post-tick auto-consume
+    for (const c of state.crew.members) maybeAutoConsume(state, loadedData, c);
+  }
+
+  // Walks from lastSimAt to now in bounded sub-steps that stop at every event,
+  // so long absences play out in order (eat when hungry, not after starving).
+  // Returns { fromAt, toAt, elapsedMs, events } (see Sim Events), or null if no time passed.
+  function simulateToNow(state, loadedData) {
+    const tNow = gameNow(state);
+    const last = state.meta.lastSimAt || tNow;
+    if (tNow - last <= 0) return null;
+
+    const maxStepMs = Math.max(1, loadedData.data.config.simStepMaxMin ?? 10) * 60 * 1000;
+    let cursor = last;
+    let steps = 0;
+    const events = [];
+
+    try {
+      simEventSink = events;
+      while (cursor < tNow) {
+        const next = (steps < SIM_MAX_STEPS)
+          ? Math.min(tNow, cursor + maxStepMs, nextSimEventAt(state, loadedData, cursor))
+          : tNow;
+        simCursorAt = next;
+        stepSimulation(state, loadedData, next - cursor);
+        cursor = next;
+        state.meta.lastSimAt = cursor;
+        steps++;
+      }
+    } finally {
+      simCursorAt = null;
+      simEventSink = null;
+    }
+
+    state.meta.lastSimAt = tNow;
+    return { fromAt: last, toAt: tNow, elapsedMs: tNow - last, events };
+  }
+
+  /* =========================
+     Headless API
+     create state -> enqueue jobs/crafts -> advance time -> read state
+  ========================= */
+  function advanceTime(state, loadedData, ms) {
+    addSimTime(state, Math.max(0, Number(ms) || 0));
+    simulateToNow(state, loadedData);
+    return state;
+  }
+
+  function readState(state) {
+    return deepCopy(state);
+  }
+
+  const RVEngine = {
+    // lifecycle
+    setHooks,
+    setClock,
+    loadData,
+    validateData,
+    FALLBACK_DATA,
+    createState: defaultNewGameState,
+    migrateState,
+    SAVE_SCHEMA_VERSION,
+    enqueueJob: startJobForChar,
+    enqueueCraft: startCraft,
+    advanceTime,
+    simulateToNow,
+    summarizeSimReport,
+    readState,
+
+    // utilities
+    clamp,
+    nowReal,
+    deepCopy,
+    safeJsonParse,
+    uid,
+    rngFor,
+    ensureRngState,
+    hashStringToUint,
+    mulberry32,
+    randInt,
+    weightedPick,
+    normalizePortraitPath,
+    geohashEncode,
+    geohashNeighbors,
+
+    // state model
+    defaultNewGameState,
+    activePackList,
+    checkSaveContent,
+    makeCharacter,
+    makeInstance,
+    recomputeDerivedStats,
+
+    // storage, pockets, equipment
+    countStorageUsed,
+    addItemToStorage,
+    removeItemFromStorage,
+    hasItemInStorage,
+    countPocketsUsed,
+    addItemToPockets,
+    removeItemFromPockets,
+    transferStackRvToChar,
+    transferStackCharToRv,
+    transferInstanceRvToChar,
+    transferInstanceCharToRv,
+    dropFromRvStorage,
+    dropInstanceFromRvStorage,
+    equipInstanceOnChar,
+    getEquippedToolDef,
+    getTotalProtection,
+
+    // log + time
+    pushLog,
+    gameNow,
+    resetSimTimeToReal,
+    addSimTime,
+    isNight,
+    dayPhase,
+    nextSunEvent,
+    jobTimeFactors,
+    weatherAt,
+    seasonAt,
+    seasonEffect,
+
+    // needs, conditions, xp
+    currentMoraleModifier,
+    effectiveSkill,
+    xpProgressLine,
+    consumeFoodFromStorage,
+    consumeWaterFromStorage,
+    treatCharacter,
+    listTreatmentsFor,
+
+    // world + jobs
+    getOrCreateTile,
+    biomeForTile,
+    listTilePois,
+    planTravel,
+    startTravel,
+    isTraveling,
+    listNeighborTiles,
+    refuelRv,
+    vehicleStatus,
+    instanceMaxDurability,
+    gearRepairCost,
+    repairInstance,
+    listAvailableJobsForTile,
+    startJobForChar,
+    cancelQueuedJob,
+    clearJobQueue,
+
+    // crafting + stations
+    canCraftRecipe,
+    getStationLevel,
+    startCraft,
+    cancelCraftEntry,
+    upgradeStation,
+
+    // crew
+    canRecruit,
+    checkEncounterRequirement,
+    acceptEncounter,
+    declineEncounter,
+    ensureCrewPortraitAssigned,
+    recruitNpcFromTemplate,
+    dismissCrewMember
+  };
+
+  if (typeof module !== "undefined" && module.exports) module.exports = RVEngine;
+  root.RVEngine = RVEngine;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -1,13 +1,11 @@
 /* ============================================================================
   RV ROVER (v0.2.6) — game.js
-  Single-file MVP engine + UI (HTML/CSS coming next), data-driven via JSON.
-  - Loads data from /data/*.json (config/items/recipes/stations/jobs/biomes/npcs/animals)
-  - Falls back to embedded starter data if JSON files aren’t present yet
+  Browser UI + persistence on top of the headless engine (engine.js).
+  - Rules/simulation live in engine.js (window.RVEngine); this file never
+    mutates game rules directly, it calls engine functions
+  - Loads data from /data/*.json via RVEngine.loadData (fallback data built in)
   - Manual location update (GPS -> geohash tileId)
-  - Weighted + neighbor-influenced biome generation
   - Tutorial overlay on the player’s first real tile (NPC recruit included)
-  - Offline progression (real-time elapsed), job queues, crafting queues
-  - Hunger/thirst/morale, moodlets, sickness, injuries, tool durability
   - Manual save slots + hidden safety snapshot
   - Admin panel toggle with ~ (backtick) for time fast-forward + debug tools
 
@@ -24,6 +22,32 @@
   window.RVROVER_BUILD = "v0.3.0";
   console.log("[RV ROVER] Loaded", window.RVROVER_BUILD);
 
+  /* =========================
+     Engine imports (engine.js must load first)
+  ========================= */
+  const RVEngine = window.RVEngine;
+  if (!RVEngine) throw new Error("[RV ROVER] engine.js not loaded (include it before game.js)");
+
+  const {
+    clamp, nowReal, deepCopy, safeJsonParse, uid, geohashEncode,
+    loadData, defaultNewGameState, recomputeDerivedStats,
+    countStorageUsed, addItemToStorage, removeItemFromStorage, hasItemInStorage,
+    countPocketsUsed, addItemToPockets, removeItemFromPockets,
+    transferStackRvToChar, transferStackCharToRv, transferInstanceRvToChar, transferInstanceCharToRv,
+    dropFromRvStorage, dropInstanceFromRvStorage, equipInstanceOnChar,
+    pushLog, gameNow, resetSimTimeToReal, addSimTime, dayPhase, nextSunEvent, jobTimeFactors, weatherAt, seasonAt, seasonEffect,
+    currentMoraleModifier, effectiveSkill, xpProgressLine,
+    consumeFoodFromStorage, consumeWaterFromStorage, treatCharacter, listTreatmentsFor,
+    getOrCreateTile, biomeForTile, listAvailableJobsForTile, listTilePois,
+    planTravel, startTravel, listNeighborTiles, refuelRv, vehicleStatus,
+    instanceMaxDurability, gearRepairCost, repairInstance,
+    startJobForChar, cancelQueuedJob, clearJobQueue,
+    canCraftRecipe, getStationLevel, startCraft, cancelCraftEntry, upgradeStation,
+    canRecruit, checkEncounterRequirement, acceptEncounter, declineEncounter,
+    ensureCrewPortraitAssigned, recruitNpcFromTemplate, dismissCrewMember,
+    simulateToNow
+  } = RVEngine;
+
   /* =========================
      Constants / Storage Keys
   ========================= */
@@ -49,23 +73,8 @@
 
 
   /* =========================
-     Utilities
+     UI Utilities
   ========================= */
-  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
-  const nowReal = () => Date.now();
-
-  function deepCopy(obj) {
-    return JSON.parse(JSON.stringify(obj));
-  }
-
-  function safeJsonParse(str, fallback) {
-    try { return JSON.parse(str); } catch { return fallback; }
-  }
-
-  function uid(prefix = "id") {
-    return `${prefix}_${Math.random().toString(36).slice(2, 10)}${Math.random().toString(36).slice(2, 10)}`;
-  }
-
   function fmtTime(ms) {
     const s = Math.max(0, Math.floor(ms / 1000));
     const h = Math.floor(s / 3600);
@@ -81,51 +90,6 @@
     return d.toLocaleString();
   }
 
-  function hashStringToUint(str) {
-    // FNV-1a 32-bit
-    let h = 0x811c9dc5;
-    for (let i = 0; i < str.length; i++) {
-      h ^= str.charCodeAt(i);
-      h = Math.imul(h, 0x01000193);
-    }
-    return h >>> 0;
-  }
-
-  function mulberry32(seed) {
-    // Deterministic RNG from seed (uint32)
-    return function () {
-      let t = (seed += 0x6D2B79F5);
-      t = Math.imul(t ^ (t >>> 15), t | 1);
-      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-    };
-  }
-
-  function randInt(rng, min, max) {
-    // Inclusive integer in [min, max]. Accepts an RNG function (0..1).
-    const a = Number.isFinite(min) ? min : 0;
-    const b = Number.isFinite(max) ? max : a;
-    const lo = Math.min(a, b);
-    const hi = Math.max(a, b);
-    const r = (typeof rng === "function") ? rng() : Math.random();
-    return lo + Math.floor(r * (hi - lo + 1));
-  }
-
-
-  function normalizePortraitPath(p) {
-    if (typeof p !== "string") return "";
-    let s = p.trim();
-    if (!s) return "";
-    // Allow absolute URLs if user ever supplies them (still works on GH Pages)
-    if (/^(https?:)?\/\//i.test(s)) return s;
-    // Normalize leading ./ or /
-    if (s.startsWith("./")) s = s.slice(2);
-    if (s.startsWith("/")) s = s.slice(1);
-    // If it's just a filename, assume it's in images/portraits/
-    if (!s.includes("/")) return `images/portraits/${s}`;
-    return s;
-  }
-
   function initialsFromName(name) {
     const s = String(name || "").trim();
     if (!s) return "?";
@@ -135,18 +99,6 @@
     return (a + b).toUpperCase();
   }
 
-
-  function weightedPick(rng, entries /* [{id, w}] */) {
-    const total = entries.reduce((a, e) => a + Math.max(0, e.w), 0);
-    if (total <= 0) return entries[0]?.id ?? null;
-    let roll = rng() * total;
-    for (const e of entries) {
-      roll -= Math.max(0, e.w);
-      if (roll <= 0) return e.id;
-    }
-    return entries[entries.length - 1].id;
-  }
-
   function el(tag, attrs = {}, children = []) {
     const n = document.createElement(tag);
     for (const [k, v] of Object.entries(attrs)) {
@@ -178,12 +130,14 @@
     }, ms);
   }
 
+  // body: HTML string, or a DOM node for content built with el()
   function confirmModal(title, bodyHtml, okText = "OK", cancelText = "Cancel") {
     return new Promise((resolve) => {
       const overlay = el("div", { class: "modalOverlay" });
       const modal = el("div", { class: "modal" });
       modal.appendChild(el("div", { class: "modalTitle" }, [title]));
-      modal.appendChild(el("div", { class: "modalBody", html: bodyHtml }));
+      if (typeof bodyHtml === "string") modal.appendChild(el("div", { class: "modalBody", html: bodyHtml }));
+      else modal.appendChild(el("div", { class: "modalBody" }, [bodyHtml]));
       const row = el("div", { class: "modalRow" });
       const btnCancel = el("button", { class: "btn ghost", onclick: () => { overlay.remove(); resolve(false); } }, [cancelText]);
       const btnOk = el("button", { class: "btn", onclick: () => { overlay.remove(); resolve(true); } }, [okText]);
@@ -249,2043 +203,116 @@
     });
   }
 
-
-  /* =========================
-     Geohash (encode + neighbors)
-     (No external libs)
-  ========================= */
-  const GEOHASH_BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
-  const GEOHASH_BITS = [16, 8, 4, 2, 1];
-
-  function geohashEncode(lat, lon, precision = 7) {
-    let idx = 0;
-    let bit = 0;
-    let evenBit = true;
-    let geohash = "";
-
-    let latMin = -90, latMax = 90;
-    let lonMin = -180, lonMax = 180;
-
-    while (geohash.length < precision) {
-      if (evenBit) {
-        const mid = (lonMin + lonMax) / 2;
-        if (lon >= mid) { idx = idx * 2 + 1; lonMin = mid; }
-        else { idx = idx * 2; lonMax = mid; }
-      } else {
-        const mid = (latMin + latMax) / 2;
-        if (lat >= mid) { idx = idx * 2 + 1; latMin = mid; }
-        else { idx = idx * 2; latMax = mid; }
-      }
-
-      evenBit = !evenBit;
-
-      if (++bit === 5) {
-        geohash += GEOHASH_BASE32.charAt(idx);
-        bit = 0;
-        idx = 0;
-      }
-    }
-    return geohash;
-  }
-
-  // Neighbor lookup tables for geohash (classic approach)
-  const NEIGHBORS = {
-    right:  { even: "bc01fg45238967deuvhjyznpkmstqrwx" , odd: "p0r21436x8zb9dcf5h7kjnmqesgutwvy" },
-    left:   { even: "238967debc01fg45kmstqrwxuvhjyznp" , odd: "14365h7k9dcfesgujnmqp0r2twvyx8zb" },
-    top:    { even: "p0r21436x8zb9dcf5h7kjnmqesgutwvy" , odd: "bc01fg45238967deuvhjyznpkmstqrwx" },
-    bottom: { even: "14365h7k9dcfesgujnmqp0r2twvyx8zb" , odd: "238967debc01fg45kmstqrwxuvhjyznp" }
-  };
-  const BORDERS = {
-    right:  { even: "bcfguvyz", odd: "prxz" },
-    left:   { even: "0145hjnp", odd: "028b" },
-    top:    { even: "prxz", odd: "bcfguvyz" },
-    bottom: { even: "028b", odd: "0145hjnp" }
-  };
-
-  function geohashAdjacent(hash, dir) {
-    hash = hash.toLowerCase();
-    const last = hash.slice(-1);
-    const type = (hash.length % 2) ? "odd" : "even";
-    const base = hash.slice(0, -1);
-
-    if (BORDERS[dir][type].includes(last) && base.length > 0) {
-      const baseAdj = geohashAdjacent(base, dir);
-      return baseAdj + GEOHASH_BASE32.charAt(NEIGHBORS[dir][type].indexOf(last));
-    } else {
-      return base + GEOHASH_BASE32.charAt(NEIGHBORS[dir][type].indexOf(last));
-    }
-  }
-
-  function geohashNeighbors(hash) {
-    const n = geohashAdjacent(hash, "top");
-    const s = geohashAdjacent(hash, "bottom");
-    const e = geohashAdjacent(hash, "right");
-    const w = geohashAdjacent(hash, "left");
-    return { n, s, e, w, ne: geohashAdjacent(n, "right"), nw: geohashAdjacent(n, "left"), se: geohashAdjacent(s, "right"), sw: geohashAdjacent(s, "left") };
-  }
-
-  /* =========================
-     Embedded fallback data
-     (Used until you add JSON files)
-  ========================= */
-  const FALLBACK_DATA = {
-    config: {
-      version: "0.1",
-      worldSeed: "WORLD_V01",
-      tilePrecision: 7,
-      maxLogEntries: 600,
-      safetySnapshotEnabled: true,
-      // drain rates are per minute in real-time
-      drains: {
-        hungerPerMin: 0.25,
-        thirstPerMin: 0.35,
-        moraleRecoverPerMinRest: 0.10
-      },
-      jobStrenuousDrainMultiplier: 2.0,
-      autoConsumeThreshold: 50,
-      autoConsumeAmountTarget: 70,
-      idleMaxCyclesPerSim: 20,
-      adminPassphrase: "ROVER",
-      dayNight: {
-        dayStartHour: 6,
-        nightStartHour: 18
-      }
-    },
-
-    biomes: [
-      { id: "wild_forest", name: "Wild Forest Edge", weight: 22, tags: ["wild"], bg: "bg_forest" },
-      { id: "riverbed", name: "Riverbed Flats", weight: 12, tags: ["wet"], bg: "bg_river" },
-      { id: "overgrown_suburb", name: "Overgrown Suburb", weight: 20, tags: ["ruins","wild"], bg: "bg_suburb" },
-      { id: "collapsed_downtown", name: "Collapsed Downtown", weight: 14, tags: ["ruins","danger"], bg: "bg_downtown" },
-      { id: "industrial_scrap", name: "Industrial Scrapfields", weight: 16, tags: ["ruins","industrial"], bg: "bg_industrial" },
-      { id: "desert_highway", name: "Desert Highway Cut", weight: 16, tags: ["dry"], bg: "bg_desert" }
-    ],
-
-    items: [
-      // basics
-      { id: "stick", name: "Stick", category: "resource", stackSize: 50, sources: [{ biomes: ["*"], methods: ["forage"] }] },
-      { id: "stone", name: "Stone", category: "resource", stackSize: 50, sources: [{ biomes: ["*"], methods: ["forage"] }] },
-      { id: "fiber", name: "Fiber/Reeds", category: "resource", stackSize: 50, sources: [{ biomes: ["*"], methods: ["forage"] }, { biomes: ["riverbed","wild_forest"], methods: ["forage"] }] },
-      { id: "scrap_metal", name: "Scrap Metal", category: "resource", stackSize: 50, sources: [{ biomes: ["overgrown_suburb","collapsed_downtown","industrial_scrap"], methods: ["scavenge"] }] },
-      { id: "wiring", name: "Wiring Bundle", category: "resource", stackSize: 50, sources: [{ biomes: ["overgrown_suburb","collapsed_downtown","industrial_scrap"], methods: ["scavenge"] }] },
-
-      // food/water
-      { id: "ration_basic", name: "Basic Ration Pack", category: "food", stackSize: 20, food: { hunger: 10, morale: -2, quality: "low" } },
-      { id: "water_clean", name: "Clean Water", category: "water", stackSize: 20, water: { thirst: 18, morale: 0 } },
-      { id: "water_dirty", name: "Dirty Water", category: "water", stackSize: 20, water: { thirst: 12, morale: -2, dirty: true } },
-      { id: "meat_raw", name: "Raw Meat", category: "food", stackSize: 20, food: { hunger: 8, morale: -1, quality: "low", raw: true } },
-      { id: "fish_raw", name: "Raw Fish", category: "food", stackSize: 20, food: { hunger: 7, morale: -1, quality: "low", raw: true } },
-      { id: "meal_hearty", name: "Hearty Meal", category: "food", stackSize: 10, food: { hunger: 28, morale: +10, quality: "high" } },
-
-      // consumables/medical
-      { id: "bandage", name: "Bandage", category: "medical", stackSize: 10, med: { minorInjuryReduceMins: 90 } },
-      { id: "antidote", name: "Antidote", category: "medical", stackSize: 5, med: { cureSickness: true }, rarity: "rare" },
-      { id: "revive_serum", name: "Revive Serum", category: "medical", stackSize: 3, med: { revive: true }, rarity: "rare" },
-
-      // tools & weapons (individual items)
-      { id: "knife_pocket", name: "Pocket Knife", category: "tool", stackSize: 1, equipSlot: "mainHand", tool: { tag: "cutting", tier: 0, durabilityMax: 60, power: 1 } },
-      { id: "spear_fishing", name: "Fishing Spear", category: "tool", stackSize: 1, equipSlot: "mainHand", tool: { tag: "fishing", tier: 1, durabilityMax: 70, power: 2 } },
-      { id: "trap_simple", name: "Simple Trap", category: "tool", stackSize: 1, equipSlot: "utility", tool: { tag: "trap", tier: 1, durabilityMax: 40, power: 1 } },
-      { id: "hatchet_stone", name: "Stone Hatchet", category: "tool", stackSize: 1, equipSlot: "mainHand", tool: { tag: "chopping", tier: 1, durabilityMax: 55, power: 2 } },
-
-      // armor (individual)
-      { id: "clothes_basic", name: "Basic Clothes", category: "armor", stackSize: 1, equipSlot: "body", armor: { tier: 0, durabilityMax: 80, protection: 0.05 } },
-      { id: "boots_scrap", name: "Scrap Boots", category: "armor", stackSize: 1, equipSlot: "legs", armor: { tier: 1, durabilityMax: 90, protection: 0.08 } }
-    ],
-
-    stations: [
-      {
-        id: "storage",
-        name: "Storage",
-        desc: "Shared RV storage holds your supplies.",
-        levels: [
-          { level: 0, cost: [], effects: [{ type: "storageCap", value: 60 }] },
-          { level: 1, cost: [{ id: "scrap_metal", qty: 10 }, { id: "wiring", qty: 3 }], effects: [{ type: "storageCap", value: 90 }] },
-          { level: 2, cost: [{ id: "scrap_metal", qty: 25 }, { id: "wiring", qty: 10 }], effects: [{ type: "storageCap", value: 130 }] }
-        ]
-      },
-      {
-        id: "bunks",
-        name: "Bunks",
-        desc: "More bunks let you recruit more crew.",
-        levels: [
-          { level: 0, cost: [], effects: [{ type: "crewCap", value: 2 }] },
-          { level: 1, cost: [{ id: "fiber", qty: 12 }, { id: "scrap_metal", qty: 8 }], effects: [{ type: "crewCap", value: 3 }] },
-          { level: 2, cost: [{ id: "fiber", qty: 25 }, { id: "scrap_metal", qty: 18 }, { id: "wiring", qty: 5 }], effects: [{ type: "crewCap", value: 4 }] }
-        ]
-      },
-      {
-        id: "workbench",
-        name: "Workbench",
-        desc: "Craft tools, repair gear, process basics.",
-        levels: [
-          { level: 0, cost: [], effects: [{ type: "stationLevel", station: "workbench", value: 0 }] },
-          { level: 1, cost: [{ id: "scrap_metal", qty: 12 }], effects: [{ type: "stationLevel", station: "workbench", value: 1 }] },
-          { level: 2, cost: [{ id: "scrap_metal", qty: 28 }, { id: "wiring", qty: 8 }], effects: [{ type: "stationLevel", station: "workbench", value: 2 }] }
-        ]
-      },
-      {
-        id: "stove",
-        name: "Camp Stove",
-        desc: "Cook food and boil water.",
-        levels: [
-          { level: 0, cost: [], effects: [{ type: "stationLevel", station: "stove", value: 0 }] },
-          { level: 1, cost: [{ id: "scrap_metal", qty: 10 }], effects: [{ type: "stationLevel", station: "stove", value: 1 }] }
-        ]
-      },
-      {
-        id: "purifier",
-        name: "Water Purifier",
-        desc: "Purify dirty water more efficiently.",
-        levels: [
-          { level: 0, cost: [], effects: [{ type: "purifierEnabled", value: false }] },
-          { level: 1, cost: [{ id: "wiring", qty: 6 }, { id: "scrap_metal", qty: 12 }], effects: [{ type: "purifierEnabled", value: true }] }
-        ]
-      },
-      {
-        id: "recycler",
-        name: "Recycler",
-        desc: "Break down salvage into parts.",
-        levels: [
-          { level: 0, cost: [], effects: [{ type: "recyclerEnabled", value: false }] },
-          { level: 1, cost: [{ id: "scrap_metal", qty: 18 }, { id: "wiring", qty: 7 }], effects: [{ type: "recyclerEnabled", value: true }] }
-        ]
-      }
-    ],
-
-    recipes: [
-      // Workbench
-      { id: "cordage", name: "Cordage", category: "materials", station: "workbench", stationLevel: 0, timeSec: 60, inputs: [{ id: "fiber", qty: 3 }], outputs: [{ id: "fiber", qty: 0 }], // outputs handled as special below
-        special: { makeItem: { id: "cordage_item", name: "Cordage", category: "material", stackSize: 30, sources: [] }, qty: 1 }
-      },
-      { id: "spear_fishing", name: "Fishing Spear", category: "tools", station: "workbench", stationLevel: 0, timeSec: 180,
-        inputs: [{ id: "stick", qty: 3 }, { id: "stone", qty: 2 }, { id: "fiber", qty: 2 }],
-        outputs: [{ id: "spear_fishing", qty: 1 }]
-      },
-      { id: "trap_simple", name: "Simple Trap", category: "tools", station: "workbench", stationLevel: 0, timeSec: 150,
-        inputs: [{ id: "stick", qty: 2 }, { id: "fiber", qty: 3 }],
-        outputs: [{ id: "trap_simple", qty: 1 }]
-      },
-      { id: "hatchet_stone", name: "Stone Hatchet", category: "tools", station: "workbench", stationLevel: 0, timeSec: 210,
-        inputs: [{ id: "stick", qty: 2 }, { id: "stone", qty: 3 }, { id: "fiber", qty: 2 }],
-        outputs: [{ id: "hatchet_stone", qty: 1 }]
-      },
-      { id: "bandage", name: "Bandage", category: "medical", station: "workbench", stationLevel: 0, timeSec: 120,
-        inputs: [{ id: "fiber", qty: 4 }],
-        outputs: [{ id: "bandage", qty: 1 }]
-      },
-
-      // Stove
-      { id: "cook_meat", name: "Cook Meat", category: "food", station: "stove", stationLevel: 0, timeSec: 180,
-        inputs: [{ id: "meat_raw", qty: 1 }],
-        outputs: [{ id: "ration_basic", qty: 1 }]
-      },
-      { id: "cook_fish", name: "Cook Fish", category: "food", station: "stove", stationLevel: 0, timeSec: 150,
-        inputs: [{ id: "fish_raw", qty: 1 }],
-        outputs: [{ id: "ration_basic", qty: 1 }]
-      },
-      { id: "boil_water", name: "Boil Dirty Water", category: "water", station: "stove", stationLevel: 0, timeSec: 120,
-        inputs: [{ id: "water_dirty", qty: 1 }],
-        outputs: [{ id: "water_clean", qty: 1 }]
-      },
-      { id: "meal_hearty", name: "Hearty Meal", category: "food", station: "stove", stationLevel: 1, timeSec: 600,
-        inputs: [{ id: "ration_basic", qty: 2 }, { id: "fiber", qty: 1 }],
-        outputs: [{ id: "meal_hearty", qty: 1 }]
-      }
-    ],
-
-    jobs: [
-      { id: "forage", name: "Forage", alwaysAvailable: true, baseSec: 600, strenuous: false, toolTag: "cutting",
-        yields: [{ id: "stick", min: 2, max: 6 }, { id: "stone", min: 1, max: 4 }, { id: "fiber", min: 0, max: 4 }],
-        risk: { minorInjury: 0.03, majorInjury: 0.005, toolWear: 0.12, sickness: 0.00 },
-        xpSkill: "Wilderness"
-      },
-      { id: "fish", name: "Fish", alwaysAvailable: true, baseSec: 900, strenuous: false, toolTag: "fishing",
-        yields: [{ id: "fish_raw", min: 1, max: 3 }, { id: "water_dirty", min: 0, max: 1 }],
-        risk: { minorInjury: 0.02, majorInjury: 0.004, toolWear: 0.10, sickness: 0.00 },
-        xpSkill: "Wilderness"
-      },
-      { id: "hunt", name: "Hunt", alwaysAvailable: true, baseSec: 1200, strenuous: true, toolTag: "cutting",
-        yields: [{ id: "meat_raw", min: 1, max: 3 }],
-        risk: { minorInjury: 0.06, majorInjury: 0.01, toolWear: 0.15, sickness: 0.00 },
-        xpSkill: "Wilderness"
-      },
-      { id: "trap", name: "Set Traps", alwaysAvailable: true, baseSec: 1800, strenuous: false, toolTag: "trap",
-        yields: [{ id: "meat_raw", min: 0, max: 3 }],
-        risk: { minorInjury: 0.04, majorInjury: 0.007, toolWear: 0.10, sickness: 0.00 },
-        requiresItem: "trap_simple",
-        xpSkill: "Wilderness"
-      },
-      { id: "scavenge", name: "Scavenge Ruins", alwaysAvailable: false, biomeTags: ["ruins"], baseSec: 1500, strenuous: true, toolTag: "chopping",
-        yields: [{ id: "scrap_metal", min: 2, max: 7 }, { id: "wiring", min: 0, max: 2 }],
-        risk: { minorInjury: 0.09, majorInjury: 0.02, toolWear: 0.20, sickness: 0.03 },
-        xpSkill: "Scavenge"
-      }
-    ],
-
-    npcs: [
-      {
-        id: "npc_scavenger",
-        name: "Zig",
-        archetype: "Lone Scavenger",
-        perk: { id: "perk_scrounger", name: "Scrounger", desc: "+10% salvage yield." },
-        quirk: { id: "quirk_picky", name: "Picky Eater", desc: "Hates low-tier rations." },
-        stats: { Wilderness: 2, Scavenge: 5, Mechanics: 2, Cooking: 1, Medical: 1, Grit: 4 }
-      },
-      {
-        id: "npc_medic",
-        name: "Dot",
-        archetype: "Road Medic",
-        perk: { id: "perk_fieldmed", name: "Field Medic", desc: "Reduces injury downtime." },
-        quirk: { id: "quirk_germaphobe", name: "Germaphobe", desc: "Hates dirty water (morale hit)." },
-        stats: { Wilderness: 2, Scavenge: 2, Mechanics: 1, Cooking: 2, Medical: 6, Grit: 3 }
-      }
-    ],
-
-    animals: [
-      { id: "rabbit", name: "Rabbit", biomes: ["wild_forest","riverbed","overgrown_suburb"], drops: [{ id: "meat_raw", min: 1, max: 2 }] },
-      { id: "raccoon", name: "Raccoon", biomes: ["overgrown_suburb","collapsed_downtown"], drops: [{ id: "meat_raw", min: 1, max: 2 }, { id: "scrap_metal", min: 0, max: 1 }] }
-    ],
-
-    portraits: []
-  };
-
   /* =========================
-     Data Loader
+     Save Storage Backend
+     One record per slot / autosave / snapshot. IndexedDB when available, else one
+     localStorage key per record (through `store`). Backends share one async shape:
+       getAll(storeName), get(storeName, id), put(storeName, record), remove(storeName, id)
   ========================= */
-  async function fetchJson(path) {
-    const res = await fetch(path, { cache: "no-store" });
-    if (!res.ok) throw new Error(`${path} -> ${res.status}`);
-    return await res.json();
-  }
-
-  async function loadData() {
-    const data = {
-      config: null,
-      items: null,
-      recipes: null,
-      stations: null,
-      jobs: null,
-      biomes: null,
-      npcs: null,
-      animals: null,
-      portraits: null
-    };
-
-    const base = "data";
-    const targets = [
-      ["config", `${base}/config.json`],
-      ["items", `${base}/items.json`],
-      ["recipes", `${base}/recipes.json`],
-      ["stations", `${base}/stations.json`],
-      ["jobs", `${base}/jobs.json`],
-      ["biomes", `${base}/biomes.json`],
-      ["npcs", `${base}/npcs.json`],
-      ["animals", `${base}/animals.json`],
-      ["portraits", `${base}/portraits.json`]
-    ];
-
-    let usedFallback = false;
-    for (const [key, path] of targets) {
-      try {
-        data[key] = await fetchJson(path);
-      } catch (e) {
-        usedFallback = true;
-        data[key] = deepCopy(FALLBACK_DATA[key]);
-      }
-    }
-
-    // Normalize portraits list to an array of paths (supports array or {paths:[...]})
-    let __portraitPaths = [];
-    if (Array.isArray(data.portraits)) __portraitPaths = data.portraits;
-    else if (data.portraits && Array.isArray(data.portraits.paths)) __portraitPaths = data.portraits.paths;
-    data.portraits = (__portraitPaths || [])
-      .filter(p => typeof p === "string" && p.trim())
-      .map(normalizePortraitPath);
-
-    // Normalize: build item index, recipe index, etc.
-    const idx = {
-      itemsById: new Map(),
-      recipesById: new Map(),
-      stationsById: new Map(),
-      jobsById: new Map(),
-      biomesById: new Map(),
-      npcsById: new Map(),
-      animalsById: new Map()
-    };
-
-    // Some fallback recipes create "special" item; register it if present
-    for (const it of data.items) idx.itemsById.set(it.id, it);
-    for (const r of data.recipes) {
-      idx.recipesById.set(r.id, r);
-      if (r.special?.makeItem && !idx.itemsById.has(r.special.makeItem.id)) {
-        const specialItem = deepCopy(r.special.makeItem);
-        data.items.push(specialItem);
-        idx.itemsById.set(specialItem.id, specialItem);
-      }
-    }
-    for (const s of data.stations) idx.stationsById.set(s.id, s);
-    for (const j of data.jobs) idx.jobsById.set(j.id, j);
-    // v0.2 core injections (so you can update JSON later without breaking saves)
-    function __injectItem(item) {
-      if (!idx.itemsById.has(item.id)) {
-        data.items.push(item);
-        idx.itemsById.set(item.id, item);
-      }
-    }
-    function __injectJob(job) {
-      if (!idx.jobsById.has(job.id)) {
-        data.jobs.push(job);
-        idx.jobsById.set(job.id, job);
-      }
-    }
-
-    // Water containers (used by Gather Water)
-    __injectItem({
-      id: "bottle_empty",
-      name: "Empty Bottle",
-      category: "container",
-      stackSize: 20,
-      desc: "A small container that can hold water.",
-      container: { waterUnits: 1, gatherSeconds: 30 }
-    });
-    __injectItem({
-      id: "milk_jug_empty",
-      name: "Empty Milk Jug",
-      category: "container",
-      stackSize: 10,
-      desc: "A larger container.",
-      container: { waterUnits: 5, gatherSeconds: 60 }
-    });
-    __injectItem({
-      id: "bucket_empty",
-      name: "Empty Bucket",
-      category: "container",
-      stackSize: 5,
-      desc: "A big bucket (awkward but efficient).",
-      container: { waterUnits: 10, gatherSeconds: 120 }
-    });
+  const SAVE_STORES = ["slots", "autosaves", "snapshot"];
 
-    // Basic water item (dirty)
-    __injectItem({
-      id: "water_dirty",
-      name: "Dirty Water",
-      category: "water",
-      stackSize: 99,
-      desc: "Drinkable in a pinch. Risk of sickness.",
-      water: { thirst: 25, dirty: true }
-    });
-
-    // Special jobs
-    __injectJob({
-      id: "gather_water",
-      name: "Gather Water",
-      alwaysAvailable: true,
-      baseMinutes: 1,
-      desc: "Fill a container with water (you choose the container).",
-      safe: true,
-      xpSkill: "Wilderness",
-      variant: "gather_water",
-      yields: []
-    });
-
-    __injectJob({
-      id: "explore",
-      name: "Explore Nearby Tile",
-      alwaysAvailable: true,
-      baseMinutes: 25,
-      desc: "Send a crew member to scout a nearby tile and return with loot (requires rations in pockets).",
-      safe: false,
-      xpSkill: "Wilderness",
-      variant: "explore",
-      yields: []
+  function openIdbBackend() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(`${APP_ID}_saves`, 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const name of SAVE_STORES) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+        }
+      };
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => {
+        const db = req.result;
+        const run = (storeName, mode, fn) => new Promise((res, rej) => {
+          const tx = db.transaction(storeName, mode);
+          const r = fn(tx.objectStore(storeName));
+          tx.oncomplete = () => res(r.result);
+          tx.onerror = () => rej(tx.error);
+          tx.onabort = () => rej(tx.error || new Error("transaction aborted"));
+        });
+        resolve({
+          kind: "IndexedDB",
+          getAll: (storeName) => run(storeName, "readonly", os => os.getAll()),
+          get: (storeName, id) => run(storeName, "readonly", os => os.get(id)).then(r => r ?? null),
+          put: (storeName, rec) => run(storeName, "readwrite", os => os.put(rec)).then(() => true),
+          remove: (storeName, id) => run(storeName, "readwrite", os => os.delete(id)).then(() => true)
+        });
+      };
     });
-
-    for (const b of data.biomes) idx.biomesById.set(b.id, b);
-    for (const n of data.npcs) idx.npcsById.set(n.id, n);
-    for (const a of data.animals) idx.animalsById.set(a.id, a);
-
-    return { data, idx, usedFallback };
   }
 
-  /* =========================
-     Game State Model
-  ========================= */
-  function defaultNewGameState(loadedData) {
-    const { data } = loadedData;
-    const ts = nowReal();
-
-    // Base RV modules: levels (stationId -> level)
-    const rvStations = {};
-    for (const st of data.stations) rvStations[st.id] = 0;
-
-    const player = makeCharacter({
-      name: "Rover",
-      isPlayer: true,
-      baseStats: { Wilderness: 2, Scavenge: 1, Mechanics: 1, Cooking: 1, Medical: 1, Grit: 2 },
-      startingGear: [
-        // Equip pocket knife + basic clothes
-        { itemId: "knife_pocket", equip: true },
-        { itemId: "clothes_basic", equip: true }
-      ],
-      startingPockets: [],
-      idleBehavior: "rest"
-    }, loadedData);
-
-    const state = {
-      meta: {
-        version: data.config.version || "0.1",
-        createdAt: ts,
-        lastSimAt: ts,
-        timeOffsetMs: 0,
-        useSimTimeForDayNight: false,
-        tutorialDone: false,
-        firstTileId: null,
-        lastKnownLat: null,
-        lastKnownLon: null,
-        lastTileId: null
-      },
-
-      world: {
-        discoveredTiles: {
-          // tileId: { biomeId, createdAt, poiIds: [], tutorialOverlay: bool }
-        }
-      },
-
-      rv: {
-        name: "Rusty Rambler",
-        stations: rvStations,
-        // shared storage: stacks + individual instances
-        storage: {
-          capacity: 0, // computed from station effects
-          rationPrefs: {}, // itemId -> boolean (persist rations even when stacks hit 0)
-          stacks: [
-            // { itemId, qty, isRationAllowed? } (only for food)
-          ],
-          instances: [
-            // { uid, itemId, durability, equippedTo? }
-          ]
-        }
-      },
-
-      crew: {
-        members: [player],
-        // recruitable NPCs can appear on tile overlays
-        maxCrew: 2
-      },
-
-      queues: {
-        // per character id: jobQueue[]
-        jobsByCharId: {},
-        // per station id: craftQueue[]
-        craftsByStationId: {}
-      },
-
-      log: [] // {ts, text, type, actorId?}
+  function createLocalBackend() {
+    const indexKey = (storeName) => `${APP_ID}__${storeName}__index`;
+    const recKey = (storeName, id) => `${APP_ID}__${storeName}__${id}`;
+    const readIndex = (storeName) => {
+      const ids = safeJsonParse(store.getItem(indexKey(storeName)), []);
+      return Array.isArray(ids) ? ids : [];
     };
-
-    // Initialize per-station craft queues
-    for (const st of data.stations) {
-      state.queues.craftsByStationId[st.id] = [];
-    }
-    // Initialize per-char job queues
-    for (const c of state.crew.members) {
-      state.queues.jobsByCharId[c.id] = [];
-    }
-
-    // Starter supplies in RV storage
-    addItemToStorage(state, loadedData, "ration_basic", 4, { rationAllowed: true });
-    addItemToStorage(state, loadedData, "water_clean", 4);
-    addItemToStorage(state, loadedData, "water_dirty", 1);
-
-    // v0.2: start with a basic container so Gather Water is immediately usable
-    addItemToStorage(state, loadedData, "bottle_empty", 1);
-
-    recomputeDerivedStats(state, loadedData);
-    pushLog(state, "Welcome aboard the Rusty Rambler.", "system");
-
-    return state;
-  }
-
-  function makeCharacter({ name, isPlayer, baseStats, startingGear = [], startingPockets = [], idleBehavior = "rest" }, loadedData) {
-    const { idx } = loadedData;
-    const char = {
-      id: uid(isPlayer ? "player" : "npc"),
-      name,
-      isPlayer: !!isPlayer,
-      stats: deepCopy(baseStats),
-      xp: { Wilderness: 0, Scavenge: 0, Mechanics: 0, Cooking: 0, Medical: 0, Grit: 0 },
-      needs: {
-        hunger: 80,
-        thirst: 80,
-        morale: 70,
-        health: 100
+    return {
+      kind: "localStorage",
+      async getAll(storeName) {
+        return readIndex(storeName).map(id => safeJsonParse(store.getItem(recKey(storeName, id)), null)).filter(Boolean);
       },
-      moodlets: [
-        // { id, name, endsAt, moraleDelta, note }
-      ],
-      conditions: {
-        sickness: null, // { id, name, endsAt, severity }
-        injury: null,   // { id, name, endsAt, severity: "minor"|"major" }
-        downed: false
+      async get(storeName, id) {
+        return safeJsonParse(store.getItem(recKey(storeName, id)), null);
       },
-      idleBehavior, // "rest" or jobId like "forage"
-      pockets: {
-        capacity: 6,
-        stacks: deepCopy(startingPockets),
-        instances: []
+      async put(storeName, rec) {
+        store.setItem(recKey(storeName, rec.id), JSON.stringify(rec));
+        const ids = readIndex(storeName);
+        if (!ids.includes(rec.id)) {
+          ids.push(rec.id);
+          store.setItem(indexKey(storeName), JSON.stringify(ids));
+        }
+        return true;
       },
-      equipment: {
-        mainHand: null,
-        offHand: null,
-        body: null,
-        legs: null,
-        utility: null
-      }
-    };
-
-    // Apply starting gear as instances; store on character, not RV
-    for (const g of startingGear) {
-      const itemDef = idx.itemsById.get(g.itemId);
-      if (!itemDef) continue;
-      if (itemDef.stackSize !== 1) continue;
-      const inst = makeInstance(itemDef);
-      char.pockets.instances.push(inst);
-      if (g.equip && itemDef.equipSlot) {
-        equipInstanceOnChar(char, inst.uid, loadedData);
+      async remove(storeName, id) {
+        store.removeItem(recKey(storeName, id));
+        store.setItem(indexKey(storeName), JSON.stringify(readIndex(storeName).filter(x => x !== id)));
+        return true;
       }
-    }
-
-    return char;
-  }
-
-  function makeInstance(itemDef) {
-    const inst = {
-      uid: uid("inst"),
-      itemId: itemDef.id,
-      durability: null
     };
-    if (itemDef.tool?.durabilityMax) inst.durability = itemDef.tool.durabilityMax;
-    if (itemDef.armor?.durabilityMax) inst.durability = itemDef.armor.durabilityMax;
-    return inst;
-  }
-
-  /* =========================
-     Derived Stats / Effects
-  ========================= */
-  function recomputeDerivedStats(state, loadedData) {
-    // Storage capacity, crew cap, station levels, etc.
-    const { data } = loadedData;
-
-    // Apply station effects
-    let storageCap = 40; // base if no station data
-    let crewCap = 1;
-
-    for (const st of data.stations) {
-      const level = state.rv.stations[st.id] ?? 0;
-      const lvlDef = st.levels.find(x => x.level === level) || st.levels[0];
-      if (!lvlDef) continue;
-
-      for (const eff of (lvlDef.effects || [])) {
-        if (eff.type === "storageCap") storageCap = eff.value;
-        if (eff.type === "crewCap") crewCap = eff.value;
-      }
-    }
-
-    state.rv.storage.capacity = storageCap;
-    state.crew.maxCrew = crewCap;
-
-    // Ensure queues for each member exist
-    for (const m of state.crew.members) {
-      if (!state.queues.jobsByCharId[m.id]) state.queues.jobsByCharId[m.id] = [];
-    }
-  }
-
-  /* =========================
-     Storage & Inventory
-  ========================= */
-  function countStorageUsed(state, loadedData) {
-    // Count total units stored (stacks qty + instances count) as MVP capacity model
-    const stackUnits = state.rv.storage.stacks.reduce((a, s) => a + (s.qty || 0), 0);
-    const instUnits = state.rv.storage.instances.length;
-    return stackUnits + instUnits;
-  }
-
-  function getStack(state, storageObj, itemId) {
-    return storageObj.stacks.find(s => s.itemId === itemId) || null;
-  }
-
-  function addItemToStorage(state, loadedData, itemId, qty = 1, opts = {}) {
-    const { idx } = loadedData;
-    const def = idx.itemsById.get(itemId);
-    if (!def) return { ok: false, reason: "unknown item" };
-
-    // Capacity check
-    const used = countStorageUsed(state, loadedData);
-    const cap = state.rv.storage.capacity || 0;
-    const unitNeed = def.stackSize === 1 ? qty : qty;
-    if (used + unitNeed > cap) {
-      return { ok: false, reason: "storage full" };
-    }
-
-    if (def.stackSize === 1) {
-      for (let i = 0; i < qty; i++) {
-        state.rv.storage.instances.push(makeInstance(def));
-      }
-      return { ok: true };
-    } else {
-      let st = getStack(state, state.rv.storage, itemId);
-      if (!st) {
-        st = { itemId, qty: 0 };
-        // Rations toggle only relevant for food category
-        if (def.category === "food") {
-          state.rv.storage.rationPrefs = state.rv.storage.rationPrefs || {};
-          const pref = state.rv.storage.rationPrefs[itemId];
-          st.isRationAllowed = opts.rationAllowed != null ? !!opts.rationAllowed : !!pref;
-          // If caller explicitly set it, persist the preference immediately
-          if (opts.rationAllowed != null) state.rv.storage.rationPrefs[itemId] = !!opts.rationAllowed;
-        }
-        state.rv.storage.stacks.push(st);
-      }
-      st.qty += qty;
-
-      // Persist ration preference when explicitly provided
-      if (def.category === "food" && opts.rationAllowed != null) {
-        st.isRationAllowed = !!opts.rationAllowed;
-        state.rv.storage.rationPrefs = state.rv.storage.rationPrefs || {};
-        state.rv.storage.rationPrefs[itemId] = !!opts.rationAllowed;
-      }
-
-      return { ok: true };
-    }
-  }
-
-  function removeItemFromStorage(state, loadedData, itemId, qty = 1) {
-    const { idx } = loadedData;
-    const def = idx.itemsById.get(itemId);
-    if (!def) return false;
-
-    if (def.stackSize === 1) {
-      let removed = 0;
-      for (let i = state.rv.storage.instances.length - 1; i >= 0 && removed < qty; i--) {
-        if (state.rv.storage.instances[i].itemId === itemId) {
-          state.rv.storage.instances.splice(i, 1);
-          removed++;
-        }
-      }
-      return removed === qty;
-    } else {
-      const st = getStack(state, state.rv.storage, itemId);
-      if (!st || st.qty < qty) return false;
-      st.qty -= qty;
-      if (st.qty <= 0) {
-        state.rv.storage.stacks = state.rv.storage.stacks.filter(x => x.qty > 0);
-      }
-      return true;
-    }
   }
 
   /* =========================
-     Pockets + Transfers (v0.2)
-     - Move stacks/instances between RV storage and crew pockets
-     - Enables equipping crafted gear, feeding from storage, and sending NPCs exploring
+     Saves (manual slots + rolling autosaves + safety snapshot)
+     Reads come from an in-memory cache filled once by initSaveStorage(), so panels stay
+     synchronous; every change is written through to the backend. Cached states are copies,
+     never the live run.
   ========================= */
+  const saveCache = {
+    backend: null,
+    slots: new Map(),     // id -> { id, name, ts, createdAt, state }
+    autosaves: new Map(), // id -> { id, name, ts, slotId } (state stays in the backend)
+    snapshot: null,       // { id: "latest", ts, state }
+    lastAutosaveAt: 0
+  };
 
-  function countPocketsUsed(char) {
-    const stackUnits = (char.pockets?.stacks || []).reduce((a, s) => a + (s.qty || 0), 0);
-    const instUnits = (char.pockets?.instances || []).length || 0;
-    return stackUnits + instUnits;
-  }
-
-  function getPocketStack(char, itemId) {
-    return (char.pockets?.stacks || []).find(s => s.itemId === itemId) || null;
-  }
-
-  function addItemToPockets(state, loadedData, char, itemId, qty = 1) {
-    const { idx } = loadedData;
-    const def = idx.itemsById.get(itemId);
-    if (!def) return { ok: false, reason: "unknown item" };
-    if (!char?.pockets) return { ok: false, reason: "no pockets" };
-
-    // Capacity check (same unit model as RV storage in v0.1)
-    const used = countPocketsUsed(char);
-    const cap = char.pockets.capacity ?? 0;
-    if (cap > 0 && used + qty > cap) return { ok: false, reason: "pockets full" };
-
-    if (def.stackSize === 1) {
-      for (let i = 0; i < qty; i++) {
-        const inst = makeInstance(def);
-        char.pockets.instances.push(inst);
-      }
-      return { ok: true };
-    } else {
-      let st = getPocketStack(char, itemId);
-      if (!st) {
-        st = { itemId, qty: 0 };
-        char.pockets.stacks.push(st);
-      }
-      st.qty += qty;
-      return { ok: true };
-    }
-  }
-
-  function removeItemFromPockets(state, loadedData, char, itemId, qty = 1) {
-    const { idx } = loadedData;
-    const def = idx.itemsById.get(itemId);
-    if (!def) return false;
-    if (!char?.pockets) return false;
-
-    if (def.stackSize === 1) {
-      let removed = 0;
-      for (let i = char.pockets.instances.length - 1; i >= 0 && removed < qty; i--) {
-        if (char.pockets.instances[i].itemId === itemId) {
-          char.pockets.instances.splice(i, 1);
-          removed++;
-        }
-      }
-      return removed === qty;
-    } else {
-      const st = getPocketStack(char, itemId);
-      if (!st || st.qty < qty) return false;
-      st.qty -= qty;
-      if (st.qty <= 0) char.pockets.stacks = char.pockets.stacks.filter(x => x.qty > 0);
-      return true;
-    }
-  }
-
-  function removeInstanceByUid(arr, uid) {
-    const i = arr.findIndex(x => x.uid === uid);
-    if (i >= 0) return arr.splice(i, 1)[0];
-    return null;
-  }
-
-  function transferStackRvToChar(state, loadedData, charId, itemId, qty = 1) {
-    const char = state.crew.members.find(m => m.id === charId);
-    if (!char) return { ok: false, reason: "bad char" };
-
-    // capacity pre-check
-    const used = countPocketsUsed(char);
-    const cap = char.pockets.capacity ?? 0;
-    if (cap > 0 && used + qty > cap) return { ok: false, reason: "pockets full" };
-
-    if (!hasItemInStorage(state, loadedData, itemId, qty)) return { ok: false, reason: "not in storage" };
-    const remOk = removeItemFromStorage(state, loadedData, itemId, qty);
-    if (!remOk) return { ok: false, reason: "remove failed" };
-
-    const add = addItemToPockets(state, loadedData, char, itemId, qty);
-    if (!add.ok) {
-      // rollback
-      addItemToStorage(state, loadedData, itemId, qty);
-      return add;
-    }
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-  function transferStackCharToRv(state, loadedData, charId, itemId, qty = 1) {
-    const char = state.crew.members.find(m => m.id === charId);
-    if (!char) return { ok: false, reason: "bad char" };
-
-    if (!removeItemFromPockets(state, loadedData, char, itemId, qty)) return { ok: false, reason: "not in pockets" };
-    const add = addItemToStorage(state, loadedData, itemId, qty);
-    if (!add.ok) {
-      // rollback
-      addItemToPockets(state, loadedData, char, itemId, qty);
-      return add;
-    }
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-  function transferInstanceRvToChar(state, loadedData, charId, instUid) {
-    const char = state.crew.members.find(m => m.id === charId);
-    if (!char) return { ok: false, reason: "bad char" };
-
-    const used = countPocketsUsed(char);
-    const cap = char.pockets.capacity ?? 0;
-    if (cap > 0 && used + 1 > cap) return { ok: false, reason: "pockets full" };
-
-    const inst = removeInstanceByUid(state.rv.storage.instances, instUid);
-    if (!inst) return { ok: false, reason: "not in storage" };
-
-    char.pockets.instances.push(inst);
-    safetySnapshot(state, loadedData);
-    return { ok: true, inst };
-  }
-
-  function transferInstanceCharToRv(state, loadedData, charId, instUid) {
-    const char = state.crew.members.find(m => m.id === charId);
-    if (!char) return { ok: false, reason: "bad char" };
-
-    const inst = removeInstanceByUid(char.pockets.instances, instUid);
-    if (!inst) return { ok: false, reason: "not in pockets" };
-
-    // Capacity check
-    const used = countStorageUsed(state, loadedData);
-    const cap = state.rv.storage.capacity || 0;
-    if (cap > 0 && used + 1 > cap) {
-      char.pockets.instances.push(inst);
-      return { ok: false, reason: "storage full" };
-    }
-
-    state.rv.storage.instances.push(inst);
-
-    // If it was equipped, unequip
-    for (const slot of Object.keys(char.equipment)) {
-      if (char.equipment[slot] === instUid) char.equipment[slot] = null;
-    }
-
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-  function dropFromRvStorage(state, loadedData, itemId, qty = 1) {
-    const ok = removeItemFromStorage(state, loadedData, itemId, qty);
-    if (!ok) return { ok: false, reason: "not enough" };
-    pushLog(state, `Dropped ${qty}× ${(loadedData.idx.itemsById.get(itemId)?.name ?? itemId)}.`, "info", null, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-  function dropInstanceFromRvStorage(state, loadedData, instUid) {
-    const inst = removeInstanceByUid(state.rv.storage.instances, instUid);
-    if (!inst) return { ok: false, reason: "not found" };
-    pushLog(state, `Dropped ${(loadedData.idx.itemsById.get(inst.itemId)?.name ?? inst.itemId)}.`, "info", null, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-
-  function hasItemInStorage(state, loadedData, itemId, qty = 1) {
-    const { idx } = loadedData;
-    const def = idx.itemsById.get(itemId);
-    if (!def) return false;
-    if (def.stackSize === 1) {
-      const count = state.rv.storage.instances.filter(i => i.itemId === itemId).length;
-      return count >= qty;
-    }
-    const st = getStack(state, state.rv.storage, itemId);
-    return (st?.qty || 0) >= qty;
-  }
-
-  function equipInstanceOnChar(char, instanceUid, loadedData) {
-    const { idx } = loadedData;
-    const inst = char.pockets.instances.find(i => i.uid === instanceUid) || null;
-    if (!inst) return false;
-    const def = idx.itemsById.get(inst.itemId);
-    if (!def || !def.equipSlot) return false;
-
-    const slot = def.equipSlot;
-    // Unequip current
-    if (char.equipment[slot]) {
-      // no special action needed; instance remains in pockets
-      char.equipment[slot] = null;
-    }
-    char.equipment[slot] = inst.uid;
-    return true;
-  }
-
-  function getEquippedToolDef(char, loadedData, toolTag) {
-    const { idx } = loadedData;
-    const uidTool = char.equipment.mainHand;
-    if (!uidTool) return null;
-    const inst = char.pockets.instances.find(i => i.uid === uidTool);
-    if (!inst) return null;
-    const def = idx.itemsById.get(inst.itemId);
-    if (!def?.tool) return null;
-    if (toolTag && def.tool.tag !== toolTag) return null;
-    return { def, inst };
-  }
-
-  function getTotalProtection(char, loadedData) {
-    const { idx } = loadedData;
-    let p = 0;
-    for (const slot of ["body", "legs"]) {
-      const u = char.equipment[slot];
-      if (!u) continue;
-      const inst = char.pockets.instances.find(i => i.uid === u);
-      if (!inst) continue;
-      const def = idx.itemsById.get(inst.itemId);
-      if (def?.armor?.protection) p += def.armor.protection;
-    }
-    return clamp(p, 0, 0.7);
-  }
-
-  /* =========================
-     Log
-  ========================= */
-  function pushLog(state, text, type = "info", actorId = null, loadedData = null) {
-    const max = loadedData?.data?.config?.maxLogEntries ?? 600;
-    state.log.push({ ts: gameNow(state), text, type, actorId });
-    if (state.log.length > max) state.log.splice(0, state.log.length - max);
-  }
-
-  /* =========================
-     Time
-  ========================= */
-  function gameNow(state) {
-    return nowReal() + (state.meta.timeOffsetMs || 0);
-  }
-
-  function resetSimTimeToReal(state) {
-    state.meta.timeOffsetMs = 0;
-  }
-
-  function addSimTime(state, ms) {
-    state.meta.timeOffsetMs = (state.meta.timeOffsetMs || 0) + ms;
-  }
-
-  function isNight(state, loadedData, lat = null, lon = null) {
-    const cfg = loadedData.data.config.dayNight;
-    const useSim = !!state.meta.useSimTimeForDayNight;
-    const t = useSim ? gameNow(state) : nowReal();
-    const d = new Date(t);
-    const h = d.getHours();
-    return (h < cfg.dayStartHour || h >= cfg.nightStartHour);
-  }
-
-  /* =========================
-     Needs, Moodlets, Conditions
-  ========================= */
-  function applyContinuousDrains(state, loadedData, elapsedMs) {
-    const { data } = loadedData;
-    const mins = elapsedMs / 60000;
-    if (mins <= 0) return;
-
-    for (const c of state.crew.members) {
-      if (c.conditions.downed) continue;
-
-      // Base drain
-      c.needs.hunger = clamp(c.needs.hunger - data.config.drains.hungerPerMin * mins, 0, 100);
-      c.needs.thirst = clamp(c.needs.thirst - data.config.drains.thirstPerMin * mins, 0, 100);
-
-      // If resting idle and not busy, mild morale recovery
-      const q = state.queues.jobsByCharId[c.id] || [];
-      const active = q[0] || null;
-      const isIdleRest = (!active && c.idleBehavior === "rest");
-      if (isIdleRest) {
-        c.needs.morale = clamp(c.needs.morale + data.config.drains.moraleRecoverPerMinRest * mins, 0, 100);
-      }
-
-      // Update moodlets/sickness/injury expirations
-      expireTimedEffects(state, loadedData, c);
-    }
-  }
-
-  function expireTimedEffects(state, loadedData, char) {
-    const t = gameNow(state);
-
-    // moodlets
-    char.moodlets = (char.moodlets || []).filter(m => m.endsAt > t);
-
-    // sickness
-    if (char.conditions.sickness && char.conditions.sickness.endsAt <= t) {
-      pushLog(state, `${char.name} recovered from sickness.`, "good", char.id, loadedData);
-      char.conditions.sickness = null;
-    }
-
-    // injury
-    if (char.conditions.injury && char.conditions.injury.endsAt <= t) {
-      pushLog(state, `${char.name} recovered from injury.`, "good", char.id, loadedData);
-      char.conditions.injury = null;
-    }
-
-    // if downed: remains until revived
-  }
-
-  function applyMoodlet(char, moodlet) {
-    // moodlet: { id, name, endsAt, moraleDelta, note }
-    char.moodlets = char.moodlets || [];
-    // Replace same id
-    char.moodlets = char.moodlets.filter(m => m.id !== moodlet.id);
-    char.moodlets.push(moodlet);
-  }
-
-  function currentMoraleModifier(char) {
-    let d = 0;
-    for (const m of (char.moodlets || [])) d += (m.moraleDelta || 0);
-    if (char.conditions.sickness) d -= 10;
-    if (char.conditions.injury?.severity === "minor") d -= 5;
-    if (char.conditions.injury?.severity === "major") d -= 15;
-    if (char.conditions.downed) d -= 50;
-    return d;
-  }
-
-  function effectiveSkill(char, skillId) {
-    const base = char.stats[skillId] ?? 0;
-    // Small bonus from XP: every 100 xp -> +1
-    const xp = char.xp[skillId] ?? 0;
-    const bonus = Math.floor(xp / 100);
-    return base + bonus;
-  }
-
-  /* =========================
-     XP + Leveling (v0.2)
-  ========================= */
-
-  function xpToNext(level, base = 100, growth = 1.35) {
-    // Level starts at 0 (untrained) or 1+; this function accepts current level and returns XP needed to gain +1.
-    // A gentle curve that still makes early progress visible.
-    const lv = Math.max(0, Number(level) || 0);
-    return Math.round(base * Math.pow(growth, lv));
-  }
-
-  function processLevelUps(state, loadedData, char) {
-    const cfg = loadedData?.data?.config || {};
-    const base = cfg?.xp?.base ?? 100;
-    const growth = cfg?.xp?.growth ?? 1.35;
-
-    const leveled = [];
-    for (const skill of Object.keys(char.xp || {})) {
-      // ensure stat exists
-      if (char.stats[skill] == null) char.stats[skill] = 0;
-
-      let xp = char.xp[skill] || 0;
-      let needed = xpToNext(char.stats[skill], base, growth);
-      let ups = 0;
-
-      while (xp >= needed && ups < 25) {
-        xp -= needed;
-        char.stats[skill] = (char.stats[skill] || 0) + 1;
-        ups++;
-        needed = xpToNext(char.stats[skill], base, growth);
-      }
-
-      if (ups > 0) {
-        char.xp[skill] = xp;
-        leveled.push({ skill, ups });
-      }
-    }
-
-    if (leveled.length) {
-      for (const it of leveled) {
-        pushLog(state, `${char.name} leveled up: ${it.skill} +${it.ups}.`, "good", char.id, loadedData);
-      }
-      toast(`${char.name} leveled up!`);
-    }
-
-    return leveled;
-  }
-
-  function xpProgressLine(state, loadedData, char, skill) {
-    const cfg = loadedData?.data?.config || {};
-    const base = cfg?.xp?.base ?? 100;
-    const growth = cfg?.xp?.growth ?? 1.35;
-
-    const level = char.stats?.[skill] ?? 0;
-    const xp = char.xp?.[skill] ?? 0;
-    const need = xpToNext(level, base, growth);
-    return `${skill}: L${level} — ${xp}/${need} XP`;
-  }
-
-
-  /* =========================
-     Auto-consume (rations)
-  ========================= */
-  function maybeAutoConsume(state, loadedData, char) {
-    const cfg = loadedData.data.config;
-    if (char.conditions.downed) return;
-
-    // Auto drink
-    if (char.needs.thirst <= cfg.autoConsumeThreshold) {
-      const drank = consumeBestWater(state, loadedData, char);
-      if (!drank) {
-        applyMoodlet(char, { id: "m_parched", name: "Parched", endsAt: gameNow(state) + 60 * 60 * 1000, moraleDelta: -8, note: "No water available." });
-      }
-    }
-
-    // Auto eat (rations only)
-    if (char.needs.hunger <= cfg.autoConsumeThreshold) {
-      const ate = consumeRationFood(state, loadedData, char);
-      if (!ate) {
-        applyMoodlet(char, { id: "m_hungry", name: "Hungry", endsAt: gameNow(state) + 60 * 60 * 1000, moraleDelta: -10, note: "No rations available." });
-      }
-    }
-  }
-
-  function consumeBestWater(state, loadedData, char) {
-    const { idx } = loadedData;
-    // Prefer clean over dirty
-    const options = ["water_clean", "water_dirty"].filter(id => hasItemInStorage(state, loadedData, id, 1));
-    if (options.length === 0) return false;
-
-    const pick = options[0];
-    removeItemFromStorage(state, loadedData, pick, 1);
-    const def = idx.itemsById.get(pick);
-    const thirst = def?.water?.thirst ?? 10;
-    char.needs.thirst = clamp(char.needs.thirst + thirst, 0, 100);
-
-    // Dirty water sickness chance
-    if (def?.water?.dirty) {
-      // chance depends on grit & medical
-      const grit = effectiveSkill(char, "Grit");
-      const med = effectiveSkill(char, "Medical");
-      const chance = clamp(0.18 - (grit * 0.01) - (med * 0.01), 0.04, 0.25);
-      if (Math.random() < chance) {
-        applySickness(state, loadedData, char, "Dirty Water Sickness", 3 * 60 * 60 * 1000);
-      }
-      applyMoodlet(char, { id: "m_grosswater", name: "Ugh. Dirty Water.", endsAt: gameNow(state) + 30 * 60 * 1000, moraleDelta: -3, note: "You drank questionable water." });
-    }
-
-    pushLog(state, `${char.name} drank water.`, "info", char.id, loadedData);
-    return true;
-  }
-
-  function consumeRationFood(state, loadedData, char) {
-    const { idx } = loadedData;
-    // Find ration-allowed foods in storage
-    const stacks = state.rv.storage.stacks
-      .filter(s => s.qty > 0)
-      .map(s => ({ s, def: idx.itemsById.get(s.itemId) }))
-      .filter(x => x.def && x.def.category === "food" && x.s.isRationAllowed);
-
-    if (stacks.length === 0) return false;
-
-    // Eat the "worst" first (low-tier rations) to preserve fancy stuff if it accidentally is ration-allowed
-    stacks.sort((a, b) => {
-      const qa = a.def.food?.quality || "low";
-      const qb = b.def.food?.quality || "low";
-      const order = { low: 0, mid: 1, high: 2 };
-      return (order[qa] ?? 0) - (order[qb] ?? 0);
+  // Bytes handed to the backend (UTF-8 size of the JSON; names and logs can hold non-ASCII text).
+  // Shown in the admin overlay.
+  const persistStats = { writes: 0, bytes: 0, lastBytes: 0, lastWriteAt: 0, coalesced: 0 };
+  const utf8 = new TextEncoder();
+
+  // Copies the live state for storage and measures it with a single serialization.
+  function serializeState(state) {
+    const json = JSON.stringify(state);
+    return { copy: JSON.parse(json), bytes: utf8.encode(json).length };
+  }
+
+  function writeThrough(storeName, rec, bytes = 0) {
+    persistStats.writes++;
+    persistStats.bytes += bytes;
+    persistStats.lastBytes = bytes;
+    persistStats.lastWriteAt = nowReal();
+    saveCache.backend.put(storeName, rec).catch((e) => {
+      console.error(e);
+      toast(`Couldn't write save data (${e?.name || "error"}).`, 3500);
     });
-
-    const pick = stacks[0].s.itemId;
-    const def = idx.itemsById.get(pick);
-
-    removeItemFromStorage(state, loadedData, pick, 1);
-
-    const hunger = def?.food?.hunger ?? 10;
-    char.needs.hunger = clamp(char.needs.hunger + hunger, 0, 100);
-
-    // Food morale effect
-    const morale = def?.food?.morale ?? 0;
-    char.needs.morale = clamp(char.needs.morale + morale, 0, 100);
-
-    // Apply moodlets for quality
-    const q = def?.food?.quality || "low";
-    if (q === "low") applyMoodlet(char, { id: "m_slop", name: "Ate Slop", endsAt: gameNow(state) + 2 * 60 * 60 * 1000, moraleDelta: -6, note: "Barely edible." });
-    if (q === "high") applyMoodlet(char, { id: "m_hearty", name: "Hearty Meal", endsAt: gameNow(state) + 4 * 60 * 60 * 1000, moraleDelta: +10, note: "Actually delicious." });
-
-    // Raw food sickness chance
-    if (def?.food?.raw) {
-      const grit = effectiveSkill(char, "Grit");
-      const chance = clamp(0.25 - (grit * 0.01), 0.06, 0.28);
-      if (Math.random() < chance) {
-        applySickness(state, loadedData, char, "Food Poisoning", 2 * 60 * 60 * 1000);
-      }
-    }
-
-    pushLog(state, `${char.name} ate rations.`, "info", char.id, loadedData);
-    return true;
-  }
-
-  function consumeFoodFromStorage(state, loadedData, char, itemId) {
-    const { idx } = loadedData;
-    if (!hasItemInStorage(state, loadedData, itemId, 1)) return { ok: false, reason: "not in storage" };
-    const def = idx.itemsById.get(itemId);
-    if (!def?.food) return { ok: false, reason: "not food" };
-
-    removeItemFromStorage(state, loadedData, itemId, 1);
-
-    const hunger = def.food.hunger ?? 10;
-    char.needs.hunger = clamp(char.needs.hunger + hunger, 0, 100);
-
-    const morale = def.food.morale ?? 0;
-    char.needs.morale = clamp(char.needs.morale + morale, 0, 100);
-
-    const q = def.food.quality || "low";
-    if (q === "low") applyMoodlet(char, { id: "m_slop", name: "Ate Slop", endsAt: gameNow(state) + 2 * 60 * 60 * 1000, moraleDelta: -2, note: "Not your finest meal." });
-    if (q === "mid") applyMoodlet(char, { id: "m_full", name: "Ate Okay", endsAt: gameNow(state) + 2 * 60 * 60 * 1000, moraleDelta: 0, note: "Good enough." });
-    if (q === "high") applyMoodlet(char, { id: "m_tasty", name: "Ate Well", endsAt: gameNow(state) + 3 * 60 * 60 * 1000, moraleDelta: +2, note: "Actually delicious." });
-
-    // Raw food sickness chance
-    if (def.food.raw) {
-      const grit = effectiveSkill(char, "Grit");
-      const chance = clamp(0.25 - (grit * 0.01), 0.06, 0.28);
-      if (Math.random() < chance) {
-        applySickness(state, loadedData, char, "Food Poisoning", 2 * 60 * 60 * 1000);
-      }
-    }
-
-    pushLog(state, `${char.name} ate ${def.name}.`, "info", char.id, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-  function consumeWaterFromStorage(state, loadedData, char, itemId) {
-    const { idx } = loadedData;
-    if (!hasItemInStorage(state, loadedData, itemId, 1)) return { ok: false, reason: "not in storage" };
-    const def = idx.itemsById.get(itemId);
-    if (!def?.water) return { ok: false, reason: "not water" };
-
-    removeItemFromStorage(state, loadedData, itemId, 1);
-
-    const thirst = def.water.thirst ?? 10;
-    char.needs.thirst = clamp(char.needs.thirst + thirst, 0, 100);
-
-    // Dirty water sickness chance
-    if (def.water.dirty) {
-      const grit = effectiveSkill(char, "Grit");
-      const med = effectiveSkill(char, "Medical");
-      const chance = clamp(0.18 - (grit * 0.01) - (med * 0.01), 0.04, 0.25);
-      if (Math.random() < chance) {
-        applySickness(state, loadedData, char, "Dirty Water Sickness", 3 * 60 * 60 * 1000);
-      }
-      applyMoodlet(char, { id: "m_grosswater", name: "Ugh. Dirty Water", endsAt: gameNow(state) + 30 * 60 * 1000, moraleDelta: -3, note: "You can taste the pond." });
-    }
-
-    pushLog(state, `${char.name} drank ${def.name}.`, "info", char.id, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-
-  function applySickness(state, loadedData, char, name, durationMs) {
-    const t = gameNow(state);
-    char.conditions.sickness = { id: `s_${hashStringToUint(name)}`, name, endsAt: t + durationMs, severity: "normal" };
-    pushLog(state, `${char.name} got sick: ${name}.`, "bad", char.id, loadedData);
-  }
-
-  function applyInjury(state, loadedData, char, severity, name, durationMs) {
-    const t = gameNow(state);
-    char.conditions.injury = { id: `i_${hashStringToUint(name)}`, name, endsAt: t + durationMs, severity };
-    pushLog(state, `${char.name} suffered a ${severity} injury: ${name}.`, "bad", char.id, loadedData);
-  }
-
-  function downCharacter(state, loadedData, char) {
-    char.conditions.downed = true;
-    pushLog(state, `${char.name} is DOWNED!`, "bad", char.id, loadedData);
-
-    // Auto-revive if serum available
-    if (hasItemInStorage(state, loadedData, "revive_serum", 1)) {
-      removeItemFromStorage(state, loadedData, "revive_serum", 1);
-      char.conditions.downed = false;
-      applyMoodlet(char, { id: "m_revived", name: "Revived", endsAt: gameNow(state) + 6 * 60 * 60 * 1000, moraleDelta: -12, note: "You cheated death. It feels weird." });
-      char.needs.health = 60;
-      pushLog(state, `Crew used a Revive Serum on ${char.name}.`, "good", char.id, loadedData);
-    }
-  }
-
-  /* =========================
-     Tile Generation
-  ========================= */
-  function getOrCreateTile(state, loadedData, tileId) {
-    const { data } = loadedData;
-
-    if (!state.world.discoveredTiles[tileId]) {
-      const neighbors = geohashNeighbors(tileId);
-      const neighborBiomes = [];
-      for (const k of ["n","s","e","w"]) {
-        const nt = neighbors[k];
-        if (state.world.discoveredTiles[nt]?.biomeId) neighborBiomes.push(state.world.discoveredTiles[nt].biomeId);
-      }
-
-      const seed = hashStringToUint(`${data.config.worldSeed}::${tileId}`);
-      const rng = mulberry32(seed);
-
-      // Weighted + neighbor influence:
-      const baseWeights = data.biomes.map(b => ({ id: b.id, w: b.weight || 1 }));
-      const influence = new Map();
-      for (const bio of neighborBiomes) {
-        influence.set(bio, (influence.get(bio) || 0) + 12);
-      }
-
-      const picks = baseWeights.map(e => {
-        const extra = influence.get(e.id) || 0;
-        // also add some "related" biome soft influence by tags (MVP-lite)
-        let tagExtra = 0;
-        if (neighborBiomes.length > 0) {
-          const nb = data.biomes.find(x => x.id === neighborBiomes[0]);
-          const me = data.biomes.find(x => x.id === e.id);
-          if (nb && me) {
-            const shared = me.tags?.filter(t => (nb.tags || []).includes(t)).length || 0;
-            tagExtra = shared * 3;
-          }
-        }
-        return { id: e.id, w: e.w + extra + tagExtra };
-      });
-
-      const biomeId = weightedPick(rng, picks);
-
-      // POIs are MVP-light: store empty for now, expand later via biomes.json
-      const tile = {
-        tileId,
-        biomeId,
-        createdAt: gameNow(state),
-        poiIds: [],
-        tutorialOverlay: false,
-        encounter: null // e.g., recruit NPC
-      };
-
-      state.world.discoveredTiles[tileId] = tile;
-    }
-
-    // Tutorial overlay on first tile
-    if (!state.meta.tutorialDone) {
-      state.meta.firstTileId = state.meta.firstTileId || tileId;
-      if (tileId === state.meta.firstTileId) {
-        const tile = state.world.discoveredTiles[tileId];
-        if (!tile.tutorialOverlay) {
-          tile.tutorialOverlay = true;
-          tile.encounter = {
-            type: "recruitNpc",
-            npcTemplateId: "npc_scavenger",
-            // Tutorial recruit is free but can optionally ask for one ration
-            requirement: { itemId: "ration_basic", qty: 1, optional: true }
-          };
-          pushLog(state, "Tutorial overlay activated on your current tile.", "system", null, loadedData);
-        }
-      }
-    }
-
-    return state.world.discoveredTiles[tileId];
-  }
-
-  function biomeForTile(loadedData, tile) {
-    return loadedData.data.biomes.find(b => b.id === tile.biomeId) || loadedData.data.biomes[0];
-  }
-
-  /* =========================
-     Jobs
-  ========================= */
-  function listAvailableJobsForTile(state, loadedData, tile) {
-    const { data } = loadedData;
-    const biome = biomeForTile(loadedData, tile);
-    const biomeId = biome?.id;
-
-    const jobs = [];
-    for (const j of (data.jobs || [])) {
-      // Back-compat: older job schemas may use "biomes" (biome IDs) instead of "biomeTags".
-      const hasGate =
-        !!j.alwaysAvailable ||
-        (Array.isArray(j.biomeTags) && j.biomeTags.length) ||
-        (Array.isArray(j.biomes) && j.biomes.length) ||
-        (Array.isArray(j.biomeIds) && j.biomeIds.length);
-
-      const ok =
-        !!j.alwaysAvailable ||
-        (Array.isArray(j.biomeTags) && j.biomeTags.some(t => (biome.tags || []).includes(t))) ||
-        (Array.isArray(j.biomes) && biomeId && j.biomes.includes(biomeId)) ||
-        (Array.isArray(j.biomeIds) && biomeId && j.biomeIds.includes(biomeId)) ||
-        // If job has no gating fields at all, treat it as available (v0.1 behavior).
-        !hasGate;
-
-      if (ok) jobs.push(j);
-    }
-    return jobs;
-  }
-
-  function paceMultipliers(pace) {
-    // pace influences duration, yield, and risk
-    if (pace === "safe") return { dur: 1.1, yield: 0.9, risk: 0.75 };
-    if (pace === "push") return { dur: 0.85, yield: 1.15, risk: 1.35 };
-    return { dur: 1.0, yield: 1.0, risk: 1.0 };
-  }
-
-  function startJobForChar(state, loadedData, charId, jobId, pace = "normal", opts = null) {
-    opts = opts || {};
-    const { idx } = loadedData;
-    const char = state.crew.members.find(m => m.id === charId);
-    if (!char) return { ok: false, reason: "bad char" };
-    if (char.conditions.downed) return { ok: false, reason: "downed" };
-
-    const job = idx.jobsById.get(jobId);
-    if (!job) return { ok: false, reason: "bad job" };
-
-    // Requirements: tool tag or item in storage for trap
-    if (job.requiresItem && !hasItemInStorage(state, loadedData, job.requiresItem, 1)) {
-      return { ok: false, reason: `Requires item: ${job.requiresItem}` };
-    }
-
-    // Tool check: job.toolTag should be equipped in main hand OR we allow "unarmed" penalty
-    let toolOk = true;
-    if (job.toolTag) {
-      const tool = getEquippedToolDef(char, loadedData, job.toolTag);
-      toolOk = !!tool;
-    }
-
-    const mult = paceMultipliers(pace);
-    const baseDurationMs = Math.round((job.baseSec || 600) * mult.dur) * 1000;
-    const durationMs = (opts.durationMs != null) ? Math.max(1000, Math.round(opts.durationMs)) : baseDurationMs;
-
-    const entry = {
-      id: uid("job"),
-      jobId,
-      pace,
-      createdAt: gameNow(state),
-      startAt: null,
-      durationMs,
-      toolOk,
-      tileId: (opts.tileId != null ? opts.tileId : state.meta.lastTileId),
-      meta: opts.meta || null,
-      completed: false
-    };
-
-    state.queues.jobsByCharId[charId] = state.queues.jobsByCharId[charId] || [];
-
-    // If no active job, start immediately
-    const q = state.queues.jobsByCharId[charId];
-    if (q.length === 0) {
-      entry.startAt = gameNow(state);
-    }
-    q.push(entry);
-
-    pushLog(state, `${char.name} queued: ${job.name} (${pace}).`, "info", char.id, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-  function cancelQueuedJob(state, loadedData, charId, jobEntryId) {
-    const q = state.queues.jobsByCharId[charId] || [];
-    const idx = q.findIndex(j => j.id === jobEntryId);
-    if (idx < 0) return { ok: false, reason: "not found" };
-
-    const [removed] = q.splice(idx, 1);
-
-    // If we cancelled the currently running job (idx === 0), allow the next one to start immediately
-    if (idx === 0 && q[0] && q[0].startAt == null) q[0].startAt = gameNow(state);
-
-    // Restore reserved rations for exploration if the task was cancelled
-    const char = state.crew.members.find(m => m.id === charId);
-    if (char && removed?.meta?.rationsConsumed?.length) {
-      for (const rc of removed.meta.rationsConsumed) {
-        addItemToPockets(state, loadedData, char, rc.itemId, rc.qty || 1);
-      }
-      removed.meta.rationsConsumed = [];
-    }
-
-    const name = loadedData.idx.jobsById.get(removed.jobId)?.name ?? removed.jobId;
-    pushLog(state, `Cancelled ${name} for ${char?.name ?? "crew"}.`, "info", charId, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-  function clearJobQueue(state, loadedData, charId) {
-    const q = state.queues.jobsByCharId[charId] || [];
-    if (!q.length) return { ok: false, reason: "empty" };
-    state.queues.jobsByCharId[charId] = [];
-    pushLog(state, `Cleared job queue for ${state.crew.members.find(m => m.id === charId)?.name ?? "crew"}.`, "info", charId, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-
-  function tickJobQueues(state, loadedData) {
-    const { idx, data } = loadedData;
-    const t = gameNow(state);
-
-    // Ensure idle behavior doesn't explode: only loop up to N cycles per sim tick
-    let idleCycles = 0;
-
-    for (const char of state.crew.members) {
-      if (char.conditions.downed) continue;
-
-      let q = state.queues.jobsByCharId[char.id] || [];
-      if (q.length === 0) {
-        // Schedule idle behavior
-        if (char.idleBehavior && char.idleBehavior !== "none") {
-          if (char.idleBehavior === "rest") {
-            // no job needed
-          } else if (idleCycles < data.config.idleMaxCyclesPerSim) {
-            // Add a single idle job if none queued
-            startJobForChar(state, loadedData, char.id, char.idleBehavior, "safe");
-            idleCycles++;
-            q = state.queues.jobsByCharId[char.id] || [];
-          }
-        }
-      }
-
-      // If there is a queue and first entry has no startAt, start it
-      if (q.length > 0 && q[0].startAt == null) q[0].startAt = t;
-
-      // Complete jobs that finished
-      while (q.length > 0) {
-        const jEntry = q[0];
-        if (jEntry.startAt == null) break;
-        const endsAt = jEntry.startAt + jEntry.durationMs;
-        if (endsAt > t) break;
-
-        // Complete
-        const job = idx.jobsById.get(jEntry.jobId);
-        try {
-          resolveJobCompletion(state, loadedData, char, job, jEntry);
-        } catch (e) {
-          console.error(e);
-          pushLog(state, `ERROR: Job completion failed for ${char.name} (${job?.name ?? jEntry.jobId}). See console.`, "warn", char.id, loadedData);
-        }
-
-        q.shift();
-
-        // Start next immediately if exists
-        if (q.length > 0) q[0].startAt = endsAt;
-
-        safetySnapshot(state, loadedData);
-      }
-    }
-  }
-
-  function resolveJobCompletion(state, loadedData, char, job, jEntry) {
-    const { idx, data } = loadedData;
-
-    const charId = char.id;
-
-    // Ensure we have a valid current tile for biome/yields and seeded RNG.
-    // (The game remains playable even if the player never granted location permission.)
-    const prec = data.config.tilePrecision || 7;
-    const tileId = state.meta.lastTileId || geohashEncode(0, 0, prec);
-    if (!state.meta.lastTileId) state.meta.lastTileId = tileId;
-    const tile = getOrCreateTile(state, loadedData, tileId);
-
-    // Track items gained during this job (used for logging + morale)
-    const got = [];
-    // Deterministic-ish RNG seed: use sim time if available, otherwise fall back to real time.
-    const __seedTime = Math.floor(((state.meta.lastSimAt || gameNow(state)) || nowReal()) / 1000);
-    const rng = mulberry32(hashStringToUint(`${state.rngSeed}|${__seedTime}|${jEntry.id}`));
-
-    // Needs drain boost for strenuous jobs
-    const strain = job.strenuous ? data.config.jobStrenuousDrainMultiplier : 1.0;
-
-    // Apply per-job drains (MVP)
-    const mins = jEntry.durationMs / 60000;
-    char.needs.hunger = clamp(char.needs.hunger - (data.config.drains.hungerPerMin * mins * (strain - 0.2)), 0, 100);
-    char.needs.thirst = clamp(char.needs.thirst - (data.config.drains.thirstPerMin * mins * (strain - 0.2)), 0, 100);
-
-    // Auto-consume if needed
-    maybeAutoConsume(state, loadedData, char);
-
-    // Compute success/yield/risk adjustments
-    const mult = paceMultipliers(jEntry.pace);
-
-    const skill = effectiveSkill(char, job.xpSkill || "Wilderness");
-    const moraleMod = currentMoraleModifier(char);
-    const moralePenalty = moraleMod < 0 ? Math.abs(moraleMod) * 0.002 : 0;
-
-    // Tool & armor impact
-    const toolInfo = job.toolTag ? getEquippedToolDef(char, loadedData, job.toolTag) : null;
-    const toolTier = toolInfo?.def?.tool?.tier ?? (jEntry.toolOk ? 1 : 0);
-    const toolPower = toolInfo?.def?.tool?.power ?? 0;
-    const protection = getTotalProtection(char, loadedData);
-
-    // Final yield multiplier
-    const yieldMult =
-      mult.yield *
-      (1 + skill * 0.04) *
-      (1 + toolTier * 0.05) *
-      (1 - moralePenalty);
-
-    // Risk multiplier
-    const riskMult =
-      mult.risk *
-      (1 - protection * 0.6) *
-      (1 - toolTier * 0.06) *
-      (1 + (char.conditions.sickness ? 0.2 : 0)) *
-      (1 + (char.conditions.injury?.severity === "minor" ? 0.15 : 0)) *
-      (1 + (char.conditions.injury?.severity === "major" ? 0.35 : 0));
-
-    // Roll yields
-    // v0.2 special jobs
-    if (jEntry.meta?.special === "gather_water") {
-      const waterId = jEntry.meta.waterItemId || "water_dirty";
-      const qty = Math.max(0, Math.floor(Number(jEntry.meta.waterQty || 0)));
-      if (qty > 0) {
-        const ok = addItemToStorage(state, loadedData, waterId, qty);
-        if (ok.ok) pushLog(state, `${char.name} gathered ${qty}× ${(loadedData.idx.itemsById.get(waterId)?.name ?? waterId)}.`, "good", charId, loadedData);
-        else pushLog(state, `Storage full — couldn't store gathered water.`, "warn", charId, loadedData);
-      }
-    } else if (jEntry.meta?.special === "explore") {
-      const actionJobId = jEntry.meta.actionJobId;
-      const actionJob = actionJobId ? loadedData.idx.jobsById.get(actionJobId) : null;
-
-      const toolTier = getToolTierForJob(state, loadedData, char, actionJob || job);
-      const wild = effectiveSkill(char, "Wilderness");
-      const wits = effectiveSkill(char, "Wits");
-      const grit = effectiveSkill(char, "Grit");
-
-      const successChance = clamp(0.55 + (wild * 0.02) + (wits * 0.01) + (toolTier * 0.04), 0.25, 0.95);
-      const success = (rng() < successChance);
-
-      if (success && actionJob?.yields?.length) {
-        const biome = loadedData.idx.biomesById.get(tile.biomeId);
-        const yieldMult = clamp(1 + (toolTier * 0.15) + (wild * 0.02), 0.5, 3.5) * (1.10 + grit * 0.01);
-
-        for (const y of actionJob.yields) {
-          if ((y.chance ?? 1) < 1 && rng() > y.chance) continue;
-          let qty = randInt(rng, y.min ?? 1, y.max ?? (y.min ?? 1));
-          if (biome?.yieldMult?.[y.id]) qty = Math.ceil(qty * biome.yieldMult[y.id]);
-          qty = Math.max(0, Math.floor(qty * yieldMult));
-          if (qty > 0) {
-            const ok = addItemToStorage(state, loadedData, y.id, qty);
-            if (!ok.ok) { pushLog(state, "Storage full — exploration loot was lost.", "warn", charId, loadedData); break; }
-          }
-        }
-        pushLog(state, `${char.name} explored and returned with loot.`, "good", charId, loadedData);
-      } else {
-        pushLog(state, `${char.name} explored but found nothing useful.`, "info", charId, loadedData);
-      }
-
-      // extra injury chance when exploring
-      const extra = clamp(0.10 - (grit * 0.01), 0.02, 0.12);
-      if (rng() < extra) applyInjury(state, loadedData, char, "minor");
-    } else {
-      const biome = loadedData.idx.biomesById.get(tile.biomeId);
-
-      // Determine tool tier from equipment (if job wants it)
-      const toolTier = getToolTierForJob(state, loadedData, char, job);
-
-      // Yield multiplier based on skill and tool
-      const skill = job.xpSkill ? effectiveSkill(char, job.xpSkill) : 0;
-      const yieldMult = clamp(1 + (toolTier * 0.15) + (skill * 0.02), 0.5, 3.5);
-
-      const yields = job.yields || [];
-      // got[] is declared above so it can be used for all job types
-
-      for (const y of yields) {
-        if ((y.chance ?? 1) < 1 && rng() > y.chance) continue;
-        let qty = randInt(rng, y.min ?? 1, y.max ?? (y.min ?? 1));
-        if (biome?.yieldMult?.[y.id]) qty = Math.ceil(qty * biome.yieldMult[y.id]);
-        qty = Math.max(0, Math.floor(qty * yieldMult));
-        if (qty > 0) {
-          const ok = addItemToStorage(state, loadedData, y.id, qty);
-          if (ok.ok) got.push(`${qty}× ${loadedData.idx.itemsById.get(y.id)?.name ?? y.id}`);
-          else { pushLog(state, "Storage full — couldn't store yields.", "warn", charId, loadedData); break; }
-        }
-      }
-
-      if (got.length) pushLog(state, `${char.name} gained: ${got.join(", ")}.`, "good", charId, loadedData);
-    }
-
-    // Risk outcomes
-    const r = job.risk || { minorInjury: 0, majorInjury: 0, toolWear: 0, sickness: 0 };
-    const minorChance = clamp((r.minorInjury || 0) * riskMult, 0, 0.6);
-    const majorChance = clamp((r.majorInjury || 0) * riskMult, 0, 0.35);
-    const sickChance = clamp((r.sickness || 0) * riskMult, 0, 0.35);
-    const wearChance = clamp((r.toolWear || 0) * riskMult, 0, 0.95);
-
-    if (!char.conditions.injury && rng() < majorChance) {
-      applyInjury(state, loadedData, char, "major", "Broken Leg", 8 * 60 * 60 * 1000);
-    } else if (!char.conditions.injury && rng() < minorChance) {
-      applyInjury(state, loadedData, char, "minor", "Sprained Ankle", 2 * 60 * 60 * 1000);
-    }
-
-    if (!char.conditions.sickness && rng() < sickChance) {
-      applySickness(state, loadedData, char, "Ruin Dust Fever", 3 * 60 * 60 * 1000);
-    }
-
-    // Tool wear & break
-    if (toolInfo && rng() < wearChance) {
-      const inst = toolInfo.inst;
-      const wear = Math.max(1, Math.round((2 + toolPower) * mult.risk));
-      inst.durability = Math.max(0, (inst.durability ?? 0) - wear);
-      if (inst.durability <= 0) {
-        pushLog(state, `${char.name}'s ${toolInfo.def.name} broke!`, "bad", char.id, loadedData);
-        // Broken tool stays equipped but with 0 durability (MVP); repairs later can restore
-        applyMoodlet(char, { id: "m_brokentool", name: "Broken Gear", endsAt: gameNow(state) + 60 * 60 * 1000, moraleDelta: -6, note: "Your tool fell apart." });
-      }
-    }
-
-    // XP
-    if (job.xpSkill) {
-      const xpGain = Math.round(10 + mins * 2 + (toolTier * 2));
-      char.xp[job.xpSkill] = (char.xp[job.xpSkill] || 0) + xpGain;
-      pushLog(state, `${char.name} gained ${xpGain} XP in ${job.xpSkill}.`, "info", char.id, loadedData);
-      processLevelUps(state, loadedData, char);
-    }
-
-    // Morale adjustments from outcomes
-    if (got.length > 0) char.needs.morale = clamp(char.needs.morale + 1, 0, 100);
-
-    // Death/downed check (MVP): if health is too low due to compounded penalties
-    // We don't track detailed combat; downed can occur if major injury + starving + unlucky.
-    const dangerScore = (char.needs.hunger < 10 ? 1 : 0) + (char.needs.thirst < 10 ? 1 : 0) + (char.conditions.injury?.severity === "major" ? 2 : 0) + (char.conditions.sickness ? 1 : 0);
-    if (!char.conditions.downed && dangerScore >= 4 && rng() < 0.15) {
-      downCharacter(state, loadedData, char);
-    }
-
-    // Log completion summary
-    const gainedText = got.length ? got.map(g => `${g.qty}× ${idx.itemsById.get(g.id)?.name ?? g.id}`).join(", ") : "nothing";
-    pushLog(state, `${char.name} finished ${job.name}: got ${gainedText}.`, "good", char.id, loadedData);
-
-    // Tutorial completion check
-    if (!state.meta.tutorialDone) {
-      // If they crafted spear or trap or hatchet, they’ve basically learned
-      const hasSpear = char.pockets.instances.some(i => i.itemId === "spear_fishing") || hasItemInStorage(state, loadedData, "spear_fishing", 1);
-      const hasTrap = char.pockets.instances.some(i => i.itemId === "trap_simple") || hasItemInStorage(state, loadedData, "trap_simple", 1);
-      const hasHatchet = char.pockets.instances.some(i => i.itemId === "hatchet_stone") || hasItemInStorage(state, loadedData, "hatchet_stone", 1);
-      if (hasSpear && hasTrap && hasHatchet) {
-        state.meta.tutorialDone = true;
-        pushLog(state, "Tutorial complete. You're on your own now (mostly).", "system", null, loadedData);
-      }
-    }
-  }
-
-  /* =========================
-     Crafting
-  ========================= */
-
-  // Returns an integer tool tier (0 = no appropriate tool equipped).
-  // Used by job completion/scouting to scale yields/success.
-  function getToolTierForJob(state, loadedData, char, jobOrDef) {
-    const job = jobOrDef || null;
-    const toolTag = (typeof job === "string") ? job : (job && job.toolTag ? job.toolTag : null);
-    if (!toolTag) return 0;
-    const toolInfo = getEquippedToolDef(char, loadedData, toolTag);
-    const tier = toolInfo?.def?.tool?.tier;
-    return (typeof tier === "number" && isFinite(tier)) ? Math.max(0, Math.floor(tier)) : 0;
-  }
-
-  function canCraftRecipe(state, loadedData, recipe) {
-    const { idx } = loadedData;
-
-    // Station installed and level sufficient
-    const stationLevel = getStationLevel(state, recipe.station);
-    if (stationLevel < (recipe.stationLevel || 0)) return { ok: false, reason: `Requires ${recipe.station} level ${recipe.stationLevel}` };
-
-    // Inputs present
-    for (const inp of (recipe.inputs || [])) {
-      if (!hasItemInStorage(state, loadedData, inp.id, inp.qty)) {
-        const name = idx.itemsById.get(inp.id)?.name ?? inp.id;
-        return { ok: false, reason: `Missing: ${name}` };
-      }
-    }
-
-    // Capacity check (rough)
-    // We remove inputs at start, so capacity shouldn't be a blocker unless outputs exceed.
-    return { ok: true };
-  }
-
-  function getStationLevel(state, stationId) {
-    // Some stations represent modules with levels; others are “capabilities”
-    // For MVP we treat stationId matching stations list: rv.stations[stationId]
-    return state.rv.stations[stationId] ?? 0;
-  }
-
-  function startCraft(state, loadedData, recipeId) {
-    const { idx } = loadedData;
-    const recipe = idx.recipesById.get(recipeId);
-    if (!recipe) return { ok: false, reason: "bad recipe" };
-
-    const can = canCraftRecipe(state, loadedData, recipe);
-    if (!can.ok) return can;
-
-    // Remove inputs immediately
-    for (const inp of (recipe.inputs || [])) {
-      removeItemFromStorage(state, loadedData, inp.id, inp.qty);
-    }
-
-    const entry = {
-      id: uid("craft"),
-      recipeId,
-      createdAt: gameNow(state),
-      startAt: null,
-      durationMs: (recipe.timeSec || 60) * 1000,
-      completed: false,
-      // Store a copy of consumed inputs so we can refund if the player removes this craft from the queue.
-      inputs: (recipe.inputs || []).map(i => ({ id: i.id, qty: i.qty }))
-    };
-
-    const q = state.queues.craftsByStationId[recipe.station] || (state.queues.craftsByStationId[recipe.station] = []);
-    if (q.length === 0) entry.startAt = gameNow(state);
-    q.push(entry);
-
-    pushLog(state, `Crafting started: ${recipe.name}.`, "info", null, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-  
-  function cancelCraftEntry(state, loadedData, stationId, entryId) {
-    const { idx } = loadedData;
-    const q = state.queues.craftsByStationId?.[stationId];
-    if (!q || q.length === 0) return { ok: false, reason: "Queue is empty." };
-
-    const i = q.findIndex(e => e.id === entryId);
-    if (i < 0) return { ok: false, reason: "Craft entry not found." };
-
-    const entry = q[i];
-    const recipe = idx.recipesById.get(entry.recipeId);
-
-    // Refund inputs (best-effort). Inputs were consumed at enqueue time in startCraft().
-    const inputs = entry.inputs || recipe?.inputs || [];
-    for (const inp of inputs) {
-      if (!inp?.id || !inp?.qty) continue;
-      const res = addItemToStorage(state, loadedData, inp.id, inp.qty);
-      if (!res?.ok) {
-        pushLog(
-          state,
-          `Storage full — couldn't refund ${inp.qty}× ${(idx.itemsById.get(inp.id)?.name ?? inp.id)}.`,
-          "warn",
-          null,
-          loadedData
-        );
-      }
-    }
-
-    // Remove the entry
-    q.splice(i, 1);
-
-    // If we removed the currently-active craft, start the next one immediately.
-    if (i === 0 && q[0] && q[0].startAt == null) q[0].startAt = gameNow(state);
-
-    pushLog(state, `Cancelled craft: ${recipe?.name ?? entry.recipeId}.`, "info", null, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-function tickCraftQueues(state, loadedData) {
-    const { idx } = loadedData;
-    const t = gameNow(state);
-
-    for (const [stationId, q] of Object.entries(state.queues.craftsByStationId)) {
-      if (!q || q.length === 0) continue;
-
-      // If the head craft hasn't started yet, start it now.
-      if (q[0].startAt == null) q[0].startAt = t;
-
-      // Complete as many crafts as are due. Always advance the queue, even if a craft errors.
-      while (q.length > 0) {
-        const cEntry = q[0];
-
-        // Defensive: ensure we have a start time.
-        if (cEntry.startAt == null) cEntry.startAt = t;
-
-        const recipe = idx.recipesById.get(cEntry.recipeId);
-        const durMs = Number.isFinite(cEntry.durationMs) ? cEntry.durationMs : ((recipe?.timeSec || 60) * 1000);
-        const endsAt = cEntry.startAt + durMs;
-
-        if (endsAt > t) break;
-
-        try {
-          if (!recipe) throw new Error(`Unknown recipeId: ${cEntry.recipeId}`);
-          resolveCraftCompletion(state, loadedData, recipe);
-        } catch (err) {
-          console.error(err);
-          pushLog(
-            state,
-            `ERROR: crafting failed for ${recipe?.name ?? cEntry.recipeId}. See console.`,
-            "warn",
-            null,
-            loadedData
-          );
-        } finally {
-          // Always advance, so we never "re-complete" the same craft endlessly.
-          q.shift();
-          if (q.length > 0 && q[0].startAt == null) q[0].startAt = endsAt;
-          safetySnapshot(state, loadedData);
-        }
-      }
-    }
-  }
-
-  function resolveCraftCompletion(state, loadedData, recipe) {
-    const { idx } = loadedData;
-
-    if (recipe.special?.makeItem) {
-      // Special: create/ensure special item exists and add it
-      const it = recipe.special.makeItem;
-      if (!idx.itemsById.has(it.id)) {
-        // (Should already be normalized on load)
-      }
-      addItemToStorage(state, loadedData, it.id, recipe.special.qty || 1);
-      pushLog(state, `Crafted: ${it.name}.`, "good", null, loadedData);
-      return;
-    }
-
-    const gained = [];
-    for (const out of (recipe.outputs || [])) {
-      if (!out.qty || out.qty <= 0) continue;
-      const ok = addItemToStorage(state, loadedData, out.id, out.qty);
-      if (ok.ok) gained.push({ id: out.id, qty: out.qty });
-      else pushLog(state, `Storage full. Couldn't store crafted item: ${idx.itemsById.get(out.id)?.name ?? out.id}.`, "bad", null, loadedData);
-    }
-
-    const txt = gained.length ? gained.map(g => `${g.qty}× ${idx.itemsById.get(g.id)?.name ?? g.id}`).join(", ") : "nothing";
-    pushLog(state, `Craft complete: ${recipe.name} -> ${txt}.`, "good", null, loadedData);
-  }
-
-  /* =========================
-     Stations Upgrades
-  ========================= */
-  function upgradeStation(state, loadedData, stationId) {
-    const { data, idx } = loadedData;
-    const st = idx.stationsById.get(stationId);
-    if (!st) return { ok: false, reason: "unknown station" };
-
-    const cur = state.rv.stations[stationId] ?? 0;
-    const next = st.levels.find(x => x.level === cur + 1);
-    if (!next) return { ok: false, reason: "maxed" };
-
-    // Check costs
-    for (const c of (next.cost || [])) {
-      if (!hasItemInStorage(state, loadedData, c.id, c.qty)) {
-        const nm = idx.itemsById.get(c.id)?.name ?? c.id;
-        return { ok: false, reason: `Missing: ${nm} (${c.qty})` };
-      }
-    }
-
-    // Pay
-    for (const c of (next.cost || [])) removeItemFromStorage(state, loadedData, c.id, c.qty);
-
-    state.rv.stations[stationId] = cur + 1;
-    recomputeDerivedStats(state, loadedData);
-    pushLog(state, `${st.name} upgraded to level ${cur + 1}.`, "good", null, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true };
-  }
-
-  /* =========================
-     NPC Recruitment (Tutorial Encounter)
-  ========================= */
-  function canRecruit(state, loadedData) {
-    return state.crew.members.length < state.crew.maxCrew;
-  }
-
-  function ensureCrewPortraitAssigned(member, state, loadedData) {
-    if (!member || typeof member !== "object") return;
-    if (member.portraitPath) return;
-
-    const paths = loadedData?.data?.portraits;
-    if (Array.isArray(paths) && paths.length) {
-      const pick = paths[randInt(Math.random, 0, paths.length - 1)];
-      member.portraitPath = normalizePortraitPath(pick);
-    } else {
-      member.portraitPath = ""; // placeholder
-    }
   }
 
-  function recruitNpcFromTemplate(state, loadedData, npcTemplateId) {
-    const t = loadedData.idx.npcsById.get(npcTemplateId);
-    if (!t) return { ok: false, reason: "unknown NPC" };
-    if (!canRecruit(state, loadedData)) return { ok: false, reason: "No bunks available" };
-
-    const npc = makeCharacter({
-      name: t.name,
-      isPlayer: false,
-      baseStats: t.stats,
-      startingGear: [{ itemId: "knife_pocket", equip: true }], // NPC arrives with a knife (MVP)
-      startingPockets: [],
-      idleBehavior: "rest"
-    }, loadedData);
-
-    // Attach perk/quirk as metadata (MVP)
-    npc.perk = t.perk;
-    npc.quirk = t.quirk;
-    npc.needs.hunger = 70;
-    npc.needs.thirst = 70;
-    npc.needs.morale = 65;
-
-    ensureCrewPortraitAssigned(npc, state, loadedData);
-
-    state.crew.members.push(npc);
-    state.queues.jobsByCharId[npc.id] = [];
-
-    pushLog(state, `${npc.name} joined your caravan.`, "good", npc.id, loadedData);
-    safetySnapshot(state, loadedData);
-    return { ok: true, npc };
+  function removeThrough(storeName, id) {
+    saveCache.backend.remove(storeName, id).catch((e) => console.error(e));
   }
 
-  /* =========================
-     Saves (manual slots + safety snapshot)
-  ========================= */
   function normalizeSaveList(raw) {
     // Back-compat: older versions may have stored saves as an object map or wrapped structure.
     if (Array.isArray(raw)) return raw;
@@ -2304,19 +331,65 @@ function tickCraftQueues(state, loadedData) {
     const id = String(slot.id || uid("slot"));
     const name = String(slot.name || "Untitled Save");
     const ts = Number.isFinite(slot.ts) ? slot.ts : nowReal();
+    const createdAt = Number.isFinite(slot.createdAt) ? slot.createdAt : ts;
     const state = slot.state || slot.payload || slot.data || slot.gameState || null;
-    return { id, name, ts, state };
+    return { id, name, ts, createdAt, state };
   }
 
-  function loadAllSaves() {
-    const raw = safeJsonParse(store.getItem(LS_SAVES_KEY), []);
-    const list = normalizeSaveList(raw).map(sanitizeSaveSlot).filter(Boolean);
-    return list;
+  // Moves the old single-key localStorage layout (every slot in one JSON array) into the backend.
+  async function importLegacySaves() {
+    const rawSaves = store.getItem(LS_SAVES_KEY);
+    if (rawSaves != null) {
+      const legacy = normalizeSaveList(safeJsonParse(rawSaves, [])).map(sanitizeSaveSlot).filter(Boolean);
+      // keep the old list order ahead of any newer slots
+      legacy.forEach((slot, i) => { slot.createdAt = i; });
+      for (const slot of legacy) {
+        if (saveCache.slots.has(slot.id)) continue;
+        await saveCache.backend.put("slots", slot);
+        saveCache.slots.set(slot.id, slot);
+      }
+      store.removeItem(LS_SAVES_KEY);
+    }
+
+    const rawSnap = safeJsonParse(store.getItem(LS_SNAPSHOT_KEY), null);
+    if (rawSnap?.state) {
+      if (!saveCache.snapshot) {
+        saveCache.snapshot = { id: "latest", ts: rawSnap.ts ?? nowReal(), state: rawSnap.state };
+        await saveCache.backend.put("snapshot", saveCache.snapshot);
+      }
+      store.removeItem(LS_SNAPSHOT_KEY);
+    }
+  }
+
+  async function initSaveStorage() {
+    let backend = null;
+    if (typeof indexedDB !== "undefined") {
+      try {
+        backend = await openIdbBackend();
+      } catch (e) {
+        console.warn("IndexedDB unavailable, using localStorage for saves.", e);
+      }
+    }
+    saveCache.backend = backend || createLocalBackend();
+
+    for (const rec of await saveCache.backend.getAll("slots")) {
+      const slot = sanitizeSaveSlot(rec);
+      if (slot) saveCache.slots.set(slot.id, slot);
+    }
+    for (const rec of await saveCache.backend.getAll("autosaves")) {
+      if (!rec?.id) continue;
+      saveCache.autosaves.set(rec.id, { id: rec.id, name: rec.name, ts: rec.ts, slotId: rec.slotId ?? null });
+    }
+    // First autosave of a session comes one interval after boot
+    saveCache.lastAutosaveAt = nowReal();
+    saveCache.snapshot = await saveCache.backend.get("snapshot", "latest");
+
+    await importLegacySaves();
+    return saveCache.backend.kind;
   }
 
-  function saveAllSaves(list) {
-    const arr = (Array.isArray(list) ? list : []).map(sanitizeSaveSlot).filter(Boolean);
-    store.setItem(LS_SAVES_KEY, JSON.stringify(arr));
+  function loadAllSaves() {
+    return [...saveCache.slots.values()].sort((a, b) => a.createdAt - b.createdAt);
   }
 
   function safetySnapshot(state, loadedData) {
@@ -2324,72 +397,214 @@ function tickCraftQueues(state, loadedData) {
     if (!enabled) return;
 
     // Save snapshot not as a slot; used for recovery
-    const snap = {
-      ts: nowReal(),
-      state
-    };
-    store.setItem(LS_SNAPSHOT_KEY, JSON.stringify(snap));
+    const { copy, bytes } = serializeState(state);
+    saveCache.snapshot = { id: "latest", ts: nowReal(), state: copy };
+    writeThrough("snapshot", saveCache.snapshot, bytes);
+  }
+
+  /* =========================
+     Persistence Scheduler
+     Gameplay code only marks the run dirty; the snapshot is written at most once per
+     config.persistMinIntervalSec, plus immediately when the page is hidden or closed.
+  ========================= */
+  const persistSched = { dirty: false, timer: null, state: null, loadedData: null };
+
+  function markStateDirty(state, loadedData) {
+    if (persistSched.dirty) persistStats.coalesced++;
+    persistSched.dirty = true;
+    persistSched.state = state;
+    persistSched.loadedData = loadedData;
+    if (persistSched.timer) return;
+
+    const minMs = Math.max(0, loadedData.data.config.persistMinIntervalSec ?? 5) * 1000;
+    const wait = Math.max(0, persistStats.lastWriteAt + minMs - nowReal());
+    persistSched.timer = setTimeout(flushPersist, wait);
+  }
+
+  function flushPersist() {
+    if (persistSched.timer) clearTimeout(persistSched.timer);
+    persistSched.timer = null;
+    if (!persistSched.dirty || !persistSched.state) return;
+    persistSched.dirty = false;
+    safetySnapshot(persistSched.state, persistSched.loadedData);
   }
 
   function createSaveSlot(name, state) {
-    const _saves = loadAllSaves();
-    const saves = Array.isArray(_saves) ? _saves : [];
     const id = uid("save");
-    saves.push({ id, name: name || "Unnamed Save", ts: nowReal(), state });
-    saveAllSaves(saves);
+    const ts = nowReal();
+    const { copy, bytes } = serializeState(state);
+    const slot = { id, name: name || "Unnamed Save", ts, createdAt: ts, state: copy };
+    saveCache.slots.set(id, slot);
+    writeThrough("slots", slot, bytes);
     store.setItem(LS_LAST_ACTIVE_SAVE_KEY, id);
     return id;
   }
 
   function updateSaveSlot(saveId, state) {
-    const _saves = loadAllSaves();
-    const saves = Array.isArray(_saves) ? _saves : [];
-    const s = saves.find(x => x.id === saveId);
+    const s = saveCache.slots.get(saveId);
     if (!s) return false;
+    const { copy, bytes } = serializeState(state);
     s.ts = nowReal();
-    s.state = state;
-    saveAllSaves(saves);
+    s.state = copy;
+    writeThrough("slots", s, bytes);
     store.setItem(LS_LAST_ACTIVE_SAVE_KEY, saveId);
     return true;
   }
 
   function deleteSaveSlot(saveId) {
-    let saves = loadAllSaves();
-    saves = saves.filter(x => x.id !== saveId);
-    saveAllSaves(saves);
+    saveCache.slots.delete(saveId);
+    removeThrough("slots", saveId);
     const last = store.getItem(LS_LAST_ACTIVE_SAVE_KEY);
     if (last === saveId) store.removeItem(LS_LAST_ACTIVE_SAVE_KEY);
   }
 
   function getSaveSlot(saveId) {
-    const _saves = loadAllSaves();
-    const saves = Array.isArray(_saves) ? _saves : [];
-    return saves.find(x => x.id === saveId) || null;
+    return saveCache.slots.get(saveId) || null;
   }
 
   function getSnapshot() {
-    return safeJsonParse(store.getItem(LS_SNAPSHOT_KEY), null);
+    return saveCache.snapshot;
+  }
+
+  function listAutosaves() {
+    return [...saveCache.autosaves.values()].sort((a, b) => b.ts - a.ts);
+  }
+
+  // Rolling autosaves: one every config.autosave.everyMin, newest config.autosave.keep are kept.
+  function maybeAutosave(state, loadedData, slotId) {
+    const cfg = loadedData.data.config.autosave || {};
+    const everyMs = Math.max(1, cfg.everyMin ?? 10) * 60 * 1000;
+    const t = nowReal();
+    if (t - saveCache.lastAutosaveAt < everyMs) return false;
+
+    saveCache.lastAutosaveAt = t;
+    const { copy, bytes } = serializeState(state);
+    const rec = { id: `auto_${t}`, name: `Autosave ${fmtStamp(t)}`, ts: t, slotId: slotId || null, state: copy };
+    saveCache.autosaves.set(rec.id, { id: rec.id, name: rec.name, ts: rec.ts, slotId: rec.slotId });
+    writeThrough("autosaves", rec, bytes);
+
+    const keep = Math.max(1, cfg.keep ?? 5);
+    for (const old of listAutosaves().slice(keep)) {
+      saveCache.autosaves.delete(old.id);
+      removeThrough("autosaves", old.id);
+    }
+    return true;
+  }
+
+  async function getAutosaveState(id) {
+    const rec = await saveCache.backend.get("autosaves", id);
+    return rec?.state || null;
   }
 
   /* =========================
-     Simulation Step
+     Save Files (.rvsave export/import)
+     { format: "rvsave", formatVersion, meta: { slotName, build, schemaVersion, packs, exportedAt, checksum }, state }
   ========================= */
-  function simulateToNow(state, loadedData) {
-    const tNow = gameNow(state);
-    const last = state.meta.lastSimAt || tNow;
-    const elapsed = tNow - last;
-    if (elapsed <= 0) return;
+  const RVSAVE_FORMAT = "rvsave";
+  const RVSAVE_FORMAT_VERSION = 1;
+
+  function saveChecksum(state) {
+    return RVEngine.hashStringToUint(JSON.stringify(state)).toString(16).padStart(8, "0");
+  }
 
-    applyContinuousDrains(state, loadedData, elapsed);
+  function buildRvSave(slotName, state) {
+    return {
+      format: RVSAVE_FORMAT,
+      formatVersion: RVSAVE_FORMAT_VERSION,
+      meta: {
+        slotName: slotName || "Untitled Save",
+        build: window.RVROVER_BUILD,
+        schemaVersion: state.meta?.schemaVersion ?? 0,
+        packs: (state.meta?.packs || []).map(p => p.id),
+        exportedAt: nowReal(),
+        checksum: saveChecksum(state)
+      },
+      state
+    };
+  }
+
+  function downloadRvSave(slotName, state) {
+    const file = buildRvSave(slotName, state);
+    const safeName = String(file.meta.slotName).replace(/[^a-z0-9_-]+/gi, "_").replace(/^_+|_+$/g, "") || "save";
+    const blob = new Blob([JSON.stringify(file)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = el("a", { href: url, download: `${safeName}.rvsave` });
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Validates a .rvsave (or a bare state JSON from "Copy Save JSON") without touching the running game.
+  // Returns { ok: false, reason } or { ok: true, slotName, state, preview, warnings }.
+  function parseRvSave(text, loadedData) {
+    const parsed = safeJsonParse(text, null);
+    if (!parsed || typeof parsed !== "object") return { ok: false, reason: "Not a save file (invalid JSON)." };
 
-    // tick queues (completions)
-    tickCraftQueues(state, loadedData);
-    tickJobQueues(state, loadedData);
+    const warnings = [];
+    let state = null;
+    let slotName = "Imported Save";
+    let build = null;
+
+    if (parsed.format === RVSAVE_FORMAT) {
+      if ((parsed.formatVersion ?? 0) > RVSAVE_FORMAT_VERSION) {
+        return { ok: false, reason: `This file uses save format v${parsed.formatVersion}; update the game to import it.` };
+      }
+      state = parsed.state;
+      slotName = parsed.meta?.slotName || slotName;
+      build = parsed.meta?.build || null;
+      if (!state || typeof state !== "object") return { ok: false, reason: "The file has no game state." };
+      if (parsed.meta?.checksum !== saveChecksum(state)) {
+        return { ok: false, reason: "Checksum mismatch: the file is damaged or was edited by hand." };
+      }
+    } else if (parsed.meta && parsed.crew) {
+      state = parsed;
+      warnings.push("Plain save JSON (no checksum), so it can't be verified.");
+    } else {
+      return { ok: false, reason: "Not a save file." };
+    }
+
+    // Dry-run the upgrade on a copy so a bad file is rejected before anything is replaced
+    const mig = RVEngine.migrateState(deepCopy(state));
+    if (!mig.ok) return { ok: false, reason: mig.reason };
+    const s = mig.state;
+
+    const check = RVEngine.checkSaveContent(s, loadedData);
+    if (check.missingPacks.length) warnings.push(`Made with packs that aren't loaded: ${check.missingPacks.map(p => p.id).join(", ")}.`);
+    const missingIds = [...check.missingItems, ...check.missingJobs, ...check.missingRecipes, ...check.missingStations];
+    if (missingIds.length) warnings.push(`${missingIds.length} unknown content id(s): ${missingIds.slice(0, 6).join(", ")}.`);
+
+    const tileId = s.meta.lastTileId || null;
+    const biomeId = tileId ? s.world?.discoveredTiles?.[tileId]?.biomeId : null;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const preview = {
+      build,
+      crew: s.crew.members.map(m => m.name),
+      day: Math.max(1, Math.floor(((s.meta.lastSimAt ?? 0) - (s.meta.createdAt ?? 0)) / dayMs) + 1),
+      tile: tileId ? `${tileId}${biomeId ? ` (${loadedData.idx.biomesById.get(biomeId)?.name ?? biomeId})` : ""}` : "Unknown"
+    };
 
-    // post-tick auto-consume
-    for (const c of state.crew.members) maybeAutoConsume(state, loadedData, c);
+    return { ok: true, slotName, state, preview, warnings };
+  }
 
-    state.meta.lastSimAt = tNow;
+  function pickFileText(accept) {
+    return new Promise((resolve) => {
+      const inp = el("input", { type: "file", accept });
+      // Settles with null when the picker is cancelled or the file can't be read
+      inp.addEventListener("cancel", () => resolve(null));
+      inp.addEventListener("change", async () => {
+        const f = inp.files?.[0];
+        if (!f) return resolve(null);
+        try {
+          resolve({ name: f.name, text: await f.text() });
+        } catch (e) {
+          console.error(e);
+          toast("Couldn't read that file.", 4000);
+          resolve(null);
+        }
+      });
+      inp.click();
+    });
   }
 
   /* =========================
@@ -2432,6 +647,7 @@ function tickCraftQueues(state, loadedData) {
     btnCrew: null,
     btnStorage: null,
     btnStations: null,
+    btnVehicle: null,
     btnSaves: null,
     btnAdmin: null,
 
@@ -2496,10 +712,11 @@ function tickCraftQueues(state, loadedData) {
     UI.btnCrew = el("button", { class: "btn", id: "btnCrew" }, ["Crew"]);
     UI.btnStorage = el("button", { class: "btn", id: "btnStorage" }, ["Storage"]);
     UI.btnStations = el("button", { class: "btn", id: "btnStations" }, ["Stations"]);
+    UI.btnVehicle = el("button", { class: "btn", id: "btnVehicle" }, ["Vehicle"]);
     UI.btnSaves = el("button", { class: "btn ghost", id: "btnSaves" }, ["Saves"]);
     UI.btnAdmin = el("button", { class: "btn ghost", id: "btnAdmin" }, ["Admin"]);
 
-    buttons.append(UI.btnCheckLocation, UI.btnActions, UI.btnCrafting, UI.btnCrew, UI.btnStorage, UI.btnStations, UI.btnSaves, UI.btnAdmin);
+    buttons.append(UI.btnCheckLocation, UI.btnActions, UI.btnCrafting, UI.btnCrew, UI.btnStorage, UI.btnStations, UI.btnVehicle, UI.btnSaves, UI.btnAdmin);
 
     // Log box
     UI.logBox = el("div", { class: "logBox" }, [
@@ -2568,11 +785,21 @@ function tickCraftQueues(state, loadedData) {
     }
     const tile = state.world.discoveredTiles[tileId];
     const biome = biomeForTile(loadedData, tile);
-    UI.windshieldTitle.textContent = `Tile: ${tileId} — ${biome.name}${tile.tutorialOverlay ? " (Tutorial)" : ""}`;
+    const trip = state.rv.travel;
+    const road = trip ? ` → driving to ${trip.toTileId} (${fmtTime(Math.max(0, trip.startAt + trip.durationMs - gameNow(state)))})` : "";
+    const weather = weatherAt(state, loadedData);
+    const sky = weather ? ` — ${weather.name} (until ${new Date(weather.endsAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })})` : "";
+    const pois = listTilePois(state, loadedData, tile).map(p => `${p.name}${p.left ? "" : " (picked clean)"}`);
+    const near = pois.length ? ` — Nearby: ${pois.join(", ")}` : "";
+    UI.windshieldTitle.textContent = `Tile: ${tileId} — ${biome.name}${sky}${near}${tile.tutorialOverlay ? " (Tutorial)" : ""}${road}`;
     UI.windshield.dataset.bg = biome.bg || "bg_unknown";
+    UI.windshield.dataset.weather = weather?.id || "";
 
     // RV placeholder can be enhanced later by showing modules based on station levels
-    const rvText = `[ RV | Storage L${state.rv.stations.storage ?? 0} | Bunks L${state.rv.stations.bunks ?? 0} ]`;
+    const parts = vehicleStatus(state, loadedData)
+      .map(c => `${c.name} ${c.broken ? "BROKEN" : `${Math.round(c.condition)}%`}`)
+      .join(" ");
+    const rvText = `[ RV | Storage L${state.rv.stations.storage ?? 0} | Bunks L${state.rv.stations.bunks ?? 0} | ${parts} ]`;
     const rv = UI.rvView.querySelector(".rvPlaceholder");
     if (rv) rv.textContent = rvText;
   }
@@ -2705,8 +932,8 @@ function renderNpcStrip(state, loadedData) {
 }
 
   function renderHudStats(state, loadedData) {
-    // Fuel is not implemented as a resource yet; show placeholder
-    UI.statFuel.value.textContent = "—";
+    const fuel = state.rv.fuel;
+    UI.statFuel.value.textContent = fuel ? `${Math.floor(fuel.level)}/${fuel.capacity}` : "—";
 
     const used = countStorageUsed(state, loadedData);
     const cap = state.rv.storage.capacity || 0;
@@ -2720,8 +947,13 @@ function renderNpcStrip(state, loadedData) {
     UI.statThirst.value.textContent = `${Math.round(player.needs.thirst)}`;
     UI.statMorale.value.textContent = `${Math.round(clamp(player.needs.morale + currentMoraleModifier(player), 0, 100))}`;
 
-    const night = isNight(state, loadedData, state.meta.lastKnownLat, state.meta.lastKnownLon);
-    UI.statDayNight.value.textContent = night ? "Night" : "Day";
+    const sky = dayPhase(state, loadedData, state.meta.lastKnownLat, state.meta.lastKnownLon);
+    const sun = nextSunEvent(state, loadedData);
+    const phaseName = { day: "Day", dusk: "Dusk", night: "Night", dawn: "Dawn" }[sky.phase];
+    UI.statDayNight.value.textContent = phaseName;
+    UI.statDayNight.wrap.title = `${seasonAt(state).name}. ` + (sun
+      ? `${sun.type === "sunset" ? "Sunset" : "Sunrise"} at ${new Date(sun.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`
+      : (sky.altDeg == null ? "Using default hours until your location is known." : "The sun won't cross the horizon today."));
   }
 
   function renderAll(state, loadedData) {
@@ -2731,9 +963,135 @@ function renderNpcStrip(state, loadedData) {
     renderLog(state);
   }
 
+  /* =========================
+     Away Report
+  ========================= */
+  let awayReportOpen = false;
+
+  // Shows a "While you were away" summary when a catch-up covered enough time.
+  function maybeShowAwayReport(state, loadedData, report) {
+    if (!report || awayReportOpen) return;
+    const minMs = (loadedData.data.config.awayReport?.minAwayMin ?? 15) * 60 * 1000;
+    if (report.elapsedMs < minMs) return;
+    awayReportModal(RVEngine.summarizeSimReport(state, loadedData, report));
+  }
+
+  function awayReportModal(summary) {
+    awayReportOpen = true;
+    const qtyText = (list) => list.map(x => `${x.qty}× ${x.name}`).join(", ");
+
+    const overlay = el("div", { class: "modalOverlay" });
+    const modal = el("div", { class: "modal" });
+    modal.appendChild(el("div", { class: "modalTitle" }, ["While you were away"]));
+    const body = el("div", { class: "modalBody scroll" });
+    body.appendChild(el("div", { class: "hint" }, [`${fmtTime(summary.elapsedMs)} passed on the road.`]));
+
+    const list = el("div", { class: "panelStack" });
+
+    for (const c of summary.crew) {
+      const card = el("div", { class: "card" });
+      card.appendChild(el("div", { class: "cardTitle" }, [c.name]));
+      if (c.jobs.length) card.appendChild(el("div", { class: "hint" }, [`Jobs: ${c.jobs.map(j => `${j.name} ×${j.qty}`).join(", ")}`]));
+      if (c.levelUps.length) card.appendChild(el("div", { class: "hint" }, [`Level-ups: ${c.levelUps.map(l => `${l.skill} +${l.ups}`).join(", ")}`]));
+      if (c.injuries.length) card.appendChild(el("div", { class: "hint" }, [`Injuries: ${c.injuries.map(i => `${i.name} (${i.severity})`).join(", ")}`]));
+      if (c.sickness.length) card.appendChild(el("div", { class: "hint" }, [`Sickness: ${c.sickness.map(x => x.name).join(", ")}`]));
+      if (c.died) card.appendChild(el("div", { class: "hint bad" }, ["Didn't make it."]));
+      else if (c.downed) card.appendChild(el("div", { class: "hint" }, [c.revived ? "Went down, but a Revive Serum brought them back." : (c.recovered ? "Went down, then rested back on their feet." : "Went down.")]));
+      if (!c.jobs.length && !c.levelUps.length && !c.injuries.length && !c.sickness.length && !c.downed && !c.died) {
+        card.appendChild(el("div", { class: "hint" }, ["Took it easy."]));
+      }
+      list.appendChild(card);
+    }
+
+    if (summary.crafts.length) {
+      const card = el("div", { class: "card" });
+      card.appendChild(el("div", { class: "cardTitle" }, ["Crafts completed"]));
+      card.appendChild(el("div", { class: "hint" }, [summary.crafts.map(r => `${r.name} ×${r.qty}`).join(", ")]));
+      list.appendChild(card);
+    }
+
+    const items = el("div", { class: "card" });
+    items.appendChild(el("div", { class: "cardTitle" }, ["Supplies"]));
+    items.appendChild(el("div", { class: "smallLabel" }, ["Gained"]));
+    items.appendChild(el("div", { class: "hint" }, [summary.itemsGained.length ? qtyText(summary.itemsGained) : "Nothing."]));
+    items.appendChild(el("div", { class: "smallLabel" }, ["Used up"]));
+    items.appendChild(el("div", { class: "hint" }, [summary.itemsConsumed.length ? qtyText(summary.itemsConsumed) : "Nothing."]));
+    for (const low of summary.lowSupplies) {
+      items.appendChild(el("div", { class: "hint" }, [`⚠ Running low on ${low.kind}: ${low.have} left in storage.`]));
+    }
+    list.appendChild(items);
+
+    body.appendChild(list);
+    modal.appendChild(body);
+
+    const row = el("div", { class: "modalRow" });
+    row.appendChild(el("button", { class: "btn", onclick: () => { overlay.remove(); awayReportOpen = false; } }, ["Back to it"]));
+    modal.appendChild(row);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+  }
+
   /* =========================
      Panels
   ========================= */
+  // Fuel gauge, refuel from storage, and "drive to neighbor tile" buttons.
+  function travelCard(state, loadedData) {
+    const card = el("div", { class: "card" });
+    const fuel = state.rv.fuel;
+    card.appendChild(el("div", { class: "cardTitle" }, [`Travel — Fuel ${Math.floor(fuel.level)}/${fuel.capacity}`]));
+
+    const trip = state.rv.travel;
+    if (trip) {
+      const left = Math.max(0, trip.startAt + trip.durationMs - gameNow(state));
+      card.appendChild(el("div", { class: "hint" }, [`On the road to ${trip.toTileId} — arriving in ${fmtTime(left)}. Crew jobs are paused until then.`]));
+      return card;
+    }
+
+    const fuelStacks = state.rv.storage.stacks
+      .map(st => ({ st, def: loadedData.idx.itemsById.get(st.itemId) }))
+      .filter(x => x.st.qty > 0 && x.def?.fuel);
+    if (fuelStacks.length) {
+      const refuelRow = el("div", { class: "row" });
+      for (const { st, def } of fuelStacks) {
+        refuelRow.appendChild(el("button", {
+          class: "btn ghost",
+          onclick: () => {
+            const r = refuelRv(state, loadedData, st.itemId, st.qty);
+            if (!r.ok) toast(`Can't refuel: ${r.reason}`);
+            else toast(`Refueled (${r.used}× ${def.name}).`);
+            renderAll(state, loadedData);
+            showPanel("Actions", panelActions(state, loadedData));
+          }
+        }, [`Refuel: ${def.name} × ${st.qty}`]));
+      }
+      card.appendChild(refuelRow);
+    } else {
+      card.appendChild(el("div", { class: "hint" }, ["No fuel in storage. Distill ethanol at the workbench or find gas cans while scavenging car parts."]));
+    }
+
+    card.appendChild(el("div", { class: "smallLabel" }, ["Drive to a neighboring tile:"]));
+    const grid = el("div", { class: "row" });
+    for (const nb of listNeighborTiles(state, loadedData)) {
+      const label = `${nb.dir.toUpperCase()}: ${nb.biomeName ?? "Unknown"}`;
+      grid.appendChild(el("button", {
+        class: `btn ghost ${nb.plan.ok ? "" : "disabled"}`,
+        title: `${nb.tileId} • ${nb.plan.fuel} fuel • ${fmtTime(nb.plan.durationMs)}`,
+        onclick: async () => {
+          if (!nb.plan.ok) return toast(nb.plan.reason);
+          const ok = await confirmModal("Drive", `Drive ${nb.dir.toUpperCase()} to <b>${nb.tileId}</b>? Uses ${nb.plan.fuel} fuel and takes ${fmtTime(nb.plan.durationMs)}. Crew jobs pause while driving.`, "Drive", "Cancel");
+          if (!ok) return;
+          const r = startTravel(state, loadedData, nb.tileId);
+          if (!r.ok) toast(r.reason);
+          markStateDirty(state, loadedData);
+          renderAll(state, loadedData);
+          showPanel("Actions", panelActions(state, loadedData));
+        }
+      }, [label]));
+    }
+    card.appendChild(grid);
+    return card;
+  }
+
   function panelActions(state, loadedData) {
     const wrap = el("div", { class: "panelStack" });
 
@@ -2746,70 +1104,101 @@ function renderNpcStrip(state, loadedData) {
       const biome = biomeForTile(loadedData, tile);
       wrap.appendChild(el("div", { class: "hint" }, ["Location not set — using a default tile. You can still tap Check Location later."]));
       pushLog(state, `Using default tile ${tileId} (${biome.name}).`, "info", null, loadedData);
-      safetySnapshot(state, loadedData);
+      markStateDirty(state, loadedData);
     }
 
     const tile = getOrCreateTile(state, loadedData, tileId);
     const jobs = listAvailableJobsForTile(state, loadedData, tile);
 
-    // Tutorial encounter block
-    if (tile.tutorialOverlay && tile.encounter?.type === "recruitNpc") {
-      const npcTemplateId = tile.encounter.npcTemplateId;
+    // Encounter block (tutorial recruit or a random survivor)
+    if (tile.encounter?.type === "recruitNpc") {
+      const enc = tile.encounter;
+      const npcTemplateId = enc.npcTemplateId;
       const tmpl = loadedData.idx.npcsById.get(npcTemplateId);
-      const req = tile.encounter.requirement;
+      const req = enc.requirement;
+      const isTutorial = !!tile.tutorialOverlay && !enc.expiresAt;
 
       const card = el("div", { class: "card" });
-      card.appendChild(el("div", { class: "cardTitle" }, ["Encounter: Campfire Signal"]));
+      card.appendChild(el("div", { class: "cardTitle" }, [isTutorial ? "Encounter: Campfire Signal" : "Encounter: Survivor"]));
       card.appendChild(el("div", { class: "cardBody" }, [
         el("div", { class: "hint" }, [`A survivor waves you over. It's ${tmpl?.name ?? "someone"} (${tmpl?.archetype ?? "Unknown"}).`]),
         el("div", { class: "hint" }, [`Perk: ${tmpl?.perk?.name ?? "—"} — ${tmpl?.perk?.desc ?? ""}`]),
         el("div", { class: "hint" }, [`Quirk: ${tmpl?.quirk?.name ?? "—"} — ${tmpl?.quirk?.desc ?? ""}`])
       ]));
 
-      const can = canRecruit(state, loadedData);
-      let reqText = "No requirement.";
-      if (req?.itemId) {
+      const check = checkEncounterRequirement(state, loadedData, enc);
+      card.appendChild(el("div", { class: "smallLabel" }, ["To recruit:"]));
+      for (const line of check.lines) {
+        card.appendChild(el("div", { class: `hint ${line.met ? "good" : "bad"}` }, [`${line.met ? "✓" : "✗"} ${line.text}`]));
+      }
+      if (req?.itemId && req.optional) {
         const nm = loadedData.idx.itemsById.get(req.itemId)?.name ?? req.itemId;
-        reqText = req.optional ? `Optional: offer ${req.qty}× ${nm}` : `Requires: ${req.qty}× ${nm}`;
+        card.appendChild(el("div", { class: "hint" }, [`Optional: offer ${req.qty}× ${nm}`]));
       }
-      card.appendChild(el("div", { class: "hint" }, [reqText]));
+      if (enc.expiresAt) card.appendChild(el("div", { class: "hint" }, [`Moving on in ${fmtTime(Math.max(0, enc.expiresAt - gameNow(state)))}.`]));
 
+      const encRow = el("div", { class: "row" });
       const btn = el("button", {
-        class: `btn ${can ? "" : "disabled"}`,
+        class: `btn ${check.ok ? "" : "disabled"}`,
         onclick: async () => {
-          if (!can) {
-            toast("No bunks available. Upgrade Bunks to recruit more crew.");
-            return;
-          }
-          if (req?.itemId && !req.optional && !hasItemInStorage(state, loadedData, req.itemId, req.qty)) {
-            toast("You don't have what they need yet.");
+          if (!check.ok) {
+            const unmet = check.lines.find(l => !l.met);
+            toast(check.lines[0].met ? `Not yet: ${unmet.text}.` : "No bunks available. Upgrade Bunks to recruit more crew.");
             return;
           }
 
-          // Optional offering
+          // Optional offering (tutorial)
           if (req?.itemId && req.optional && hasItemInStorage(state, loadedData, req.itemId, req.qty)) {
             const nm = loadedData.idx.itemsById.get(req.itemId)?.name ?? req.itemId;
             const ok = await confirmModal("Offer Supplies?", `Offer ${req.qty}× ${nm} to help them settle in?`, "Offer", "Skip");
             if (ok) removeItemFromStorage(state, loadedData, req.itemId, req.qty);
           }
 
-          const res = recruitNpcFromTemplate(state, loadedData, npcTemplateId);
+          const res = acceptEncounter(state, loadedData, tile.tileId);
           if (res.ok) {
-            tile.encounter = null; // one-time
-            pushLog(state, "Recruitment tutorial complete.", "system", null, loadedData);
-            safetySnapshot(state, loadedData);
+            if (isTutorial) pushLog(state, "Recruitment tutorial complete.", "system", null, loadedData);
+            markStateDirty(state, loadedData);
             renderAll(state, loadedData);
             showPanel("Actions", panelActions(state, loadedData));
           } else {
             toast(res.reason);
           }
         }
-      }, [can ? "Recruit" : "Recruit (Needs Bunks)"]);
-      card.appendChild(btn);
+      }, [check.lines[0].met ? "Recruit" : "Recruit (Needs Bunks)"]);
+      encRow.appendChild(btn);
+
+      if (!isTutorial) {
+        encRow.appendChild(el("button", {
+          class: "btn ghost",
+          onclick: () => {
+            declineEncounter(state, loadedData, tile.tileId);
+            renderAll(state, loadedData);
+            showPanel("Actions", panelActions(state, loadedData));
+          }
+        }, ["Decline"]));
+      }
+      card.appendChild(encRow);
 
       wrap.appendChild(card);
     }
 
+    // Points of interest on this tile and what's left in them
+    const pois = listTilePois(state, loadedData, tile);
+    if (pois.length) {
+      const card = el("div", { class: "card" });
+      card.appendChild(el("div", { class: "cardTitle" }, ["Points of Interest"]));
+      for (const p of pois) {
+        card.appendChild(el("div", { class: "smallLabel" }, [p.name]));
+        if (p.desc) card.appendChild(el("div", { class: "hint" }, [p.desc]));
+        card.appendChild(p.left
+          ? el("div", { class: "hint" }, [`Left: ${p.stock.map(x => `${x.qty}× ${x.name}`).join(" • ")}${p.jobs.length ? ` — job: ${p.jobs.join(", ")}` : ""}`])
+          : el("div", { class: "hint bad" }, ["Picked clean."]));
+      }
+      wrap.appendChild(card);
+    }
+
+    wrap.appendChild(travelCard(state, loadedData));
+
     // Job list
     wrap.appendChild(el("div", { class: "hint" }, ["Choose a job and assign it to yourself or a crew member. Jobs run in real time even when you close the tab."]));
 
@@ -2817,11 +1206,20 @@ function renderNpcStrip(state, loadedData) {
       const card = el("div", { class: "card" });
       card.appendChild(el("div", { class: "cardTitle" }, [j.name]));
       const reqs = [];
-      if (j.toolTag) reqs.push(`Tool: ${j.toolTag}`);
+      if (j.toolTag) reqs.push(j.toolRequired ? `Needs equipped: ${j.toolTag} tool (any slot)` : `Tool: ${j.toolTag}`);
       if (j.requiresItem) reqs.push(`Requires item in storage: ${loadedData.idx.itemsById.get(j.requiresItem)?.name ?? j.requiresItem}`);
+      if (j.pois?.length) reqs.push(`At: ${j.pois.map(id => loadedData.idx.poisById.get(id)?.name ?? id).join(" / ")} (until it's picked clean)`);
+      // Time-of-day, weather and season effect if started now (before anyone's gear or trait mods)
+      const tfx = jobTimeFactors(state, loadedData, null, j, gameNow(state), (j.baseSec || 600) * 1000);
+      const tParts = [];
+      if (Math.abs(tfx.yield - 1) >= 0.01) tParts.push(`yield ×${tfx.yield.toFixed(2)}`);
+      if (Math.abs(tfx.risk - 1) >= 0.01) tParts.push(`risk ×${tfx.risk.toFixed(2)}`);
+      const gateText = (j.timeOfDay?.phases?.length ? `Only at ${j.timeOfDay.phases.join("/")}. ` : "") +
+        (j.weatherTags?.length ? `Only in ${j.weatherTags.join("/")} weather. ` : "");
       card.appendChild(el("div", { class: "cardBody" }, [
         el("div", { class: "smallLabel" }, [`Duration: ~${fmtTime((j.baseSec || 600) * 1000)}`]),
-        el("div", { class: "smallLabel" }, [reqs.length ? reqs.join(" • ") : "No special requirements."])
+        el("div", { class: "smallLabel" }, [reqs.length ? reqs.join(" • ") : "No special requirements."]),
+        (gateText || tParts.length) ? el("div", { class: "hint" }, [`${gateText}${tParts.length ? `Starting now: ${tParts.join(", ")}.` : ""}`]) : null
       ]));
 
       const assignRow = el("div", { class: "row" });
@@ -2992,7 +1390,11 @@ function renderNpcStrip(state, loadedData) {
     const wrap = el("div", { class: "panelStack" });
 
     wrap.appendChild(el("div", { class: "hint" }, [
-      "All recipes are visible. If you can’t craft something yet, the menu will show why (missing parts or station level)."
+      "All recipes are visible. If you can’t craft something yet, the menu will show why (missing parts, station level or season)."
+    ]));
+    const season = seasonAt(state);
+    wrap.appendChild(el("div", { class: "smallLabel" }, [
+      `Season: ${season.name}${season.southern ? " (southern hemisphere)" : ""}. Some crops grow slower or not at all out of season.`
     ]));
 
     // Simple filters by station
@@ -3045,9 +1447,20 @@ function renderNpcStrip(state, loadedData) {
 
         const hintText = hints.size ? `Found in: ${[...hints].slice(0, 4).join(", ")}${hints.size > 4 ? "…" : ""}` : "Found in: (varies)";
 
+        // Seasonal crop time (locked in when the craft starts)
+        const sfx = seasonEffect(state, r);
+        const baseMs = (r.timeSec || 60) * 1000;
+        let seasonText = null;
+        if (sfx.allowed && sfx.time > 1) seasonText = `${sfx.season.name} slows this down (×${sfx.time}).`;
+        else if (sfx.allowed && sfx.time < 1) seasonText = `${sfx.season.name} speeds this up (×${sfx.time}).`;
+        if (seasonText && sfx.only) seasonText += ` Grows in ${sfx.only.map(id => id[0].toUpperCase() + id.slice(1)).join(", ")}.`;
+
         card.appendChild(el("div", { class: "cardBody" }, [
           el("div", { class: "smallLabel" }, [`Station: ${r.station} (You: L${stationLevel} / Need: L${stationNeed})`]),
-          el("div", { class: "smallLabel" }, [`Craft time: ${fmtTime((r.timeSec || 60) * 1000)}`]),
+          el("div", { class: "smallLabel" }, [
+            `Craft time: ${fmtTime(baseMs * (sfx.allowed ? sfx.time : 1))}${sfx.allowed && sfx.time !== 1 ? ` (normally ${fmtTime(baseMs)})` : ""}`
+          ]),
+          seasonText ? el("div", { class: "hint" }, [seasonText]) : null,
           el("div", { class: "smallLabel" }, ["Ingredients:"]),
           el("div", { class: "hint" }, [ing.join(" • ")]),
           el("div", { class: "hint" }, [hintText]),
@@ -3131,6 +1544,17 @@ function renderNpcStrip(state, loadedData) {
     return wrap;
   }
 
+  // Mirrors the engine's downed recovery: fed crew rest back up to health.downedRecoverAt.
+  function downedHint(c, loadedData) {
+    const h = loadedData.data.config.health || {};
+    const fedAt = h.fedThreshold ?? 50;
+    const upAt = h.downedRecoverAt ?? 25;
+    if (c.needs.hunger < fedAt || c.needs.thirst < fedAt) {
+      return `Needs food and water (${fedAt}+) in storage to recover, or a Revive Serum.`;
+    }
+    return `Recovering: back up at ${upAt} health (now ${Math.round(c.needs.health)}), or sooner with a Revive Serum.`;
+  }
+
   function panelCrew(state, loadedData) {
     const wrap = el("div", { class: "panelStack" });
     wrap.appendChild(el("div", { class: "hint" }, [
@@ -3151,6 +1575,7 @@ function renderNpcStrip(state, loadedData) {
       card.appendChild(el("div", { class: "cardBody" }, [
         el("div", { class: "smallLabel" }, [`Hunger: ${Math.round(c.needs.hunger)} • Thirst: ${Math.round(c.needs.thirst)} • Morale: ${morale} • Health: ${Math.round(c.needs.health)}`]),
         el("div", { class: "smallLabel" }, [status.length ? `Status: ${status.join(", ")}` : "Status: OK"]),
+        c.conditions.downed ? el("div", { class: "hint" }, [downedHint(c, loadedData)]) : null,
         c.perk ? el("div", { class: "hint" }, [`Perk: ${c.perk.name} — ${c.perk.desc}`]) : el("div", { class: "hint" }, ["Perk: —"]),
         c.quirk ? el("div", { class: "hint" }, [`Quirk: ${c.quirk.name} — ${c.quirk.desc}`]) : el("div", { class: "hint" }, ["Quirk: —"])
       ]));
@@ -3183,7 +1608,7 @@ function renderNpcStrip(state, loadedData) {
         else if (v === "fish") c.idleBehavior = "fish";
         else if (v === "none") c.idleBehavior = "none";
         else c.idleBehavior = "rest";
-        safetySnapshot(state, loadedData);
+        markStateDirty(state, loadedData);
         toast(`${c.name} idle set.`);
       });
 
@@ -3196,8 +1621,59 @@ function renderNpcStrip(state, loadedData) {
       }, ["Equipment"]);
       idleRow.appendChild(eqBtn);
 
+      // Treat with medical items from storage
+      if (c.conditions.downed || c.conditions.injury || c.conditions.sickness) {
+        const btnTreat = el("button", {
+          class: "btn",
+          onclick: async () => {
+            const options = listTreatmentsFor(state, loadedData, c)
+              .map(o => ({ id: o.itemId, label: `${o.name} × ${o.qty}`, hint: "From RV storage" }));
+            if (!options.length) {
+              toast("No useful medical items in storage.");
+              return;
+            }
+            const itemId = await chooseModal("Treat", `Use which item on ${c.name}?`, options);
+            if (!itemId) return;
+            const r = treatCharacter(state, loadedData, c.id, itemId);
+            if (!r.ok) toast(`Can't treat: ${r.reason}`);
+            renderAll(state, loadedData);
+            showPanel("Crew", panelCrew(state, loadedData));
+          }
+        }, ["Treat"]);
+        idleRow.appendChild(btnTreat);
+      }
+
       card.appendChild(idleRow);
 
+      // Auto-treat policy
+      const atRow = el("div", { class: "row" });
+      const atChk = el("input", { type: "checkbox" });
+      atChk.checked = !!c.autoTreat;
+      atChk.addEventListener("change", () => {
+        c.autoTreat = atChk.checked;
+        markStateDirty(state, loadedData);
+        toast(`${c.name} auto-treat ${c.autoTreat ? "on" : "off"}.`);
+      });
+      atRow.appendChild(atChk);
+      atRow.appendChild(el("div", { class: "smallLabel" }, ["Auto-treat (one bandage/antidote from storage per injury or illness)"]));
+      card.appendChild(atRow);
+
+      if (!c.isPlayer) {
+        const btnDismiss = el("button", {
+          class: "btn ghost",
+          onclick: async () => {
+            const ok = await confirmModal("Dismiss Crew", `Dismiss <b>${c.name}</b>? Their pockets and gear go back to RV storage (anything that doesn't fit is left behind) and their queue is cleared.`, "Dismiss", "Keep");
+            if (!ok) return;
+            const r = dismissCrewMember(state, loadedData, c.id);
+            if (!r.ok) toast(r.reason);
+            else toast(r.dropped.length ? `${c.name} left. Some items were left behind.` : `${c.name} left the caravan.`);
+            renderAll(state, loadedData);
+            showPanel("Crew", panelCrew(state, loadedData));
+          }
+        }, ["Dismiss"]);
+        card.appendChild(el("div", { class: "row" }, [btnDismiss]));
+      }
+
       // Job queue with cancel controls
       const q = state.queues.jobsByCharId[c.id] || [];
       const qWrap = el("div", { class: "panelStack" });
@@ -3256,9 +1732,49 @@ function renderNpcStrip(state, loadedData) {
       wrap.appendChild(card);
     }
 
+    // Former crew (dismissed or fallen), newest first
+    const history = (state.crew.history || []).slice().reverse();
+    if (history.length) {
+      wrap.appendChild(el("div", { class: "divider" }));
+      wrap.appendChild(el("div", { class: "smallLabel" }, ["Former Crew"]));
+      for (const h of history) {
+        const days = Math.max(1, Math.ceil((h.leftAt - h.joinedAt) / (24 * 60 * 60 * 1000)));
+        const card = el("div", { class: "card" });
+        card.appendChild(el("div", { class: "cardTitle" }, [`${h.name}${h.reason === "died" ? " ✝" : ""}`]));
+        card.appendChild(el("div", { class: `hint ${h.reason === "died" ? "bad" : ""}` }, [
+          `${h.reason === "died" ? "Died" : "Dismissed"} ${fmtStamp(h.leftAt)} • ${days} day${days === 1 ? "" : "s"} with the caravan`
+        ]));
+        if (h.perk || h.quirk) card.appendChild(el("div", { class: "hint" }, [`Perk: ${h.perk?.name ?? "—"} • Quirk: ${h.quirk?.name ?? "—"}`]));
+        wrap.appendChild(card);
+      }
+    }
+
     return wrap;
   }
 
+  // Workbench repair for a damaged tool/armor instance; null when there's nothing to repair.
+  function repairButton(state, loadedData, inst, name, rerender) {
+    const cost = gearRepairCost(state, loadedData, inst.uid);
+    if (!cost.ok) return null;
+    return el("button", {
+      class: "btn ghost",
+      onclick: async () => {
+        const parts = cost.inputs.map(i => {
+          const have = hasItemInStorage(state, loadedData, i.id, i.qty);
+          return `${have ? "✓" : "✗"} ${i.qty}× ${loadedData.idx.itemsById.get(i.id)?.name ?? i.id}`;
+        }).join(" • ");
+        const def = loadedData.idx.itemsById.get(inst.itemId);
+        const wear = cost.newMax < instanceMaxDurability(def, inst) ? ` Max durability drops to ${cost.newMax}.` : "";
+        const ok = await confirmModal("Repair", `Repair <b>${name}</b> at the workbench?<br>${parts}<br>${wear}`, "Repair", "Cancel");
+        if (!ok) return;
+        const r = repairInstance(state, loadedData, inst.uid);
+        if (!r.ok) toast(`Can't repair: ${r.reason}`);
+        renderAll(state, loadedData);
+        rerender();
+      }
+    }, ["Repair"]);
+  }
+
   function panelEquipment(state, loadedData, charId) {
     const wrap = el("div", { class: "panelStack" });
     const char = state.crew.members.find(m => m.id === charId);
@@ -3270,7 +1786,7 @@ function renderNpcStrip(state, loadedData) {
     const used = countPocketsUsed(char);
     const cap = char.pockets.capacity ?? 0;
     wrap.appendChild(el("div", { class: "hint" }, [
-      `Pockets: ${used}/${cap || "∞"} units. Equip tools/armor from pockets. Use Storage to transfer items/gear into pockets.`
+      `Pockets: ${used}/${cap || "∞"} units. Equip tools, armor and other gear from pockets. Use Storage to transfer items/gear into pockets.`
     ]));
 
     // Equipped slots
@@ -3284,14 +1800,15 @@ function renderNpcStrip(state, loadedData) {
       const def = inst ? loadedData.idx.itemsById.get(inst.itemId) : null;
 
       const row = el("div", { class: "row" });
-      row.appendChild(el("div", { class: "smallLabel" }, [`${slot}: ${def?.name ?? "—"}`]));
+      const broken = inst?.durability != null && inst.durability <= 0;
+      row.appendChild(el("div", { class: "smallLabel" }, [`${slot}: ${def?.name ?? "—"}${broken ? " (broken)" : ""}`]));
 
       if (instUid) {
         const btn = el("button", {
           class: "btn ghost",
           onclick: () => {
             char.equipment[slot] = null;
-            safetySnapshot(state, loadedData);
+            markStateDirty(state, loadedData);
             toast("Unequipped.");
             renderAll(state, loadedData);
             showPanel("Equipment", panelEquipment(state, loadedData, charId));
@@ -3313,9 +1830,9 @@ function renderNpcStrip(state, loadedData) {
     if (!pocketInst.length) instList.appendChild(el("div", { class: "hint" }, ["No gear in pockets. Transfer gear from Storage."]));
     for (const inst of pocketInst) {
       const def = loadedData.idx.itemsById.get(inst.itemId);
-      const isEquippable = !!(def?.tool || def?.armor);
+      const isEquippable = !!def?.equipSlot;
       const name = def?.name ?? inst.itemId;
-      const durTxt = (inst.durability != null) ? `Durability: ${inst.durability}` : "Durability: —";
+      const durTxt = (inst.durability != null) ? `Durability: ${inst.durability}/${instanceMaxDurability(def, inst)}` : "Durability: —";
 
       const card = el("div", { class: "card" });
       card.appendChild(el("div", { class: "cardTitle" }, [name]));
@@ -3328,7 +1845,7 @@ function renderNpcStrip(state, loadedData) {
           class: "btn",
           onclick: () => {
             equipInstanceOnChar(char, inst.uid, loadedData);
-            safetySnapshot(state, loadedData);
+            markStateDirty(state, loadedData);
             toast("Equipped.");
             renderAll(state, loadedData);
             showPanel("Equipment", panelEquipment(state, loadedData, charId));
@@ -3349,6 +1866,9 @@ function renderNpcStrip(state, loadedData) {
       }, ["Store in RV"]);
       row.appendChild(btnStore);
 
+      const btnRepair = repairButton(state, loadedData, inst, name, () => showPanel("Equipment", panelEquipment(state, loadedData, charId)));
+      if (btnRepair) row.appendChild(btnRepair);
+
       card.appendChild(row);
       instList.appendChild(card);
     }
@@ -3403,7 +1923,7 @@ function renderNpcStrip(state, loadedData) {
     const used = countStorageUsed(state, loadedData);
     const cap = state.rv.storage.capacity || 0;
     wrap.appendChild(el("div", { class: "hint" }, [
-      `RV Storage: ${used}/${cap || "∞"} units. Use this panel to mark rations, transfer items to crew pockets, feed/drink manually, and drop items to free space.`
+      `RV Storage: ${used}/${cap || "∞"} units. Use this panel to mark rations, transfer items to crew pockets, feed/drink/treat manually, and drop items to free space.`
     ]));
 
     const crewOptions = state.crew.members.map(c => ({ id: c.id, label: c.name, hint: c.isPlayer ? "Player" : "Crew" }));
@@ -3432,7 +1952,7 @@ function renderNpcStrip(state, loadedData) {
           s.isRationAllowed = chk.checked;
           state.rv.storage.rationPrefs = state.rv.storage.rationPrefs || {};
           state.rv.storage.rationPrefs[s.itemId] = chk.checked;
-          safetySnapshot(state, loadedData);
+          markStateDirty(state, loadedData);
           toast("Rations updated.");
         });
         rRow.appendChild(chk);
@@ -3476,6 +1996,35 @@ function renderNpcStrip(state, loadedData) {
         btnRow.appendChild(btnDrink);
       }
 
+      if (def?.fuel) {
+        const btnFuel = el("button", {
+          class: "btn",
+          onclick: () => {
+            const r = refuelRv(state, loadedData, s.itemId, s.qty);
+            if (!r.ok) toast(`Can't refuel: ${r.reason}`);
+            else toast(`Refueled (${r.used}× ${name}).`);
+            renderAll(state, loadedData);
+            showPanel("Storage", panelStorage(state, loadedData));
+          }
+        }, ["Refuel RV"]);
+        btnRow.appendChild(btnFuel);
+      }
+
+      if (def?.med) {
+        const btnTreat = el("button", {
+          class: "btn",
+          onclick: async () => {
+            const targetId = await chooseModal("Treat Crew", `Who will receive ${name}?`, crewOptions);
+            if (!targetId) return;
+            const r = treatCharacter(state, loadedData, targetId, s.itemId);
+            if (!r.ok) toast(`Can't treat: ${r.reason}`);
+            renderAll(state, loadedData);
+            showPanel("Storage", panelStorage(state, loadedData));
+          }
+        }, ["Treat"]);
+        btnRow.appendChild(btnTreat);
+      }
+
       // Transfer to pockets
       const btnGive = el("button", {
         class: "btn ghost",
@@ -3533,7 +2082,7 @@ function renderNpcStrip(state, loadedData) {
     for (const inst of insts) {
       const def = loadedData.idx.itemsById.get(inst.itemId);
       const name = def?.name ?? inst.itemId;
-      const durTxt = (inst.durability != null) ? `Durability: ${inst.durability}` : "";
+      const durTxt = (inst.durability != null) ? `Durability: ${inst.durability}/${instanceMaxDurability(def, inst)}` : "";
 
       const card = el("div", { class: "card" });
       card.appendChild(el("div", { class: "cardTitle" }, [name]));
@@ -3570,6 +2119,9 @@ function renderNpcStrip(state, loadedData) {
       }, ["Drop"]);
       row.appendChild(btnDropInst);
 
+      const btnRepair = repairButton(state, loadedData, inst, name, () => showPanel("Storage", panelStorage(state, loadedData)));
+      if (btnRepair) row.appendChild(btnRepair);
+
       card.appendChild(row);
       instList.appendChild(card);
     }
@@ -3626,9 +2178,54 @@ function renderNpcStrip(state, loadedData) {
     return wrap;
   }
 
+  function panelVehicle(state, loadedData) {
+    const { data, idx } = loadedData;
+    const wrap = el("div", { class: "panelStack" });
+
+    wrap.appendChild(el("div", { class: "hint" }, ["Parts wear down on the road. A broken engine or tires keeps the RV parked; a broken hull slows every station. Repairs are queued at the workbench."]));
+
+    const fuel = state.rv.fuel;
+    wrap.appendChild(el("div", { class: "smallLabel" }, [`Fuel: ${Math.floor(fuel.level)}/${fuel.capacity}`]));
+
+    const effectText = { noTravel: "Can't drive while broken.", stationOutput: "Stations work at reduced speed while broken." };
+    const repairs = data.recipes.filter(r => r.special?.repairRv);
+
+    for (const c of vehicleStatus(state, loadedData)) {
+      const card = el("div", { class: "card" });
+      card.appendChild(el("div", { class: "cardTitle" }, [`${c.name} — ${Math.round(c.condition)}%`]));
+      if (c.broken) card.appendChild(el("div", { class: "hint bad" }, [`Broken. ${effectText[c.whenBroken] || ""}`]));
+      else if (c.worn) card.appendChild(el("div", { class: "hint bad" }, ["Badly worn."]));
+      else card.appendChild(el("div", { class: "hint good" }, ["Running fine."]));
+
+      for (const r of repairs.filter(x => x.special.repairRv.component === c.id)) {
+        const can = canCraftRecipe(state, loadedData, r);
+        const cost = (r.inputs || []).map(i => {
+          const have = hasItemInStorage(state, loadedData, i.id, i.qty);
+          return `${have ? "✓" : "✗"} ${i.qty}× ${idx.itemsById.get(i.id)?.name ?? i.id}`;
+        }).join(" • ");
+        card.appendChild(el("div", { class: "smallLabel" }, [`${r.name}: +${r.special.repairRv.amount}% • ${fmtTime((r.timeSec || 60) * 1000)} at ${r.station}`]));
+        card.appendChild(el("div", { class: "hint" }, [cost]));
+        card.appendChild(el("button", {
+          class: `btn ${can.ok ? "" : "disabled"}`,
+          onclick: () => {
+            if (!can.ok) return toast(can.reason);
+            const res = startCraft(state, loadedData, r.id);
+            if (!res.ok) toast(res.reason);
+            renderAll(state, loadedData);
+            showPanel("Vehicle", panelVehicle(state, loadedData));
+          }
+        }, ["Queue Repair"]));
+      }
+
+      wrap.appendChild(card);
+    }
+
+    return wrap;
+  }
+
   function panelSaves(state, loadedData, ctx) {
     const wrap = el("div", { class: "panelStack" });
-    wrap.appendChild(el("div", { class: "hint" }, ["Manual saves only. A hidden safety snapshot is kept to prevent accidental loss."]));
+    wrap.appendChild(el("div", { class: "hint" }, [`Manual saves plus rolling autosaves, stored in ${saveCache.backend.kind}. A hidden safety snapshot is kept to prevent accidental loss.`]));
 
     const _saves = loadAllSaves();
     const saves = Array.isArray(_saves) ? _saves : [];
@@ -3647,7 +2244,7 @@ function renderNpcStrip(state, loadedData) {
         onclick: async () => {
           const ok = await confirmModal("Load Save", `Load "${s.name}"? Unsaved progress will be lost.`, "Load", "Cancel");
           if (!ok) return;
-          ctx.loadSaveId(s.id);
+          if (!ctx.loadSaveId(s.id).ok) return;
           hidePanel();
         }
       }, ["Load"]);
@@ -3674,7 +2271,16 @@ function renderNpcStrip(state, loadedData) {
         }
       }, ["Delete"]);
 
-      row.append(btnLoad, btnOverwrite, btnDelete);
+      const btnExport = el("button", {
+        class: "btn ghost",
+        onclick: () => {
+          if (!s.state) return toast("This slot has no state to export.");
+          downloadRvSave(s.name, s.state);
+          toast("Save file downloaded.");
+        }
+      }, ["Export"]);
+
+      row.append(btnLoad, btnOverwrite, btnExport, btnDelete);
       card.appendChild(row);
       list.appendChild(card);
     }
@@ -3697,7 +2303,8 @@ function renderNpcStrip(state, loadedData) {
     const btnSnapshot = el("button", {
       class: "btn ghost",
       onclick: () => {
-        safetySnapshot(state, loadedData);
+        markStateDirty(state, loadedData);
+        flushPersist();
         toast("Safety snapshot updated.");
       }
     }, ["Update Snapshot"]);
@@ -3705,6 +2312,92 @@ function renderNpcStrip(state, loadedData) {
     row2.append(btnNew, btnSnapshot);
     wrap.appendChild(row2);
 
+    // Run options
+    wrap.appendChild(el("div", { class: "divider" }));
+    const pdRow = el("div", { class: "row" });
+    const pdChk = el("input", { type: "checkbox" });
+    pdChk.checked = !!state.meta.permadeath;
+    pdChk.addEventListener("change", async () => {
+      if (pdChk.checked) {
+        const hrs = Math.round((loadedData.data.config.health?.bleedOutMin ?? 120) / 6) / 10;
+        const ok = await confirmModal("Permadeath", `Crew left downed for ${hrs}h without a revive will <b>die</b>. You (the player) can still only be downed. Turn on?`, "Turn On", "Cancel");
+        if (!ok) { pdChk.checked = false; return; }
+      }
+      state.meta.permadeath = pdChk.checked;
+      pushLog(state, `Permadeath ${state.meta.permadeath ? "enabled" : "disabled"} for this run.`, "system", null, loadedData);
+      markStateDirty(state, loadedData);
+      renderAll(state, loadedData);
+    });
+    pdRow.append(pdChk, el("div", { class: "smallLabel" }, ["Permadeath (this run)"]));
+    wrap.appendChild(pdRow);
+
+    // Save files: move runs between devices or keep backups outside the browser
+    wrap.appendChild(el("div", { class: "divider" }));
+    wrap.appendChild(el("div", { class: "smallLabel" }, ["Save Files (.rvsave)"]));
+    const row3 = el("div", { class: "row" });
+    const btnExportRun = el("button", {
+      class: "btn ghost",
+      onclick: () => {
+        const slotName = saves.find(x => x.id === activeId)?.name || "Current Run";
+        downloadRvSave(slotName, state);
+        toast("Save file downloaded.");
+      }
+    }, ["Export Current Run"]);
+
+    const btnImport = el("button", {
+      class: "btn ghost",
+      onclick: async () => {
+        const picked = await pickFileText(".rvsave,application/json");
+        if (!picked) return;
+        const res = parseRvSave(picked.text, loadedData);
+        if (!res.ok) return toast(`Can't import: ${res.reason}`, 4000);
+
+        const body = el("div", { class: "panelStack" }, [
+          el("div", { class: "cardTitle" }, [res.slotName]),
+          el("div", { class: "hint" }, [`Crew: ${res.preview.crew.join(", ")}`]),
+          el("div", { class: "hint" }, [`Day ${res.preview.day} · Tile ${res.preview.tile}`]),
+          res.preview.build ? el("div", { class: "hint" }, [`Exported from build ${res.preview.build}`]) : null,
+          ...res.warnings.map(w => el("div", { class: "hint bad" }, [w])),
+          el("div", { class: "hint" }, ["Importing replaces your current run and adds it as a new save slot."])
+        ]);
+        const ok = await confirmModal("Import Save", body, "Import", "Cancel");
+        if (!ok) return;
+
+        if (!ctx.replaceState(res.state).ok) return;
+        ctx.activeSaveId = createSaveSlot(`${res.slotName} (imported)`, res.state);
+        toast(`Imported: ${res.slotName}`);
+        hidePanel();
+      }
+    }, ["Import Save File"]);
+
+    row3.append(btnExportRun, btnImport);
+    wrap.appendChild(row3);
+
+    // Rolling autosaves (newest first)
+    const autos = listAutosaves();
+    if (autos.length) {
+      wrap.appendChild(el("div", { class: "divider" }));
+      wrap.appendChild(el("div", { class: "smallLabel" }, ["Autosaves"]));
+      for (const a of autos) {
+        const row = el("div", { class: "row" });
+        const slotName = a.slotId ? getSaveSlot(a.slotId)?.name : null;
+        row.appendChild(el("div", { class: "hint" }, [`${fmtStamp(a.ts)}${slotName ? ` · ${slotName}` : ""}`]));
+        row.appendChild(el("button", {
+          class: "btn ghost",
+          onclick: async () => {
+            const ok = await confirmModal("Restore Autosave", `Restore the autosave from ${fmtStamp(a.ts)}? This replaces your current in-memory state.`, "Restore", "Cancel");
+            if (!ok) return;
+            const autoState = await getAutosaveState(a.id);
+            if (!autoState) return toast("Autosave not found.");
+            if (!ctx.replaceState(autoState).ok) return;
+            toast("Autosave restored.");
+            hidePanel();
+          }
+        }, ["Restore"]));
+        wrap.appendChild(row);
+      }
+    }
+
     // Snapshot restore option
     const snap = getSnapshot();
     if (snap?.state) {
@@ -3715,7 +2408,7 @@ function renderNpcStrip(state, loadedData) {
         onclick: async () => {
           const ok = await confirmModal("Restore Snapshot", "Restore from last safety snapshot? This replaces your current in-memory state.", "Restore", "Cancel");
           if (!ok) return;
-          ctx.replaceState(deepCopy(snap.state));
+          if (!ctx.replaceState(deepCopy(snap.state)).ok) return;
           toast("Snapshot restored.");
           hidePanel();
         }
@@ -3798,7 +2491,7 @@ function renderNpcStrip(state, loadedData) {
       chk.checked = !!state.meta.useSimTimeForDayNight;
       chk.addEventListener("change", () => {
         state.meta.useSimTimeForDayNight = chk.checked;
-        safetySnapshot(state, loadedData);
+        markStateDirty(state, loadedData);
         ctx.simulateAndRender();
       });
       dnRow.append(el("div", { class: "smallLabel" }, ["Use Sim Time for Day/Night: "]), chk);
@@ -3864,7 +2557,7 @@ function renderNpcStrip(state, loadedData) {
           if (!res.ok) toast(res.reason);
           else {
             pushLog(state, `ADMIN: added ${q}× ${loadedData.idx.itemsById.get(id)?.name ?? id}.`, "system", null, loadedData);
-            safetySnapshot(state, loadedData);
+            markStateDirty(state, loadedData);
             ctx.simulateAndRender();
           }
         }
@@ -3893,9 +2586,10 @@ function renderNpcStrip(state, loadedData) {
             c.conditions.sickness = null;
             c.conditions.injury = null;
             c.conditions.downed = false;
+            c.conditions.downedAt = null;
           }
           pushLog(state, "ADMIN: healed and cured crew.", "system", null, loadedData);
-          safetySnapshot(state, loadedData);
+          markStateDirty(state, loadedData);
           ctx.simulateAndRender();
         }
       }, ["Heal/Cure All"]);
@@ -3918,7 +2612,7 @@ function renderNpcStrip(state, loadedData) {
             null,
             loadedData
           );
-          safetySnapshot(state, loadedData);
+          markStateDirty(state, loadedData);
           ctx.simulateAndRender();
         }
       }, ["Spawn NPC"]);
@@ -3953,7 +2647,7 @@ function renderNpcStrip(state, loadedData) {
             if (!txt) return;
             const parsed = safeJsonParse(txt, null);
             if (!parsed) return toast("Invalid JSON.");
-            ctx.replaceState(parsed);
+            if (!ctx.replaceState(parsed).ok) return;
             toast("Imported.");
             toggleAdminOverlay(state, loadedData, ctx);
           }
@@ -3974,12 +2668,38 @@ function renderNpcStrip(state, loadedData) {
             state.meta.lastTileId = val;
             getOrCreateTile(state, loadedData, val);
             pushLog(state, `ADMIN: moved to tile ${val}.`, "system", null, loadedData);
-            safetySnapshot(state, loadedData);
+            markStateDirty(state, loadedData);
             ctx.simulateAndRender();
           }
         }, ["Set TileId (Debug)"])
       );
       panel.appendChild(rowTile);
+
+      // Persistence metrics (see Persistence Scheduler)
+      panel.appendChild(el("div", { class: "divider" }));
+      panel.appendChild(el("div", { class: "smallLabel" }, ["Persistence"]));
+      const kb = (n) => `${(n / 1024).toFixed(1)} KB`;
+      panel.appendChild(el("div", { class: "hint" }, [
+        `${saveCache.backend.kind} · ${persistStats.writes} writes · ${kb(persistStats.bytes)} written this session · last ${kb(persistStats.lastBytes)} · ${persistStats.coalesced} changes coalesced`
+      ]));
+
+      // Content validation results (same checks as tools/lint-content.js)
+      panel.appendChild(el("div", { class: "divider" }));
+      panel.appendChild(el("div", { class: "smallLabel" }, ["Content Check"]));
+      const issues = loadedData.issues || [];
+      const errCount = issues.filter(i => i.level === "error").length;
+      panel.appendChild(el("div", { class: "hint" }, [
+        issues.length ? `${errCount} error(s), ${issues.length - errCount} warning(s) in data/*.json.` : "No problems found in data/*.json."
+      ]));
+      const shown = issues.slice(0, 60);
+      for (const it of shown) {
+        panel.appendChild(el("div", { class: `hint contentIssue${it.level === "error" ? " bad" : ""}` }, [
+          `${it.level === "error" ? "✖" : "⚠"} ${it.file}${it.id ? ` [${it.id}]` : ""}: ${it.message}`
+        ]));
+      }
+      if (issues.length > shown.length) {
+        panel.appendChild(el("div", { class: "hint" }, [`…and ${issues.length - shown.length} more (run node tools/lint-content.js).`]));
+      }
     }
 
     UI.adminOverlay.appendChild(panel);
@@ -3995,12 +2715,22 @@ function renderNpcStrip(state, loadedData) {
   async function boot() {
     buildUiShell();
 
+    RVEngine.setHooks({ persist: markStateDirty, notify: (msg) => toast(msg) });
+
     const loadedData = await loadData();
+    await initSaveStorage();
     if (loadedData.usedFallback) {
-      pushGlobalBanner("Using fallback data (JSON files not found yet). This is OK for v0.1 coding order.");
+      const failed = loadedData.files.filter(f => !f.ok);
+      console.warn("Data files that fell back:", failed);
+      pushGlobalBanner(`Using fallback data for ${failed.map(f => `${f.path} (${f.error})`).join(", ")}.`);
     } else {
       pushGlobalBanner("Loaded JSON data successfully.");
     }
+    const contentErrors = (loadedData.issues || []).filter(i => i.level === "error");
+    if (contentErrors.length) {
+      console.warn("Content check:", loadedData.issues);
+      pushGlobalBanner(`Content check found ${contentErrors.length} error(s) in data/*.json (see Admin panel).`);
+    }
 
     // State management
     let state = null;
@@ -4008,35 +2738,40 @@ function renderNpcStrip(state, loadedData) {
     const ctx = {
       activeSaveId: store.getItem(LS_LAST_ACTIVE_SAVE_KEY) || null,
 
+      // Returns { ok, reason }; on failure the current run is left untouched.
       replaceState(newState) {
-        state = newState;
-        // Ensure derived structures exist for new versions
-        if (!state.queues) state.queues = { jobsByCharId: {}, craftsByStationId: {} };
-        if (!state.queues.jobsByCharId) state.queues.jobsByCharId = {};
-        if (!state.queues.craftsByStationId) state.queues.craftsByStationId = {};
-        if (!state.world) state.world = { discoveredTiles: {} };
-        if (!state.world.discoveredTiles) state.world.discoveredTiles = {};
-        // Back-compat for older builds that used state.time.ticks
-        if (!state.time) state.time = { ticks: 0 };
-        if (typeof state.time.ticks !== "number") state.time.ticks = 0;
-        if (!state.rv?.storage) {
-          state.rv = state.rv || {};
-          state.rv.storage = { capacity: 0, stacks: [], instances: [] };
+        // Older saves are upgraded step by step; saves from a newer build are refused
+        const mig = RVEngine.migrateState(newState);
+        if (!mig.ok) {
+          console.warn("Save rejected:", mig.reason);
+          pushGlobalBanner(`Couldn't load save: ${mig.reason}`);
+          return { ok: false, reason: mig.reason };
         }
-        if (!state.meta) state.meta = { lastSimAt: gameNow(state), timeOffsetMs: 0 };
-        if (!state.log) state.log = [];
+        state = mig.state;
+        if (mig.applied.length) {
+          pushLog(state, `Save upgraded from schema v${mig.from} to v${mig.to}.`, "system", null, loadedData);
+        }
+        warnMissingContent(RVEngine.checkSaveContent(state, loadedData));
+        state.meta.packs = RVEngine.activePackList(loadedData);
         recomputeDerivedStats(state, loadedData);
-        simulateToNow(state, loadedData);
+        const report = simulateToNow(state, loadedData);
         renderAll(state, loadedData);
+        maybeShowAwayReport(state, loadedData, report);
+        return { ok: true };
       },
 
       loadSaveId(id) {
         const s = getSaveSlot(id);
-        if (!s) return toast("Save not found.");
+        if (!s) {
+          toast("Save not found.");
+          return { ok: false, reason: "not found" };
+        }
+        const res = this.replaceState(deepCopy(s.state));
+        if (!res.ok) return res;
         this.activeSaveId = id;
         store.setItem(LS_LAST_ACTIVE_SAVE_KEY, id);
-        this.replaceState(deepCopy(s.state));
         toast(`Loaded: ${s.name}`);
+        return res;
       },
 
       simulateAndRender() {
@@ -4047,11 +2782,11 @@ function renderNpcStrip(state, loadedData) {
 
     // If there is a last active save, load it; else new game.
     const lastId = ctx.activeSaveId;
-    if (lastId && getSaveSlot(lastId)) {
-      ctx.loadSaveId(lastId);
-    } else {
+    const loaded = (lastId && getSaveSlot(lastId)) ? ctx.loadSaveId(lastId).ok : false;
+    if (!loaded) {
+      if (lastId) ctx.activeSaveId = null;
       state = defaultNewGameState(loadedData);
-      safetySnapshot(state, loadedData);
+      markStateDirty(state, loadedData);
       ctx.replaceState(state);
       toast("New run started. Create a save when you're ready.");
     }
@@ -4070,13 +2805,29 @@ function renderNpcStrip(state, loadedData) {
         const prec = loadedData.data.config.tilePrecision || 7;
         const tileId = geohashEncode(lat, lon, prec);
 
+        // First fix places the RV for free; later moves drive there and burn fuel
+        if (state.meta.lastTileId && tileId !== state.meta.lastTileId) {
+          const plan = planTravel(state, loadedData, tileId);
+          if (!plan.ok) {
+            toast(`Can't drive to ${tileId}: ${plan.reason}`, 4000);
+            markStateDirty(state, loadedData);
+            ctx.simulateAndRender();
+            return;
+          }
+          const ok = await confirmModal("Drive", `You're ${plan.tiles} tile${plan.tiles === 1 ? "" : "s"} from the RV. Drive to <b>${tileId}</b>? Uses ${plan.fuel} fuel and takes ${fmtTime(plan.durationMs)}.`, "Drive", "Stay");
+          if (ok) startTravel(state, loadedData, tileId);
+          markStateDirty(state, loadedData);
+          ctx.simulateAndRender();
+          return;
+        }
+
         state.meta.lastTileId = tileId;
 
         const tile = getOrCreateTile(state, loadedData, tileId);
         const biome = biomeForTile(loadedData, tile);
 
         pushLog(state, `Entered tile ${tileId} (${biome.name}).`, "system", null, loadedData);
-        safetySnapshot(state, loadedData);
+        markStateDirty(state, loadedData);
 
         ctx.simulateAndRender();
       } catch (e) {
@@ -4091,7 +2842,7 @@ function renderNpcStrip(state, loadedData) {
         const tile = getOrCreateTile(state, loadedData, fallbackTileId);
         const biome = biomeForTile(loadedData, tile);
         pushLog(state, `Location unavailable — using default tile ${fallbackTileId} (${biome.name}).`, "warn", null, loadedData);
-        safetySnapshot(state, loadedData);
+        markStateDirty(state, loadedData);
         ctx.simulateAndRender();
         toast("Location unavailable — using default tile.");
       }
@@ -4102,6 +2853,7 @@ function renderNpcStrip(state, loadedData) {
     UI.btnCrew.addEventListener("click", () => showPanel("Crew", panelCrew(state, loadedData)));
     UI.btnStorage.addEventListener("click", () => showPanel("Storage", panelStorage(state, loadedData)));
     UI.btnStations.addEventListener("click", () => showPanel("Stations", panelStations(state, loadedData)));
+    UI.btnVehicle.addEventListener("click", () => showPanel("Vehicle", panelVehicle(state, loadedData)));
     UI.btnSaves.addEventListener("click", () => showPanel("Saves", panelSaves(state, loadedData, ctx)));
     UI.btnAdmin.addEventListener("click", () => toggleAdminOverlay(state, loadedData, ctx));
 
@@ -4121,20 +2873,38 @@ function renderNpcStrip(state, loadedData) {
     // Periodic simulation tick while open
     setInterval(() => {
       if (!state) return;
-      simulateToNow(state, loadedData);
+      // A long gap here means the tab slept (or admin skipped time); summarize it too
+      const report = simulateToNow(state, loadedData);
       renderAll(state, loadedData);
+      maybeShowAwayReport(state, loadedData, report);
+      maybeAutosave(state, loadedData, ctx.activeSaveId);
     }, 1000);
 
-    // Before unload: safety snapshot to avoid loss
-    window.addEventListener("beforeunload", () => {
+    // Leaving or backgrounding the page: write any pending changes now (mobile may never come back)
+    const flushNow = () => {
       if (!state) return;
-      state.meta.lastSimAt = gameNow(state);
-      safetySnapshot(state, loadedData);
-    });
+      simulateToNow(state, loadedData);
+      markStateDirty(state, loadedData);
+      flushPersist();
+    };
+    document.addEventListener("visibilitychange", () => { if (document.visibilityState === "hidden") flushNow(); });
+    window.addEventListener("pagehide", flushNow);
+    window.addEventListener("beforeunload", flushNow);
 
     renderAll(state, loadedData);
   }
 
+  // Banner for saves that reference packs or content this build didn't load.
+  function warnMissingContent(check) {
+    if (check.ok) return;
+    const parts = [];
+    if (check.missingPacks.length) parts.push(`packs ${check.missingPacks.map(p => p.id).join(", ")}`);
+    const ids = [...check.missingItems, ...check.missingJobs, ...check.missingRecipes, ...check.missingStations];
+    if (ids.length) parts.push(`${ids.length} unknown id(s): ${ids.slice(0, 6).join(", ")}${ids.length > 6 ? "…" : ""}`);
+    console.warn("Save references missing content:", check);
+    pushGlobalBanner(`This save expects content that isn't loaded (${parts.join("; ")}). Those entries may not work.`);
+  }
+
   function pushGlobalBanner(msg) {
     const b = el("div", { class: "banner" }, [msg]);
     document.body.appendChild(b);
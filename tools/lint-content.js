@@ -0,0 +1,37 @@
+/* ============================================================================
+  RV ROVER — tools/lint-content.js
+  Headless content lint: loads data/*.json through the engine and prints every
+  shape or cross-reference problem validateData() finds.
+
+  Usage: node tools/lint-content.js [dataDir]
+  Exit code 1 when any error-level issue is found (warnings alone pass).
+============================================================================ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const RVEngine = require("../engine.js");
+
+async function main() {
+  const root = path.resolve(__dirname, "..");
+  const base = process.argv[2] || "data";
+
+  const fetchJson = (p) => JSON.parse(fs.readFileSync(path.resolve(root, p), "utf8"));
+  const loadedData = await RVEngine.loadData({ fetchJson, base });
+
+  // File load failures and merge notes are included in issues
+  const issues = loadedData.issues || [];
+  for (const it of issues) {
+    console.log(`${it.level.padEnd(6)} ${it.file}${it.id ? ` [${it.id}]` : ""}: ${it.message}`);
+  }
+
+  const errors = issues.filter(i => i.level === "error").length;
+  const warnings = issues.filter(i => i.level === "warn").length;
+  console.log(`\n${errors} error(s), ${warnings} warning(s).`);
+  process.exitCode = errors > 0 ? 1 : 0;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});